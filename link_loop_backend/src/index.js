@@ -0,0 +1,36 @@
+//
+// Entry point: node src/index.js (configuration from environment variables)
+//
+
+import { resolve } from 'node:path';
+import { createServer } from './server.js';
+import { createFileStore } from './store.js';
+
+const env = process.env;
+const port = Number(env.PORT) || 3001;
+const host = env.HOST || '127.0.0.1';
+const dataFile = resolve(env.DATA_FILE || 'data/leaderboard.json');
+
+const store = await createFileStore(dataFile);
+const server = createServer({
+  store,
+  corsOrigin: env.CORS_ORIGIN || '*',
+  trustProxy: env.TRUST_PROXY === 'true',
+  rateLimit: {
+    max: Number(env.RATE_LIMIT_MAX) || 10,
+    windowMs: Number(env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+  },
+  replay: {
+    timeoutMs: Number(env.REPLAY_TIMEOUT_MS) || 5000,
+    maxConcurrent: Number(env.REPLAY_MAX_CONCURRENT) || 2,
+  },
+});
+
+server.listen(port, host, () => {
+  console.log(`Link Loop leaderboard on http://${host}:${port} (data: ${dataFile})`);
+});
+
+// Let in-flight requests and file writes finish on Ctrl+C / container stop
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => server.close(() => process.exit(0)));
+}
@@ -0,0 +1,29 @@
+//
+// Per-client fixed-window rate limiting
+//
+
+/**
+ * Allow at most `max` hits per client within each `windowMs` window.
+ * `now` is injectable for tests.
+ */
+// PUBLIC_INTERFACE
+export function createRateLimiter({ max, windowMs, now = Date.now }) {
+  /** Returns hit(clientKey) -> { allowed, retryAfterMs }. */
+  const windows = new Map(); // client -> { start, count }
+
+  return function hit(client) {
+    const t = now();
+    // Drop finished windows now and then so idle clients do not pile up
+    if (windows.size > 1000) {
+      for (const [key, w] of windows) if (t - w.start >= windowMs) windows.delete(key);
+    }
+    let w = windows.get(client);
+    if (!w || t - w.start >= windowMs) {
+      w = { start: t, count: 0 };
+      windows.set(client, w);
+    }
+    if (w.count >= max) return { allowed: false, retryAfterMs: w.start + windowMs - t };
+    w.count += 1;
+    return { allowed: true, retryAfterMs: 0 };
+  };
+}
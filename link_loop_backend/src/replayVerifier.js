@@ -0,0 +1,38 @@
+//
+// Replay verification off the event loop
+//
+
+import { Worker } from 'node:worker_threads';
+
+const WORKER_URL = new URL('./replayWorker.js', import.meta.url);
+
+/**
+ * Run verifyReplay in a worker thread per submission, so regenerating a board never blocks other requests.
+ * A replay still running after `timeoutMs` has its worker terminated, and at most `maxConcurrent` run at once.
+ */
+// PUBLIC_INTERFACE
+export function createReplayVerifier({ timeoutMs = 5000, maxConcurrent = 2 } = {}) {
+  /** Returns verify(run) -> Promise of verifyReplay's { ok, reason? }, or null when busy or timed out. */
+  let running = 0;
+
+  return function verify(run) {
+    if (running >= maxConcurrent) return Promise.resolve(null);
+    running += 1;
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(WORKER_URL, { workerData: run });
+      const finish = (settle, value) => {
+        clearTimeout(timer);
+        worker.removeAllListeners();
+        running -= 1;
+        settle(value);
+      };
+      const timer = setTimeout(() => {
+        finish(resolve, null);
+        worker.terminate();
+      }, timeoutMs);
+      worker.once('message', (result) => finish(resolve, result));
+      worker.once('error', (err) => finish(reject, err));
+      worker.once('exit', (code) => finish(reject, new Error(`Replay worker exited with code ${code}`)));
+    });
+  };
+}
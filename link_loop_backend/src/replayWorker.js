@@ -0,0 +1,8 @@
+//
+// Worker thread entry: verify one replay (workerData) and post the result back
+//
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { verifyReplay } from '../../link_loop_frontend/src/utils/replay.js';
+
+parentPort.postMessage(verifyReplay(workerData));
@@ -0,0 +1,127 @@
+//
+// HTTP API: GET/POST /leaderboard, the contract used by the frontend's services/leaderboard.js
+//
+
+import http from 'node:http';
+import { parseQuery, validateScore } from './validate.js';
+import { createRateLimiter } from './rateLimit.js';
+import { createReplayVerifier } from './replayVerifier.js';
+
+// Room for the move log of a large board; anything bigger is not a real submission
+const MAX_BODY_BYTES = 256 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      // Keep draining an oversized body (without storing it) so the 413 reply still reaches the client
+      if (size > MAX_BODY_BYTES) reject(new HttpError(413, 'Request body too large'));
+      else chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > MAX_BODY_BYTES) return;
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(new HttpError(400, 'Body must be valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Build the leaderboard server (not yet listening).
+ * Options:
+ * - store: from createFileStore
+ * - corsOrigin: value for Access-Control-Allow-Origin (default "*")
+ * - rateLimit: { max, windowMs } for submissions per client (default 10 per minute)
+ * - trustProxy: take the client address from X-Forwarded-For (only behind a trusted proxy)
+ * - replay: { timeoutMs, maxConcurrent } for replay verification (default 5000 ms, 2 at a time)
+ * - now: clock for the rate limiter
+ */
+// PUBLIC_INTERFACE
+export function createServer({ store, corsOrigin = '*', rateLimit = {}, trustProxy = false, replay = {}, now } = {}) {
+  /** Returns a node:http Server serving GET/POST /leaderboard and GET /health. */
+  const limit = createRateLimiter({ max: 10, windowMs: 60 * 1000, ...rateLimit, now });
+  const verifyReplay = createReplayVerifier(replay);
+  const cors = {
+    'Access-Control-Allow-Origin': corsOrigin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+  };
+
+  const clientOf = (req) => {
+    const forwarded = trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  };
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'OPTIONS') return send(res, 204, undefined, cors);
+    if (url.pathname === '/health' && req.method === 'GET') {
+      return send(res, 200, { ok: true, entries: store.count() }, cors);
+    }
+    if (url.pathname !== '/leaderboard') throw new HttpError(404, 'Not found');
+
+    if (req.method === 'GET') {
+      const query = parseQuery(url.searchParams);
+      if (!query.ok) throw new HttpError(400, 'Invalid query', query.errors);
+      return send(res, 200, store.top(query.value), cors);
+    }
+
+    if (req.method === 'POST') {
+      const { allowed, retryAfterMs } = limit(clientOf(req));
+      if (!allowed) {
+        return send(res, 429, { error: 'Too many submissions, try again later' }, {
+          ...cors,
+          'Retry-After': String(Math.ceil(retryAfterMs / 1000)),
+        });
+      }
+      const score = validateScore(await readJson(req));
+      if (!score.ok) throw new HttpError(400, 'Invalid score', score.errors);
+      // Regenerate the board from the seed and replay the moves in a worker; the log itself is not stored
+      const { moves, ...fields } = score.value;
+      const verdict = await verifyReplay(score.value);
+      // Busy or out of time is not the run's fault, so the client is asked to resend it later
+      if (!verdict) {
+        return send(res, 503, { error: 'Replay check unavailable, try again later' }, { ...cors, 'Retry-After': '5' });
+      }
+      if (!verdict.ok) throw new HttpError(422, 'Replay rejected', [verdict.reason]);
+      // Ranked by the difficulty the board was rated, not the one requested, which the generator can miss.
+      // A resent run (the client retrying after a lost response) gets the stored entry back
+      const { entry, rank, duplicate } = await store.add({ ...fields, difficulty: verdict.level || fields.difficulty });
+      return send(res, duplicate ? 200 : 201, { ok: true, entry, rank, duplicate }, cors);
+    }
+
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (res.headersSent) return;
+      const status = err instanceof HttpError ? err.status : 500;
+      if (status === 500) console.error(err);
+      send(res, status, {
+        error: status === 500 ? 'Internal server error' : err.message,
+        ...(err.details ? { details: err.details } : {}),
+      }, cors);
+    });
+  });
+}
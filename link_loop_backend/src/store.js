@@ -0,0 +1,89 @@
+//
+// File-backed leaderboard storage
+//
+
+import { randomUUID } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { BOARD_FIELDS, DEFAULT_GENERATOR } from './validate.js';
+
+const FILE_VERSION = 1;
+
+// Fastest first; ties keep submission order
+const byTime = (a, b) => a.seconds - b.seconds || a.createdAt.localeCompare(b.createdAt);
+
+// Entries saved before a board field existed were stored without it and mean its default
+const withBoardDefaults = (e) => ({ variant: 'classic', clues: null, generator: DEFAULT_GENERATOR, mode: 'free', ...e });
+
+// Whether an entry matches every field given in `board` (a subset of BOARD_FIELDS)
+const onBoard = (board) => (e) => BOARD_FIELDS.every((field) => !(field in board) || e[field] === board[field]);
+
+/**
+ * Leaderboard entries kept in memory and persisted as JSON ({ version, entries }).
+ * Writes go to a temporary file that is renamed over the data file, one at a time, so a crash
+ * mid-write never leaves a truncated file behind.
+ */
+// PUBLIC_INTERFACE
+export async function createFileStore(filePath) {
+  /** Loads `filePath` (missing file = empty board) and returns { add, top, count }. */
+  let entries = [];
+  try {
+    const data = JSON.parse(await readFile(filePath, 'utf8'));
+    if (data.version !== FILE_VERSION || !Array.isArray(data.entries)) {
+      throw new Error(`Unsupported leaderboard file format in ${filePath}`);
+    }
+    entries = data.entries.map(withBoardDefaults);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  let writing = Promise.resolve();
+  const persist = () => {
+    const snapshot = JSON.stringify({ version: FILE_VERSION, entries });
+    writing = writing.then(async () => {
+      await mkdir(dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      await writeFile(tmp, snapshot);
+      await rename(tmp, filePath);
+    });
+    return writing;
+  };
+
+  const rankOf = (entry) => entries
+    .filter(onBoard(Object.fromEntries(BOARD_FIELDS.map((field) => [field, entry[field]]))))
+    .sort(byTime)
+    .indexOf(entry) + 1;
+
+  return {
+    /**
+     * Store a validated score; resolves to { entry, rank, duplicate } with rank among runs on the same kind of board
+     * (all BOARD_FIELDS equal). A score whose runId is already stored is not added again (duplicate: true, the stored entry).
+     */
+    async add(score) {
+      const existing = score.runId ? entries.find((e) => e.runId === score.runId) : null;
+      if (existing) return { entry: existing, rank: rankOf(existing), duplicate: true };
+      const entry = { id: randomUUID(), ...score, createdAt: new Date().toISOString() };
+      entries.push(entry);
+      try {
+        await persist();
+      } catch (err) {
+        entries = entries.filter((e) => e !== entry);
+        writing = Promise.resolve();
+        throw err;
+      }
+      return { entry, rank: rankOf(entry), duplicate: false };
+    },
+
+    /** Fastest `limit` entries, only those matching every field in `filters` (see parseQuery). */
+    top({ filters = {}, limit }) {
+      return entries
+        .filter(onBoard(filters))
+        .sort(byTime)
+        .slice(0, limit);
+    },
+
+    count() {
+      return entries.length;
+    },
+  };
+}
@@ -0,0 +1,116 @@
+//
+// Payload validation for leaderboard submissions and queries
+//
+
+import { BOARD_SIZES, sizeKey } from '../../link_loop_frontend/src/utils/gameUtils.js';
+
+// Same limit as the frontend's name field
+export const NAME_MAX_LENGTH = 24;
+// Only the game's own board shapes: the replay check regenerates the board, and larger ones take seconds to build
+export const SIZE_KEYS = BOARD_SIZES.map(sizeKey);
+// Anything slower than a day is not a real run
+export const MAX_SECONDS = 24 * 60 * 60;
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard', 'expert'];
+export const VARIANTS = ['classic', 'obstacles'];
+export const MODES = ['free', 'daily'];
+// Generator version of scores sent without one: clients from before versions existed all used version 1
+export const DEFAULT_GENERATOR = 1;
+
+// What makes two runs comparable: entries only rank against others with the same values for all of these
+export const BOARD_FIELDS = ['size', 'difficulty', 'variant', 'clues', 'generator', 'mode'];
+// Query value for the generator's default clue count (stored as clues: null)
+export const DEFAULT_CLUES = 'default';
+
+export const DEFAULT_LIMIT = 10;
+export const MAX_LIMIT = 100;
+
+// Client-generated id of one run (a UUID or similar token)
+const RUN_ID_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+const isSizeKey = (value) => SIZE_KEYS.includes(value);
+
+// Printable characters only; control characters would garble other players' lists
+const cleanName = (name) => name.replace(/[\p{Cc}\p{Cf}]/gu, '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Check the shape of a POST /leaderboard body. Whether the run is possible is up to the replay check.
+ * Required: name, seconds, seed, size (one of SIZE_KEYS, "<rows>x<cols>"), difficulty, moves (the move log).
+ * Optional: variant (default "classic"), clues (default null), mode (default "free"),
+ * generator (default 1; versions the game does not have fail the replay check),
+ * runId (default null; a resent run with the same id is stored once).
+ */
+// PUBLIC_INTERFACE
+export function validateScore(body) {
+  /** Returns { ok: true, value } with normalized fields, or { ok: false, errors: [message] }. */
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { ok: false, errors: ['Body must be a JSON object'] };
+  }
+  const errors = [];
+  const name = typeof body.name === 'string' ? cleanName(body.name) : '';
+  if (!name) errors.push('name is required');
+  else if (name.length > NAME_MAX_LENGTH) errors.push(`name must be at most ${NAME_MAX_LENGTH} characters`);
+
+  const { seconds, seed, size, difficulty, moves } = body;
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_SECONDS) {
+    errors.push(`seconds must be a number between 0 and ${MAX_SECONDS}`);
+  }
+  if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) errors.push('seed must be a 32-bit unsigned integer');
+  if (!isSizeKey(size)) errors.push(`size must be one of ${SIZE_KEYS.join(', ')}`);
+  if (!DIFFICULTIES.includes(difficulty)) errors.push(`difficulty must be one of ${DIFFICULTIES.join(', ')}`);
+  if (!Array.isArray(moves) || moves.length === 0) errors.push('moves must be a non-empty move log');
+
+  const variant = body.variant ?? 'classic';
+  const clues = body.clues ?? null;
+  const mode = body.mode ?? 'free';
+  const generator = body.generator ?? DEFAULT_GENERATOR;
+  if (!VARIANTS.includes(variant)) errors.push(`variant must be one of ${VARIANTS.join(', ')}`);
+  if (clues !== null && (!Number.isInteger(clues) || clues < 2)) errors.push('clues must be null or an integer of at least 2');
+  if (!MODES.includes(mode)) errors.push(`mode must be one of ${MODES.join(', ')}`);
+  if (!Number.isInteger(generator) || generator < 1) errors.push('generator must be a positive integer');
+  const runId = body.runId ?? null;
+  if (runId !== null && !(typeof runId === 'string' && RUN_ID_PATTERN.test(runId))) {
+    errors.push('runId must be 8 to 64 letters, digits or dashes');
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { runId, name, seconds, seed, size, difficulty, variant, clues, generator, mode, moves } };
+}
+
+/**
+ * Check GET /leaderboard query parameters. Empty filters mean "all".
+ * `clues` is a clue count, or "default" for boards with the generator's default count.
+ */
+// PUBLIC_INTERFACE
+export function parseQuery(params) {
+  /** Takes URLSearchParams; returns { ok: true, value: { filters, limit } } or { ok: false, errors }.
+   * `filters` holds only the BOARD_FIELDS that were given, with the values entries store.
+   */
+  const errors = [];
+  const filters = {};
+  const oneOf = (key, allowed) => {
+    const value = params.get(key);
+    if (!value) return;
+    if (allowed.includes(value)) filters[key] = value;
+    else errors.push(`${key} must be one of ${allowed.join(', ')}`);
+  };
+  oneOf('size', SIZE_KEYS);
+  oneOf('difficulty', DIFFICULTIES);
+  oneOf('variant', VARIANTS);
+  oneOf('mode', MODES);
+
+  const clues = params.get('clues');
+  if (clues === DEFAULT_CLUES) filters.clues = null;
+  else if (clues && /^\d+$/.test(clues) && Number(clues) >= 2) filters.clues = Number(clues);
+  else if (clues) errors.push(`clues must be "${DEFAULT_CLUES}" or an integer of at least 2`);
+  const generator = params.get('generator');
+  if (generator && /^[1-9]\d*$/.test(generator)) filters.generator = Number(generator);
+  else if (generator) errors.push('generator must be a positive integer');
+
+  const limitText = params.get('limit');
+  const limit = limitText ? Number(limitText) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) errors.push(`limit must be an integer from 1 to ${MAX_LIMIT}`);
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value: { filters, limit } };
+}
@@ -0,0 +1,60 @@
+//
+// Test helpers: a server on a free port with its own data file
+//
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createServer } from '../src/server.js';
+import { createFileStore } from '../src/store.js';
+import { generateGrid } from '../../link_loop_frontend/src/utils/gameUtils.js';
+
+// PUBLIC_INTERFACE
+export async function tempDataFile() {
+  /** Returns { file, cleanup } for a data file in a fresh temporary directory. */
+  const dir = await mkdtemp(join(tmpdir(), 'link-loop-'));
+  return { file: join(dir, 'leaderboard.json'), cleanup: () => rm(dir, { recursive: true, force: true }) };
+}
+
+// PUBLIC_INTERFACE
+export async function startServer(file, options = {}) {
+  /** Starts a server backed by `file` on 127.0.0.1; returns { url, close }. */
+  const store = await createFileStore(file);
+  const server = createServer({ store, ...options });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    url: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * A submission whose move log draws the board's solution one cell every `stepMs`, finishing just before
+ * the reported time.
+ */
+// PUBLIC_INTERFACE
+export function solvedRun({ seed = 1234, size = '6x6', difficulty = 'medium', variant = 'classic', generator = 2, stepMs = 250, ...rest } = {}) {
+  /** Returns a POST /leaderboard body that passes replay verification. */
+  const [rows, cols] = size.split('x').map(Number);
+  const { solution } = generateGrid({ rows, cols }, seed, { difficulty, variant, generator });
+  const moves = solution.map((cell, i) => ({ t: i * stepMs, at: i, added: [cell] }));
+  const seconds = (solution.length * stepMs) / 1000;
+  return { name: 'Ada', seconds, seed, size, difficulty, variant, generator, moves, ...rest };
+}
+
+let serviceLoads = 0;
+
+/**
+ * Load the frontend's services/leaderboard.js pointed at `url`.
+ * It reads REACT_APP_BACKEND_URL once at import, so each call imports a fresh copy.
+ */
+// PUBLIC_INTERFACE
+export async function loadLeaderboardService(url) {
+  /** Returns the module's exports ({ fetchLeaderboard, submitScore, leaderboardEnabled }). */
+  process.env.REACT_APP_BACKEND_URL = url;
+  serviceLoads += 1;
+  const href = new URL('../../link_loop_frontend/src/services/leaderboard.js', import.meta.url);
+  href.searchParams.set('instance', String(serviceLoads));
+  return import(href.href);
+}
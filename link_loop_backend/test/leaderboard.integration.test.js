@@ -0,0 +1,195 @@
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadLeaderboardService, solvedRun, startServer, tempDataFile } from './helpers.js';
+
+const score = (overrides = {}) => solvedRun(overrides);
+
+describe('frontend leaderboard service against the reference server', () => {
+  let data;
+  let server;
+  let service;
+
+  before(async () => {
+    data = await tempDataFile();
+    server = await startServer(data.file, { rateLimit: { max: 50, windowMs: 60000 } });
+    service = await loadLeaderboardService(server.url);
+  });
+
+  after(async () => {
+    await server.close();
+    await data.cleanup();
+  });
+
+  test('submitted scores come back fastest first with their board', async () => {
+    assert.equal(service.leaderboardEnabled(), true);
+    const first = await service.submitScore(score({ name: 'Slow', stepMs: 2000 }));
+    assert.equal(first.ok, true);
+    assert.equal(first.rank, 1);
+    const second = await service.submitScore(score({ name: 'Fast', variant: 'obstacles', mode: 'daily' }));
+    assert.equal(second.rank, 1);
+
+    const entries = await service.fetchLeaderboard({ size: '6x6', difficulty: 'medium' });
+    assert.deepEqual(entries.map((e) => e.name), ['Fast', 'Slow']);
+    assert.equal(entries[0].seed, 1234);
+    assert.equal(entries[0].size, '6x6');
+    assert.equal(entries[0].variant, 'obstacles');
+    assert.equal(entries[0].mode, 'daily');
+  });
+
+  test('filters and limit narrow the list', async () => {
+    await service.submitScore(score({ name: 'Big', size: '5x7', difficulty: 'hard', stepMs: 100 }));
+    assert.deepEqual((await service.fetchLeaderboard({ size: '5x7' })).map((e) => e.name), ['Big']);
+    assert.deepEqual((await service.fetchLeaderboard({ difficulty: 'easy' })), []);
+    assert.equal((await service.fetchLeaderboard({ limit: 2 })).length, 2);
+    assert.equal((await service.fetchLeaderboard()).length, 3);
+  });
+
+  test('invalid payloads are rejected and not stored', async () => {
+    await assert.rejects(service.submitScore(score({ name: '   ' })), /Failed to submit score/);
+    await assert.rejects(service.submitScore(score({ seconds: -1 })), /Failed to submit score/);
+    await assert.rejects(service.submitScore(score({ size: '3x3' })), /Failed to submit score/);
+
+    const res = await fetch(`${server.url}/leaderboard`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(score({ seed: 1.5, difficulty: 'impossible' })),
+    });
+    assert.equal(res.status, 400);
+    const body = await res.json();
+    assert.equal(body.details.length, 2);
+    assert.equal((await service.fetchLeaderboard()).length, 3);
+  });
+
+  test('runs that do not replay are rejected', async () => {
+    const honest = score();
+    const post = (body) => fetch(`${server.url}/leaderboard`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const fakeTime = await post({ ...honest, seconds: 0.1 });
+    assert.equal(fakeTime.status, 422);
+    assert.deepEqual((await fakeTime.json()).details, ['Reported time is shorter than the replay']);
+
+    const unfinished = await post({ ...honest, moves: honest.moves.slice(0, -1) });
+    assert.equal(unfinished.status, 422);
+    const jump = await post({ ...honest, moves: [honest.moves[0], { ...honest.moves[2], at: 1 }] });
+    assert.equal(jump.status, 422);
+    const otherSeed = await post({ ...honest, seed: honest.seed + 1 });
+    assert.equal(otherSeed.status, 422);
+    await assert.rejects(service.submitScore({ ...honest, moves: [] }), /Failed to submit score/);
+    assert.equal((await service.fetchLeaderboard()).length, 3);
+  });
+
+  test('a resent run is stored once', async () => {
+    const run = score({ name: 'Twice', runId: 'run-0123456789', stepMs: 5000 });
+    const first = await service.submitScore(run);
+    const again = await service.submitScore(run);
+    assert.equal(first.duplicate, false);
+    assert.equal(again.duplicate, true);
+    assert.equal(again.entry.id, first.entry.id);
+    assert.equal((await service.fetchLeaderboard({ limit: 100 })).filter((e) => e.name === 'Twice').length, 1);
+    await service.submitScore(score({ name: 'Twice', runId: 'run-9876543210', stepMs: 5000 }));
+    assert.equal((await service.fetchLeaderboard({ limit: 100 })).filter((e) => e.name === 'Twice').length, 2);
+
+    await assert.rejects(service.submitScore(score({ runId: 'x' })), (err) => err.status === 400 && /runId/.test(err.reason));
+  });
+
+  test('runs rank only against the same kind of board', async () => {
+    // Same size and difficulty as the runs above, each on a board of another kind
+    const kinds = [{ variant: 'obstacles' }, { clues: 12 }, { generator: 1 }, { mode: 'daily' }];
+    for (const kind of kinds) {
+      const { rank } = await service.submitScore(score({ name: 'Kind', stepMs: 4000, ...kind }));
+      assert.equal(rank, 1, JSON.stringify(kind));
+    }
+    const classic = await service.fetchLeaderboard({ size: '6x6', difficulty: 'medium', variant: 'classic', clues: 'default', generator: 2, mode: 'free', limit: 100 });
+    assert.ok(classic.length > 0);
+    assert.ok(classic.every((e) => e.variant === 'classic' && e.clues === null && e.generator === 2 && e.mode === 'free'));
+    assert.ok(!classic.some((e) => e.name === 'Kind'));
+    const withClues = await service.fetchLeaderboard({ clues: 12 });
+    assert.deepEqual(withClues.map((e) => [e.name, e.clues]), [['Kind', 12]]);
+    await assert.rejects(service.fetchLeaderboard({ clues: 1 }), /Failed to fetch leaderboard/);
+  });
+
+  test('runs rank by the difficulty their board was rated', async () => {
+    // Version 1 settles for a hard board when this seed is asked for expert
+    const { entry } = await service.submitScore(score({ name: 'Rated', seed: 4, difficulty: 'expert', generator: 1 }));
+    assert.equal(entry.difficulty, 'hard');
+    assert.deepEqual((await service.fetchLeaderboard({ difficulty: 'expert' })).map((e) => e.name), []);
+  });
+
+  test('malformed requests get JSON errors', async () => {
+    const badJson = await fetch(`${server.url}/leaderboard`, { method: 'POST', body: '{nope' });
+    assert.equal(badJson.status, 400);
+    const badQuery = await fetch(`${server.url}/leaderboard?limit=1000`);
+    assert.equal(badQuery.status, 400);
+    await assert.rejects(service.fetchLeaderboard({ size: 'huge' }), /Failed to fetch leaderboard/);
+    const missing = await fetch(`${server.url}/nowhere`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).error, 'Not found');
+  });
+});
+
+describe('rate limiting and persistence', () => {
+  test('each client gets a fixed number of submissions per window', async () => {
+    const data = await tempDataFile();
+    let clock = 0;
+    const server = await startServer(data.file, { rateLimit: { max: 2, windowMs: 1000 }, now: () => clock });
+    try {
+      const service = await loadLeaderboardService(server.url);
+      await service.submitScore(score());
+      await service.submitScore(score());
+      await assert.rejects(service.submitScore(score()), /Failed to submit score/);
+
+      const res = await fetch(`${server.url}/leaderboard`, { method: 'POST', body: JSON.stringify(score()) });
+      assert.equal(res.status, 429);
+      assert.equal(res.headers.get('retry-after'), '1');
+
+      clock = 1000;
+      assert.equal((await service.submitScore(score())).ok, true);
+    } finally {
+      await server.close();
+      await data.cleanup();
+    }
+  });
+
+  test('a replay check that is busy or out of time asks the client to retry', async () => {
+    const data = await tempDataFile();
+    const post = (url) => fetch(`${url}/leaderboard`, { method: 'POST', body: JSON.stringify(score()) });
+    const slow = await startServer(data.file, { replay: { timeoutMs: 1 } });
+    const busy = await startServer(data.file, { replay: { maxConcurrent: 0 } });
+    try {
+      for (const url of [slow.url, busy.url]) {
+        const res = await post(url);
+        assert.equal(res.status, 503);
+        assert.equal(res.headers.get('retry-after'), '5');
+      }
+      const service = await loadLeaderboardService(slow.url);
+      assert.deepEqual(await service.fetchLeaderboard(), []);
+    } finally {
+      await slow.close();
+      await busy.close();
+      await data.cleanup();
+    }
+  });
+
+  test('scores survive a restart', async () => {
+    const data = await tempDataFile();
+    try {
+      const first = await startServer(data.file);
+      await (await loadLeaderboardService(first.url)).submitScore(score({ name: 'Kept' }));
+      await first.close();
+
+      const second = await startServer(data.file);
+      try {
+        const entries = await (await loadLeaderboardService(second.url)).fetchLeaderboard();
+        assert.deepEqual(entries.map((e) => e.name), ['Kept']);
+      } finally {
+        await second.close();
+      }
+    } finally {
+      await data.cleanup();
+    }
+  });
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuery, validateScore } from '../src/validate.js';
+
+test('scores are normalized with defaults for optional fields', () => {
+  const moves = [{ t: 0, at: 0, added: [{ row: 0, col: 0 }] }];
+  const result = validateScore({ name: '  Ada \u0007 Lovelace ', seconds: 12.3, seed: 7, size: '5x7', difficulty: 'easy', moves });
+  assert.deepEqual(result, {
+    ok: true,
+    value: { runId: null, name: 'Ada Lovelace', seconds: 12.3, seed: 7, size: '5x7', difficulty: 'easy', variant: 'classic', clues: null, generator: 1, mode: 'free', moves },
+  });
+});
+
+test('every invalid field is reported', () => {
+  const result = validateScore({ name: 'x'.repeat(30), seconds: Infinity, seed: -1, size: '6*6', difficulty: 'easy', variant: 'maze', clues: 1, mode: 'ranked', generator: 0 });
+  assert.equal(result.ok, false);
+  assert.equal(result.errors.length, 9);
+  assert.deepEqual(validateScore([]), { ok: false, errors: ['Body must be a JSON object'] });
+});
+
+test('queries default to the top 10 of everything', () => {
+  assert.deepEqual(parseQuery(new URLSearchParams('')), { ok: true, value: { filters: {}, limit: 10 } });
+  assert.equal(parseQuery(new URLSearchParams('limit=0')).ok, false);
+  assert.equal(parseQuery(new URLSearchParams('size=40x40')).ok, false);
+});
+
+test('only the game\'s own board sizes are accepted', () => {
+  const run = { name: 'Ada', seconds: 30, seed: 7, difficulty: 'easy', moves: [{ t: 0, at: 0, added: [{ row: 0, col: 0 }] }] };
+  for (const size of ['4x4', '6x8', '8x10', '10x10']) assert.equal(validateScore({ ...run, size }).ok, true, size);
+  for (const size of ['12x12', '30x30', '10x8']) assert.equal(validateScore({ ...run, size }).ok, false, size);
+  assert.equal(parseQuery(new URLSearchParams('size=12x12')).ok, false);
+});
+
+test('queries filter on every field that makes a board', () => {
+  const query = new URLSearchParams('size=6x8&difficulty=hard&variant=obstacles&clues=default&generator=2&mode=daily&limit=5');
+  assert.deepEqual(parseQuery(query), {
+    ok: true,
+    value: { filters: { size: '6x8', difficulty: 'hard', variant: 'obstacles', clues: null, generator: 2, mode: 'daily' }, limit: 5 },
+  });
+  assert.deepEqual(parseQuery(new URLSearchParams('clues=12')).value.filters, { clues: 12 });
+  assert.deepEqual(parseQuery(new URLSearchParams('variant=maze&clues=1&generator=0&mode=ranked')).errors.length, 4);
+});
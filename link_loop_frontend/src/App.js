@@ -1,13 +1,46 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import './App.css';
 import { applyThemeToDocument } from './theme';
 import { useGameState } from './hooks/useGameState';
 import { useTimer } from './hooks/useTimer';
+import { useSolutionPlayback } from './hooks/useSolutionPlayback';
+import { useScoreQueue } from './hooks/useScoreQueue';
 import Grid from './components/Grid';
 import TopBar from './components/TopBar';
 import CompletionModal from './components/CompletionModal';
-import { formatSeconds } from './utils/gameUtils';
+import GameSettings from './components/GameSettings';
+import DailyBanner from './components/DailyBanner';
+import SolutionControls from './components/SolutionControls';
+import ResumeBanner from './components/ResumeBanner';
+import GameAnnouncer from './components/GameAnnouncer';
+import LeaderboardPanel from './components/LeaderboardPanel';
+import StatsPanel from './components/StatsPanel';
+import PuzzleTransfer from './components/PuzzleTransfer';
+import PuzzleEditor from './components/PuzzleEditor';
+import LevelSelect from './components/LevelSelect';
+import {
+  checkPuzzle, clueCountOptions, formatSeconds, parsePuzzle, serializePuzzle, sizeKey, sizeLabel
+} from './utils/gameUtils';
 import { getBestTimeMs, setBestTimeMs } from './utils/bestTime';
+import { DAILY_PUZZLE, dailySeed, getDailyStatus, recordDailySolve, utcDateKey } from './utils/daily';
+import { buildShareUrl, parseShareParams } from './utils/shareLink';
+import { clearSavedGame, loadSavedGame, saveGame } from './utils/savedGame';
+import { leaderboardEnabled } from './services/leaderboard';
+import { verifyReplay } from './utils/replay';
+import { recordRun } from './utils/runStats';
+import { CURRENT_GENERATOR_VERSION, LEGACY_GENERATOR_VERSION } from './utils/generators';
+import { findLevel, loadLevelPuzzle, nextLevel, recordLevelResult } from './utils/levelPacks';
+
+// Settings describing an imported board, for saves, stats and best times
+function importedBoard({ grid, obstacles, rating }) {
+  return {
+    size: { rows: grid.length, cols: grid[0].length },
+    difficulty: rating.level,
+    clues: null,
+    variant: obstacles ? 'obstacles' : 'classic',
+    generator: null,
+  };
+}
 
 // PUBLIC_INTERFACE
 function App() {
@@ -16,14 +49,116 @@ function App() {
     applyThemeToDocument();
   }, []);
 
-  const [size] = useState(5); // can be configurable in future
-  // Use an initial seed, but the hook randomizes on Start/Restart for variety
-  const game = useGameState({ size, seed: 1337 });
+  // A shared link (?seed=…&size=…) opens that exact board
+  const [shared] = useState(() => parseShareParams());
+  const fromLink = shared && shared.mode === 'free' ? shared : null;
+  const [size, setSize] = useState(() => (fromLink && fromLink.size) || { rows: 5, cols: 5 });
+  const [clues, setClues] = useState(() => (fromLink ? fromLink.clues : null)); // null = generator default
+  const [difficulty, setDifficulty] = useState(() => (fromLink && fromLink.difficulty) || 'medium');
+  const [variant, setVariant] = useState(() => (fromLink ? fromLink.variant : 'classic'));
+  // Generator version for generated boards: a shared or resumed seed keeps the version it was made with
+  const [generator, setGenerator] = useState(() => (fromLink ? fromLink.generator : CURRENT_GENERATOR_VERSION));
+  const [mode, setMode] = useState(() => (shared ? shared.mode : 'free')); // 'free' | 'daily'
+  const [assist, setAssist] = useState(false); // live dead-end warnings
+  const [keepPath, setKeepPath] = useState(true); // lifting the pointer keeps a partial path
+  const [showLeaderboard, setShowLeaderboard] = useState(false);
+  const [leaderboardVersion, setLeaderboardVersion] = useState(0); // bumped after a submit to refetch
+  const [showStats, setShowStats] = useState(false);
+  const [statsVersion, setStatsVersion] = useState(0); // bumped after a run is recorded
+  const [showPuzzleTransfer, setShowPuzzleTransfer] = useState(false);
+  const [showEditor, setShowEditor] = useState(false); // the level designer takes the board's place
+  const [showLevels, setShowLevels] = useState(false); // so does the level select
+  const [levelsVersion, setLevelsVersion] = useState(0); // bumped after a level is solved
+  const [levelStars, setLevelStars] = useState(null); // stars the finished level run earned
+  // A board imported from a puzzle code or file (checkPuzzle result); played instead of generated ones
+  // until a setting changes
+  const [importedPuzzle, setImportedPuzzle] = useState(null);
+  // Campaign level the imported board came from; set whenever importedPuzzle is
+  const [levelId, setLevelId] = useState(null);
+  // Scores that could not be sent are kept and retried, so a finished run survives going offline
+  const scoreQueue = useScoreQueue({ onSubmitted: () => setLeaderboardVersion((n) => n + 1) });
+  // The shared seed stays pinned (Start/Restart replay it) until a setting changes
+  const [sharedSeed, setSharedSeed] = useState(() => (fromLink ? fromLink.seed : null));
+  const [today, setToday] = useState(() => utcDateKey());
+  const [daily, setDaily] = useState(() => getDailyStatus(today)); // { solvedToday, streak }
+  // An unfinished run from a previous visit, offered until the player resumes, discards or starts anew.
+  // A daily run from an earlier day cannot be resumed: that board is gone.
+  const [resumeOffer, setResumeOffer] = useState(() => {
+    const saved = loadSavedGame();
+    return saved && (saved.settings.mode !== 'daily' || saved.date === today) ? saved : null;
+  });
+  const isDaily = mode === 'daily';
+  const imported = isDaily ? null : importedPuzzle;
+  const level = useMemo(() => (imported && levelId ? findLevel(levelId) : null), [imported, levelId]);
+  // The daily board uses fixed settings so every player gets the same puzzle; an imported one brings its own
+  const board = isDaily ? DAILY_PUZZLE : imported ? importedBoard(imported) : { size, difficulty, clues, variant, generator };
+  // Obstacle boards have fewer cells to visit, so they keep their own best times
+  const shape = board.variant === 'classic' ? sizeKey(board.size) : `${sizeKey(board.size)}-${board.variant}`;
+  // Use an initial seed, but the hook randomizes on Start/Restart for variety (daily mode and links pin the seed)
+  const game = useGameState({
+    size: board.size,
+    seed: 1337,
+    difficulty: board.difficulty,
+    clues: board.clues,
+    variant: board.variant,
+    generator: board.generator || CURRENT_GENERATOR_VERSION,
+    fixedSeed: isDaily ? dailySeed(today) : sharedSeed,
+    customPuzzle: imported,
+    assist,
+    keepPartialPath: keepPath
+  });
+  // What the board was rated: a generator settles for the closest board when it cannot reach the requested
+  // difficulty, so stats and leaderboards go by this, while saves and links keep the setting that rebuilds the board
+  const ratedDifficulty = game.rating ? game.rating.level : board.difficulty;
   const { seconds, pause, resume, reset: resetTimer } = useTimer(false);
+  const playback = useSolutionPlayback(game.solution);
+  const { acceptSolution } = game.actions;
+
+  // The clock waits while a started run's board is still being built
+  useEffect(() => {
+    if (!game.started || game.completed || game.solution) return;
+    if (game.loading) pause();
+    else resume();
+  }, [game.completed, game.loading, game.solution, game.started, pause, resume]);
+
+  // Watching the solution to its last cell finishes the run as assisted
+  useEffect(() => {
+    if (playback.done) acceptSolution();
+  }, [acceptSolution, playback.done]);
 
-  // Track best time and previous best for completion modal
-  const [bestTimeMs, setBestMsState] = useState(() => getBestTimeMs());
-  const [prevBestMs, setPrevBestMs] = useState(() => getBestTimeMs());
+  // Autosave the active run (at most once per second of play); finished or revealed runs are dropped
+  const elapsed = Math.floor(seconds);
+  useEffect(() => {
+    if (game.completed || game.solution) {
+      clearSavedGame();
+      return;
+    }
+    if (!game.started) return;
+    saveGame({
+      settings: {
+        mode, size: board.size, difficulty: board.difficulty, clues: board.clues, variant: board.variant, generator: board.generator
+      },
+      date: isDaily ? today : null,
+      seed: game.seed,
+      path: game.path,
+      history: game.history,
+      moves: game.moves,
+      runId: game.runId,
+      puzzle: imported ? serializePuzzle(imported) : null,
+      levelId: level ? level.id : null,
+      seconds: elapsed,
+      hintsUsed: game.hintsUsed,
+      undos: game.undos
+    });
+  }, [
+    board.clues, board.difficulty, board.generator, board.size, board.variant, elapsed, game.completed, game.history,
+    game.hintsUsed, game.moves, game.path, game.runId, game.seed, game.solution, game.started, game.undos,
+    imported, isDaily, level, mode, today
+  ]);
+
+  // Track best time (per board shape) and previous best for completion modal
+  const [bestTimeMs, setBestMsState] = useState(() => getBestTimeMs(shape));
+  const [prevBestMs, setPrevBestMs] = useState(() => getBestTimeMs(shape));
   const [currentMs, setCurrentMs] = useState(null);
   const [isNewBest, setIsNewBest] = useState(false);
 
@@ -37,37 +172,204 @@ function App() {
       setCurrentMs(nowMs);
 
       // Read previous best BEFORE any updates
-      const stored = getBestTimeMs();
+      const stored = getBestTimeMs(shape);
       setPrevBestMs(stored);
 
-      // Compare and update flags/state, writing to storage only after prev is captured
-      if (stored == null || nowMs < stored) {
+      // Compare and update flags/state, writing to storage only after prev is captured.
+      // Assisted runs (solution shown) never set a best time or extend the daily streak; hinted runs never set a best time.
+      if (game.assisted || game.hintsUsed > 0) {
+        setIsNewBest(false);
+        setBestMsState(stored);
+      } else if (stored == null || nowMs < stored) {
         setIsNewBest(true);
         // Persist new best, but keep prevBestMs as the old value in state
-        setBestTimeMs(nowMs);
+        setBestTimeMs(nowMs, shape);
         setBestMsState(nowMs);
       } else {
         setIsNewBest(false);
         // Keep best state as stored value for display/reference
         setBestMsState(stored);
       }
+
+      if (isDaily && !game.assisted) setDaily(recordDailySolve(today));
     } else {
       // clear "new best" flag when leaving completion state
       setIsNewBest(false);
       setCurrentMs(null);
     }
-  }, [game.completed, pause, seconds]);
+  }, [game.assisted, game.completed, game.hintsUsed, isDaily, pause, seconds, shape, today]);
+
+  const movesCount = useMemo(() => Math.max(0, game.history.length - 1), [game.history.length]);
+  const exportable = useMemo(() => ({ grid: game.grid, obstacles: game.obstacles }), [game.grid, game.obstacles]);
+
+  // Every finished run goes into the local stats history; its run id keeps it to one entry
+  useEffect(() => {
+    if (!game.completed || currentMs == null) return;
+    recordRun({
+      runId: game.runId,
+      // An imported board has no seed that would bring it back
+      seed: imported ? null : game.seed,
+      size: sizeKey(board.size),
+      difficulty: ratedDifficulty,
+      variant: board.variant,
+      clues: board.clues,
+      generator: board.generator,
+      mode,
+      seconds: currentMs / 1000,
+      moves: movesCount,
+      undos: game.undos,
+      hintsUsed: game.hintsUsed,
+      assisted: game.assisted
+    });
+    setStatsVersion((n) => n + 1);
+  }, [
+    board.clues, board.generator, board.size, board.variant, currentMs, game.assisted, game.completed, game.hintsUsed,
+    game.runId, game.seed, game.undos, imported, mode, movesCount, ratedDifficulty
+  ]);
+
+  // A finished level run earns stars and may unlock the next level; assisted runs earn none
+  useEffect(() => {
+    if (!game.completed || currentMs == null || !level) {
+      setLevelStars(null);
+      return;
+    }
+    const { stars } = recordLevelResult(level.id, {
+      seconds: currentMs / 1000,
+      hintsUsed: game.hintsUsed,
+      assisted: game.assisted
+    });
+    setLevelStars(stars);
+    setLevelsVersion((n) => n + 1);
+  }, [currentMs, game.assisted, game.completed, game.hintsUsed, level]);
+  const followingLevel = useMemo(() => (level && levelStars ? nextLevel(level.id) : null), [level, levelStars]);
 
   // Reset button should fully reset to pre-game state, not auto-start
-  const onReset = () => {
+  const { resetAll } = game.actions;
+  const onReset = useCallback(() => {
     // Return to pre-game state while keeping the grid visible and non-interactive
-    game.actions.resetAll();
+    clearSavedGame();
+    resetAll();
     pause();
     resetTimer();
     // Do not touch best/prevBest here
+  }, [pause, resetAll, resetTimer]);
+
+  // A new UTC day brings a new daily board; an unfinished run on the old one is dropped
+  const onNewDay = useCallback(() => {
+    const key = utcDateKey();
+    setToday(key);
+    setDaily(getDailyStatus(key));
+    if (isDaily) onReset();
+  }, [isDaily, onReset]);
+
+  // Picking other settings leaves the shared or imported board behind
+  const unpinned = (setter) => (value) => {
+    setSharedSeed(null);
+    setImportedPuzzle(null);
+    setGenerator(CURRENT_GENERATOR_VERSION);
+    setter(value);
+  };
+
+  const onSizeChange = (nextSize) => {
+    setSharedSeed(null);
+    setImportedPuzzle(null);
+    setGenerator(CURRENT_GENERATOR_VERSION);
+    setSize(nextSize);
+    // Drop a clue count the new board cannot offer
+    if (clues != null && !clueCountOptions(nextSize).includes(clues)) setClues(null);
+  };
+
+  const onCopyLink = async () => {
+    const url = buildShareUrl({ mode, seed: game.seed, ...board });
+    try {
+      await navigator.clipboard.writeText(url);
+      return true;
+    } catch {
+      // Clipboard access can be denied (e.g., insecure origin); let the player copy by hand
+      window.prompt('Copy this link to share the board', url);
+      return false;
+    }
+  };
+
+  const onShowSolution = () => {
+    game.actions.showSolution();
+    pause();
+  };
+
+  const onResume = () => {
+    const saved = resumeOffer;
+    setResumeOffer(null);
+    // Rebuild the saved board first: same settings and seed give the same puzzle
+    const { settings } = saved;
+    setMode(settings.mode);
+    if (settings.mode !== 'daily') {
+      setSize(settings.size);
+      setDifficulty(settings.difficulty || 'medium');
+      setClues(settings.clues ?? null);
+      setVariant(settings.variant || 'classic');
+      setGenerator(settings.generator ?? LEGACY_GENERATOR_VERSION);
+    }
+    setSharedSeed(null);
+    // An imported board comes back from its puzzle code, checked like any import
+    const restored = saved.puzzle ? parsePuzzle(saved.puzzle) : null;
+    const checked = restored && restored.ok ? checkPuzzle(restored.puzzle) : null;
+    setImportedPuzzle(checked && checked.ok ? checked.puzzle : null);
+    setLevelId(saved.levelId ?? null);
+    game.actions.resumeGame(saved);
+    resetTimer(saved.seconds);
+    resume();
+  };
+
+  // Scores carry the board and the move log so the backend can replay the run before ranking it
+  // against the same kind of board; `difficulty` is the setting it is rebuilt from, the server ranks by the rating
+  const onSubmitScore = async (name) => {
+    const run = {
+      seconds: currentMs / 1000,
+      seed: game.seed,
+      size: sizeKey(board.size),
+      difficulty: board.difficulty,
+      variant: board.variant,
+      clues: board.clues,
+      generator: board.generator,
+      moves: game.moves
+    };
+    // Same check the server runs, against the board already on screen, to fail early with a reason
+    const replay = verifyReplay(run, { puzzle: { grid: game.grid, obstacles: game.obstacles } });
+    if (!replay.ok) throw new Error(`This run cannot be verified: ${replay.reason}`);
+    return scoreQueue.submit({ runId: game.runId, name, mode, ...run });
+  };
+
+  // A checked import replaces the board; the player starts it like any other
+  const onImportPuzzle = (puzzle) => {
+    setMode('free');
+    setSharedSeed(null);
+    setImportedPuzzle(puzzle);
+    setLevelId(null);
+    onReset();
+  };
+
+  // A campaign level is an imported board that remembers which level it is
+  const onPlayLevel = (entry) => {
+    const puzzle = loadLevelPuzzle(entry);
+    if (!puzzle) return;
+    onImportPuzzle(puzzle);
+    setLevelId(entry.id);
+    setShowLevels(false);
+  };
+
+  // A design from the editor is played like an imported board
+  const onPlayDesigned = (puzzle) => {
+    onImportPuzzle(puzzle);
+    setShowEditor(false);
+  };
+
+  const onDiscardSaved = () => {
+    clearSavedGame();
+    setResumeOffer(null);
   };
 
   const onStart = () => {
+    setResumeOffer(null);
     game.actions.startGame();
     resetTimer();
     resume();
@@ -85,14 +387,13 @@ function App() {
 
   const onCloseModal = () => {
     // Close should perform full reset and not auto-start
+    clearSavedGame();
     game.actions.resetAll();
     pause();
     resetTimer();
     // Do not alter prev/best on close
   };
 
-  const movesCount = useMemo(() => Math.max(0, game.history.length - 1), [game.history.length]);
-
   return (
     <div className="App app-shell">
       <TopBar
@@ -103,27 +404,151 @@ function App() {
         completed={game.completed}
         onStart={onStart}
         onRestart={onRestart}
+        onCopyLink={imported ? undefined : onCopyLink}
+        onHint={game.solution ? undefined : game.actions.requestHint}
+        onShowSolution={game.solution ? undefined : onShowSolution}
+        hintsUsed={game.hintsUsed}
+        onUndo={game.actions.undo}
+        onRedo={game.actions.redo}
+        canUndo={game.canUndo}
+        canRedo={game.canRedo}
+        onToggleLeaderboard={leaderboardEnabled() ? () => setShowLeaderboard((v) => !v) : undefined}
+        leaderboardOpen={showLeaderboard}
+        onToggleStats={() => setShowStats((v) => !v)}
+        statsOpen={showStats}
+        onTogglePuzzleTransfer={() => setShowPuzzleTransfer((v) => !v)}
+        puzzleTransferOpen={showPuzzleTransfer}
+        // Designing happens between runs
+        onToggleEditor={game.started ? undefined : () => {
+          setShowLevels(false);
+          setShowEditor((v) => !v);
+        }}
+        editorOpen={showEditor}
+        onToggleLevels={game.started ? undefined : () => {
+          setShowEditor(false);
+          setShowLevels((v) => !v);
+        }}
+        levelsOpen={showLevels}
       />
       <main className="main">
-        <section className="board-card" aria-describedby="rules">
-          <Grid
-            grid={game.grid}
-            path={game.path}
-            containerRef={game.containerRef}
-            handlers={game.handlers}
-            invalidAt={game.invalidAt}
-            started={game.started}
+        {showEditor ? (
+          <PuzzleEditor initialSize={board.size} onPlay={onPlayDesigned} onClose={() => setShowEditor(false)} />
+        ) : showLevels ? (
+          <LevelSelect
+            currentLevelId={level && level.id}
+            refreshKey={levelsVersion}
+            onPlay={onPlayLevel}
+            onClose={() => setShowLevels(false)}
           />
-          <div className="rules" id="rules">
-            <p>Connect numbers in ascending order with one continuous path that visits every cell exactly once. Vertical, horizontal, and mixed turns are all valid.</p>
-            {!game.completed && game.validation.reason && game.started && (
-              <p className="validation">{game.validation.reason}</p>
+        ) : (
+          <section className="board-card" aria-describedby="rules">
+            {resumeOffer && !game.started && (
+              <ResumeBanner saved={resumeOffer} onResume={onResume} onDiscard={onDiscardSaved} />
             )}
-            {game.completed && (
-              <p className="success">Completed in {formatSeconds(seconds)}.</p>
+            {isDaily && (
+              <DailyBanner
+                dateKey={today}
+                streak={daily.streak}
+                solvedToday={daily.solvedToday}
+                onNewDay={onNewDay}
+              />
             )}
-          </div>
-        </section>
+            {imported && (
+              <div className="resume-banner" role="status">
+                {level ? (
+                  <span>{level.pack.title}, level {level.number} of {level.pack.levels.length}. Par time {formatSeconds(level.pack.parSeconds)}.</span>
+                ) : (
+                  <span>Playing an imported {sizeLabel(board.size)} puzzle.</span>
+                )}
+                <div className="resume-actions">
+                  {level && (
+                    <button className="btn secondary" onClick={() => setShowLevels(true)} disabled={game.started}>
+                      All levels
+                    </button>
+                  )}
+                  <button className="btn secondary" onClick={() => setImportedPuzzle(null)} disabled={game.started}>
+                    Back to generated boards
+                  </button>
+                </div>
+              </div>
+            )}
+            <GameSettings
+              mode={mode}
+              onModeChange={unpinned(setMode)}
+              size={board.size}
+              onSizeChange={onSizeChange}
+              clues={board.clues}
+              onCluesChange={unpinned(setClues)}
+              difficulty={board.difficulty}
+              onDifficultyChange={unpinned(setDifficulty)}
+              variant={board.variant}
+              onVariantChange={unpinned(setVariant)}
+              rating={game.rating}
+              assist={assist}
+              onAssistChange={setAssist}
+              keepPath={keepPath}
+              onKeepPathChange={setKeepPath}
+              disabled={game.started}
+            />
+            <Grid
+              grid={game.grid}
+              path={game.solution && !game.completed ? playback.path : game.path}
+              containerRef={game.containerRef}
+              handlers={game.handlers}
+              invalidAt={game.invalidAt}
+              warningCells={game.warning && game.warning.cells}
+              obstacles={game.obstacles}
+              hint={game.hint}
+              playback={!!game.solution && !game.completed}
+              cursor={game.cursor}
+              drawing={game.drawing}
+              started={game.started && !game.loading}
+            />
+            <GameAnnouncer
+              grid={game.grid}
+              path={game.path}
+              total={game.cellCount}
+              validation={game.validation}
+              completed={game.completed}
+            />
+            {game.solution && !game.completed && <SolutionControls playback={playback} />}
+            <div className="rules" id="rules">
+              {game.loading && <p role="status">Building the board…</p>}
+              <p>Connect numbers in ascending order with one continuous path that visits every cell exactly once. Vertical, horizontal, and mixed turns are all valid.{board.variant === 'obstacles' && ' Skip the hatched cells and never cross a wall.'}</p>
+              {!game.completed && game.validation.reason && game.started && (
+                <p className="validation">{game.validation.reason}</p>
+              )}
+              {game.warning && (
+                <p className="validation">{game.warning.reason}</p>
+              )}
+              {game.completed && (
+                <p className="success">Completed in {formatSeconds(seconds)}.</p>
+              )}
+            </div>
+          </section>
+        )}
+        {showLeaderboard && (
+          <LeaderboardPanel
+            size={board.size}
+            difficulty={ratedDifficulty}
+            variant={board.variant}
+            clues={board.clues}
+            generator={board.generator || CURRENT_GENERATOR_VERSION}
+            mode={mode}
+            refreshKey={leaderboardVersion}
+            onClose={() => setShowLeaderboard(false)}
+          />
+        )}
+        {showPuzzleTransfer && (
+          <PuzzleTransfer
+            puzzle={exportable}
+            onImport={onImportPuzzle}
+            onClose={() => setShowPuzzleTransfer(false)}
+          />
+        )}
+        {showStats && (
+          <StatsPanel size={board.size} refreshKey={statsVersion} onClose={() => setShowStats(false)} />
+        )}
       </main>
       <CompletionModal
         open={game.completed}
@@ -131,8 +556,16 @@ function App() {
         currentTimeMs={currentMs}
         prevBestOldMs={prevBestMs}
         isNewBest={isNewBest}
+        hintsUsed={game.hintsUsed}
+        assisted={game.assisted}
+        dailyStreak={isDaily ? daily.streak : null}
+        levelStars={levelStars}
+        // The server rebuilds boards from their seed, which an imported board does not have
+        onSubmitScore={leaderboardEnabled() && !imported ? onSubmitScore : undefined}
+        scoreStatus={scoreQueue.statuses[game.runId]}
         onClose={onCloseModal}
         onPlayAgain={onPlayAgain}
+        onNextLevel={followingLevel ? () => onPlayLevel(followingLevel) : undefined}
       />
     </div>
   );
@@ -1,4 +1,4 @@
-import { render } from '@testing-library/react';
+import { fireEvent, render, screen, within } from '@testing-library/react';
 import App from './App';
 
 // PUBLIC_INTERFACE
@@ -6,3 +6,58 @@ test('renders app without crashing', () => {
   /** Minimal smoke test to ensure App mounts successfully. */
   render(<App />);
 });
+
+// PUBLIC_INTERFACE
+test('the board is exposed as an accessible grid with announced moves', () => {
+  /** Cells are gridcells labelled with their clue and path step; moves and rejected moves reach the live region. */
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+
+  const board = screen.getByRole('grid', { name: 'Link Loop grid' });
+  const rows = within(board).getAllByRole('row');
+  expect(within(board).getAllByRole('gridcell')).toHaveLength(rows.length * within(rows[0]).getAllByRole('gridcell').length);
+
+  const one = within(board).getByRole('gridcell', { name: /number 1,/ });
+  expect(one).toHaveAccessibleName(/not on path/);
+  const updates = screen.getByRole('status', { name: 'Game updates' });
+
+  // Keyboard start on 1: the cell joins the path and the move is announced
+  fireEvent.keyDown(board, { key: 'Enter' });
+  expect(one).toHaveAccessibleName(/path step 1\b/);
+  expect(updates).toHaveTextContent(/^Step 1 of \d+: row \d+, column \d+, number 1$/);
+
+  // Starting anywhere else is rejected and the reason is announced
+  fireEvent.keyDown(board, { key: 'Escape' });
+  const [, col] = one.getAttribute('aria-label').match(/column (\d+)/);
+  fireEvent.keyDown(board, { key: Number(col) > 1 ? 'ArrowLeft' : 'ArrowRight' });
+  fireEvent.keyDown(board, { key: 'Enter' });
+  expect(updates).toHaveTextContent('Start on 1 to begin the sequence');
+});
+
+// PUBLIC_INTERFACE
+test('an imported puzzle replaces the generated board', () => {
+  /** Loading a puzzle code swaps the board in; Start plays it rather than rolling a new one. */
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Show puzzle import and export' }));
+  fireEvent.change(screen.getByRole('textbox', { name: 'Puzzle code or JSON' }), { target: { value: 'LL1:2x2:1a/2a' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Check and load' }));
+
+  expect(screen.getByText('Playing an imported 2×2 puzzle.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  expect(screen.getAllByRole('gridcell')).toHaveLength(4);
+  expect(screen.getByRole('button', { name: 'Back to generated boards' })).toBeDisabled();
+});
+
+// PUBLIC_INTERFACE
+test('a level picked from the level select takes the board', () => {
+  /** The level select replaces the board; picking a level shows it with its pack and par time. */
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Open level select' }));
+  expect(screen.getByRole('button', { name: 'First Steps level 2, locked' })).toBeDisabled();
+  fireEvent.click(screen.getByRole('button', { name: 'First Steps level 1, not solved yet' }));
+
+  expect(screen.getByText('First Steps, level 1 of 6. Par time 00:30.')).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Start game' }));
+  expect(screen.getAllByRole('gridcell')).toHaveLength(16);
+  expect(screen.queryByRole('button', { name: 'Open level select' })).not.toBeInTheDocument();
+});
@@ -1,6 +1,10 @@
-import React from 'react';
+import React, { useState } from 'react';
 import ReactDOM from 'react-dom';
 import { formatSecondsMs } from '../utils/gameUtils';
+import { MAX_STARS } from '../utils/levelPacks';
+
+// Longest accepted player name; the backend enforces the same limit
+const NAME_MAX_LENGTH = 24;
 
 /**
  * Ensure there is a single overlay root in the document for portals.
@@ -17,9 +21,94 @@ function getOrCreateOverlayRoot() {
   return el;
 }
 
+/**
+ * Name entry and submission for the online leaderboard. Mounted with the modal, so every run starts fresh.
+ * Once handed over, the score's fate comes from `scoreStatus` ({ status: 'pending' | 'submitted' | 'rejected',
+ * reason }), which keeps changing while the modal is open as the queue retries.
+ */
+function ScoreForm({ onSubmitScore, scoreStatus }) {
+  const [name, setName] = useState('');
+  const [status, setStatus] = useState('idle'); // idle | submitting | error
+  const [error, setError] = useState('');
+
+  const submit = async (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    setStatus('submitting');
+    setError('');
+    try {
+      await onSubmitScore(trimmed);
+      setStatus('idle');
+    } catch (err) {
+      setError(err.message || 'Could not submit your score');
+      setStatus('error');
+    }
+  };
+
+  if (scoreStatus?.status === 'submitted') {
+    return <p className="score-form-note success" role="status">Score submitted. Check the leaderboard!</p>;
+  }
+  if (scoreStatus?.status === 'pending' && status !== 'submitting') {
+    return (
+      <p className="score-form-note pending" role="status">
+        The leaderboard can't be reached right now. Your score is saved and will be sent automatically.
+      </p>
+    );
+  }
+  if (scoreStatus?.status === 'rejected') {
+    return (
+      <p className="score-form-note validation" role="alert">
+        The leaderboard rejected this score{scoreStatus.reason ? `: ${scoreStatus.reason}` : '.'}
+      </p>
+    );
+  }
+
+  return (
+    <form className="score-form" onSubmit={submit}>
+      <label htmlFor="score-name">Submit your time</label>
+      <div className="score-form-row">
+        <input
+          id="score-name"
+          type="text"
+          placeholder="Your name"
+          value={name}
+          maxLength={NAME_MAX_LENGTH}
+          onChange={(e) => setName(e.target.value)}
+          disabled={status === 'submitting'}
+        />
+        <button className="btn" type="submit" disabled={status === 'submitting' || !name.trim()}>
+          {status === 'submitting' ? 'Submitting…' : 'Submit'}
+        </button>
+      </div>
+      {status === 'error' && <p className="score-form-note validation" role="alert">{error}</p>}
+    </form>
+  );
+}
+
 // PUBLIC_INTERFACE
-export default function CompletionModal({ open, currentTimeMs, prevBestOldMs, isNewBest, onClose, onPlayAgain }) {
-  /** Shown when puzzle is completed successfully, rendered via a portal above all content. */
+export default function CompletionModal({
+  open,
+  currentTimeMs,
+  prevBestOldMs,
+  isNewBest,
+  hintsUsed = 0,
+  assisted = false,
+  dailyStreak = null,
+  levelStars = null,
+  onSubmitScore,
+  scoreStatus = null,
+  onClose,
+  onPlayAgain,
+  onNextLevel
+}) {
+  /** Shown when puzzle is completed successfully, rendered via a portal above all content. `dailyStreak` is set for daily puzzles.
+   * An `assisted` run (solution shown) is labelled as such and never counts as a new best.
+   * Neither it nor a run with `hintsUsed` can be submitted to the leaderboard, and a hinted run is no new best either.
+   * `onSubmitScore(name)` (a promise) enables leaderboard submission; leave it unset when there is no backend.
+   * `scoreStatus` is where this run's submission stands (see ScoreForm).
+   * For campaign levels, `levelStars` is what this run earned and `onNextLevel` (when set) moves on to the next level.
+   */
   if (!open) return null;
 
   // Guard and format values consistently
@@ -35,10 +124,16 @@ export default function CompletionModal({ open, currentTimeMs, prevBestOldMs, is
     <div className="modal-backdrop" role="dialog" aria-modal="true" aria-label="Puzzle completed">
       <div className="modal-card">
         <div className="modal-header">
-          <h2>Congratulations!</h2>
+          <h2>{assisted ? 'Solved with assistance' : 'Congratulations!'}</h2>
         </div>
         <div className="modal-body">
-          <p>You completed the Link Loop.</p>
+          <p>
+            {assisted
+              ? 'The solution was shown, so this run does not count toward your best time.'
+              : hintsUsed > 0
+                ? 'You completed the Link Loop with hints, so this run does not count toward your best time or the leaderboard.'
+                : 'You completed the Link Loop.'}
+          </p>
 
           <div style={{ display: 'grid', gap: 8, marginTop: 8 }}>
             <div style={{ display: 'flex', justifyContent: 'space-between' }}>
@@ -49,9 +144,25 @@ export default function CompletionModal({ open, currentTimeMs, prevBestOldMs, is
               <span>Previous Best</span>
               <strong>{previousLabel}</strong>
             </div>
+            <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+              <span>Hints Used</span>
+              <strong>{hintsUsed}</strong>
+            </div>
+            {levelStars != null && !assisted && (
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Stars</span>
+                <strong aria-label={`${levelStars} of ${MAX_STARS} stars`}>{'★'.repeat(levelStars)}{'☆'.repeat(MAX_STARS - levelStars)}</strong>
+              </div>
+            )}
+            {dailyStreak != null && (
+              <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+                <span>Daily Streak</span>
+                <strong>🔥 {dailyStreak} {dailyStreak === 1 ? 'day' : 'days'}</strong>
+              </div>
+            )}
           </div>
 
-          {isNewBest && (
+          {isNewBest && !assisted && (
             <div
               style={{
                 marginTop: 12,
@@ -70,9 +181,12 @@ export default function CompletionModal({ open, currentTimeMs, prevBestOldMs, is
               🏅 New best time unlocked!
             </div>
           )}
+
+          {onSubmitScore && !assisted && !hintsUsed && <ScoreForm onSubmitScore={onSubmitScore} scoreStatus={scoreStatus} />}
         </div>
         <div className="modal-actions">
-          <button className="btn" onClick={onPlayAgain}>Play Again</button>
+          {onNextLevel && <button className="btn" onClick={onNextLevel}>Next Level</button>}
+          <button className={onNextLevel ? 'btn secondary' : 'btn'} onClick={onPlayAgain}>Play Again</button>
           <button className="btn danger" onClick={onClose}>Close</button>
         </div>
       </div>
@@ -0,0 +1,21 @@
+import { render, screen } from '@testing-library/react';
+import CompletionModal from './CompletionModal';
+
+const props = { open: true, currentTimeMs: 42000, prevBestOldMs: 50000, onClose() {}, onPlayAgain() {} };
+
+// PUBLIC_INTERFACE
+test('only runs without help can be submitted to the leaderboard', () => {
+  /** A clean run gets the name form; a run with hints or the solution shown explains why it does not count. */
+  const onSubmitScore = jest.fn();
+  const { rerender } = render(<CompletionModal {...props} isNewBest onSubmitScore={onSubmitScore} />);
+  expect(screen.getByLabelText('Submit your time')).toBeInTheDocument();
+  expect(screen.getByText('🏅 New best time unlocked!')).toBeInTheDocument();
+
+  rerender(<CompletionModal {...props} hintsUsed={2} onSubmitScore={onSubmitScore} />);
+  expect(screen.queryByLabelText('Submit your time')).not.toBeInTheDocument();
+  expect(screen.getByText(/with hints, so this run does not count toward your best time or the leaderboard/)).toBeInTheDocument();
+
+  rerender(<CompletionModal {...props} assisted hintsUsed={1} onSubmitScore={onSubmitScore} />);
+  expect(screen.queryByLabelText('Submit your time')).not.toBeInTheDocument();
+  expect(screen.getByText('Solved with assistance')).toBeInTheDocument();
+});
@@ -0,0 +1,29 @@
+import React, { useEffect, useState } from 'react';
+import { formatCountdown, msUntilNextDaily, utcDateKey } from '../utils/daily';
+
+// PUBLIC_INTERFACE
+export default function DailyBanner({ dateKey, streak, solvedToday, onNewDay }) {
+  /** Daily mode status: today's date, solved flag, streak and a live countdown to the next puzzle. */
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, []);
+
+  // Past UTC midnight the shown puzzle is yesterday's
+  useEffect(() => {
+    if (utcDateKey(now) !== dateKey) onNewDay();
+  }, [now, dateKey, onNewDay]);
+
+  return (
+    <div className="daily-banner">
+      <span className="daily-date">Daily · {dateKey}</span>
+      <span className={`daily-status ${solvedToday ? 'solved' : ''}`}>
+        {solvedToday ? '✓ Solved today' : 'Not solved yet'}
+      </span>
+      <span className="daily-streak">🔥 Streak: <strong>{streak}</strong></span>
+      <span className="daily-countdown">Next puzzle in {formatCountdown(msUntilNextDaily(now))}</span>
+    </div>
+  );
+}
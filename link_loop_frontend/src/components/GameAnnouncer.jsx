@@ -0,0 +1,30 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { describePathChange } from '../utils/announce';
+
+// PUBLIC_INTERFACE
+export default function GameAnnouncer({ grid, path, total, validation, completed }) {
+  /** Visually hidden live region announcing path moves, rejected moves (`validation.reason`) and completion. */
+  const [message, setMessage] = useState('');
+  const prevPath = useRef(path);
+
+  useEffect(() => {
+    const text = describePathChange(grid, prevPath.current, path, total);
+    prevPath.current = path;
+    if (text) setMessage(text);
+  }, [grid, path, total]);
+
+  // Rejected moves and failed checks; cleared reasons (e.g. after undo) are not announced
+  useEffect(() => {
+    if (!validation.ok && validation.reason) setMessage(validation.reason);
+  }, [validation]);
+
+  useEffect(() => {
+    if (completed) setMessage('Puzzle complete: every cell is linked.');
+  }, [completed]);
+
+  return (
+    <div className="sr-only" role="status" aria-live="polite" aria-label="Game updates">
+      {message}
+    </div>
+  );
+}
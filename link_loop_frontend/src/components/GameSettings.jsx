@@ -0,0 +1,115 @@
+import React from 'react';
+import { DIFFICULTY_LEVELS, getDifficultyLevel } from '../utils/difficulty';
+import { BOARD_SIZES, clueCountOptions, PUZZLE_VARIANTS, sizeKey, sizeLabel } from '../utils/gameUtils';
+
+// PUBLIC_INTERFACE
+export default function GameSettings({
+  mode = 'free',
+  onModeChange,
+  size,
+  onSizeChange,
+  clues,
+  onCluesChange,
+  difficulty,
+  onDifficultyChange,
+  variant = 'classic',
+  onVariantChange,
+  rating,
+  assist = false,
+  onAssistChange,
+  keepPath = true,
+  onKeepPathChange,
+  disabled = false
+}) {
+  /** Pre-game options for the next board. Disabled while a run is in progress. `clues` null means automatic.
+   * In daily mode the board options are fixed and only the mode can change.
+   * The assist and keep-path toggles stay available during a run.
+   */
+  const rated = rating ? getDifficultyLevel(rating.level) : null;
+  const locked = disabled || mode === 'daily';
+  return (
+    <div className="game-settings">
+      <label className="setting">
+        <span>Mode</span>
+        <select
+          value={mode}
+          onChange={(e) => onModeChange(e.target.value)}
+          disabled={disabled}
+        >
+          <option value="free">Free play</option>
+          <option value="daily">Daily</option>
+        </select>
+      </label>
+      <label className="setting">
+        <span>Board</span>
+        <select
+          value={sizeKey(size)}
+          onChange={(e) => onSizeChange(BOARD_SIZES.find((s) => sizeKey(s) === e.target.value))}
+          disabled={locked}
+        >
+          {BOARD_SIZES.map((s) => (
+            <option key={sizeKey(s)} value={sizeKey(s)}>{sizeLabel(s)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="setting">
+        <span>Clues</span>
+        <select
+          value={clues == null ? 'auto' : String(clues)}
+          onChange={(e) => onCluesChange(e.target.value === 'auto' ? null : Number(e.target.value))}
+          disabled={locked}
+        >
+          <option value="auto">Auto</option>
+          {clueCountOptions(size).map((n) => (
+            <option key={n} value={n}>{n}</option>
+          ))}
+        </select>
+      </label>
+      <label className="setting">
+        <span>Difficulty</span>
+        <select
+          value={difficulty}
+          onChange={(e) => onDifficultyChange(e.target.value)}
+          disabled={locked}
+        >
+          {DIFFICULTY_LEVELS.map((level) => (
+            <option key={level.id} value={level.id}>{level.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="setting">
+        <span>Variant</span>
+        <select
+          value={variant}
+          onChange={(e) => onVariantChange(e.target.value)}
+          disabled={locked}
+        >
+          {PUZZLE_VARIANTS.map((v) => (
+            <option key={v.id} value={v.id}>{v.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="setting toggle" title="Highlight dead ends and cut-off regions while drawing">
+        <input
+          type="checkbox"
+          checked={assist}
+          onChange={(e) => onAssistChange(e.target.checked)}
+        />
+        <span>Assist</span>
+      </label>
+      <label className="setting toggle" title="Keep a partial path when you lift your finger; press its end to continue">
+        <input
+          type="checkbox"
+          checked={keepPath}
+          onChange={(e) => onKeepPathChange(e.target.checked)}
+        />
+        <span>Keep path</span>
+      </label>
+      {rated && (
+        <span className="rating-badge" title={`Difficulty score ${rating.score}/100`}>
+          Rated {rated.label}
+        </span>
+      )}
+    </div>
+  );
+}
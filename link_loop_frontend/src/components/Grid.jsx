@@ -1,5 +1,7 @@
-import React, { useMemo } from 'react';
+import React, { useId, useMemo } from 'react';
 import PathSVG from './PathSVG';
+import { isBlocked, wallList } from '../utils/obstacles';
+import { cellLabel } from '../utils/announce';
 
 const Grid = ({
   grid,
@@ -7,9 +9,17 @@ const Grid = ({
   containerRef,
   handlers,
   invalidAt,
-  started = true
+  warningCells = null,
+  obstacles = null,
+  hint = null,
+  playback = false,
+  cursor = null,
+  drawing = false,
+  started = true,
+  onCellClick = null
 }) => {
-  const size = grid.length;
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
 
   // Responsive cell size via CSS, but compute base for SVG viewBox
   const cellSize = 100; // arbitrary for viewBox; element scales via CSS
@@ -17,12 +27,30 @@ const Grid = ({
 
   const numberedCells = useMemo(() => {
     const cells = [];
-    for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) {
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
       const v = grid[r][c];
       if (v != null) cells.push({ r, c, v });
     }
     return cells;
-  }, [grid, size]);
+  }, [grid, rows, cols]);
+
+  const walls = useMemo(() => wallList(obstacles), [obstacles]);
+  const idPrefix = useId();
+  const cellId = (r, c) => `${idPrefix}-cell-${r}-${c}`;
+
+  // 1-based path step per cell, keyed "r,c"; cell labels carry the path for screen readers
+  const steps = useMemo(() => new Map(path.map((p, i) => [`${p.row},${p.col}`, i + 1])), [path]);
+
+  // Assist warnings share the invalid-move styling
+  const warned = useMemo(() => new Set((warningCells || []).map((p) => `${p.row},${p.col}`)), [warningCells]);
+
+  // Cells revealed by the current hint, keyed "r,c"
+  const hintCells = useMemo(() => {
+    if (!hint) return new Set();
+    const cells = hint.type === 'wrong' ? [hint.cell] : hint.cells;
+    return new Set(cells.map((p) => `${p.row},${p.col}`));
+  }, [hint]);
+  const hintClass = hint && hint.type === 'wrong' ? 'hint-wrong' : 'hint';
 
   // Only attach interaction handlers when started
   const interactiveProps = started
@@ -35,7 +63,8 @@ const Grid = ({
         onTouchEnd: handlers.onTouchEnd,
         onTouchCancel: handlers.onTouchCancel,
         onPointerCancel: handlers.onPointerCancel,
-        onPointerLeave: handlers.onPointerLeave
+        onPointerLeave: handlers.onPointerLeave,
+        onKeyDown: handlers.onKeyDown
       }
     : {};
 
@@ -44,40 +73,69 @@ const Grid = ({
       className={`grid-container`}
       ref={containerRef}
       {...interactiveProps}
-      role="application"
+      role="grid"
       aria-label="Link Loop grid"
+      aria-rowcount={rows}
+      aria-colcount={cols}
+      aria-activedescendant={started && cursor ? cellId(cursor.row, cursor.col) : undefined}
       aria-disabled={!started}
+      aria-keyshortcuts="Enter ArrowUp ArrowDown ArrowLeft ArrowRight Escape"
+      tabIndex={started ? 0 : -1}
       style={{
         // Block pointer events when not started; keep visuals visible
         pointerEvents: started ? 'auto' : 'none',
-        opacity: started ? 1 : 0.6
+        opacity: started ? 1 : 0.6,
+        // Rectangular boards keep square cells by matching the container's aspect ratio
+        '--aspect': cols / rows
       }}
     >
       <div
         className="grid"
         style={{
-          gridTemplateColumns: `repeat(${size}, 1fr)`,
-          gridTemplateRows: `repeat(${size}, 1fr)`
+          gridTemplateColumns: `repeat(${cols}, 1fr)`,
+          gridTemplateRows: `repeat(${rows}, 1fr)`
         }}
       >
-        {Array.from({ length: size * size }, (_, i) => {
-          const r = Math.floor(i / size);
-          const c = i % size;
-          const val = grid[r][c];
-          const isInvalid = invalidAt && invalidAt.row === r && invalidAt.col === c;
-          return (
-            <div
-              key={`${r}-${c}`}
-              className={`cell ${val ? 'has-number' : ''} ${isInvalid ? 'invalid' : ''}`}
-            >
-              {val ? <span className="digit">{val}</span> : null}
-            </div>
-          );
-        })}
+        {Array.from({ length: rows }, (_, r) => (
+          // Rows only group cells for assistive tech; layout stays on the CSS grid
+          <div key={r} className="grid-row" role="row" aria-rowindex={r + 1}>
+            {Array.from({ length: cols }, (__, c) => {
+              const val = grid[r][c];
+              const isInvalid = (invalidAt && invalidAt.row === r && invalidAt.col === c) || warned.has(`${r},${c}`);
+              const blocked = isBlocked(obstacles, r, c);
+              const hinted = hintCells.has(`${r},${c}`);
+              const atCursor = started && cursor && cursor.row === r && cursor.col === c;
+              return (
+                <div
+                  key={`${r}-${c}`}
+                  id={cellId(r, c)}
+                  role="gridcell"
+                  aria-colindex={c + 1}
+                  aria-label={cellLabel(grid, r, c, { obstacles, step: steps.get(`${r},${c}`) || 0 })}
+                  aria-selected={!!atCursor}
+                  className={`cell ${val ? 'has-number' : ''} ${isInvalid ? 'invalid' : ''} ${blocked ? 'blocked' : ''} ${hinted ? hintClass : ''} ${atCursor ? `cursor${drawing ? ' drawing' : ''}` : ''} ${onCellClick && !blocked ? 'editable' : ''}`}
+                  // The editor places and removes clues cell by cell instead of drawing paths
+                  onClick={onCellClick ? () => onCellClick(r, c) : undefined}
+                >
+                  {val ? <span className={`digit ${val >= 10 ? 'multi-digit' : ''}`} aria-hidden="true">{val}</span> : null}
+                </div>
+              );
+            })}
+          </div>
+        ))}
       </div>
       {/* Path overlay remains visible to show any pre-existing path/history */}
       <div className="path-overlay" aria-hidden="true">
-        <PathSVG path={path} cellSize={cellSize} size={size} padding={padding} />
+        <PathSVG
+          path={path}
+          walls={walls}
+          cellSize={cellSize}
+          rows={rows}
+          cols={cols}
+          padding={padding}
+          redraw={!playback}
+          showHead={playback}
+        />
       </div>
     </div>
   );
@@ -0,0 +1,139 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { fetchLeaderboard, leaderboardEnabled } from '../services/leaderboard';
+import { DIFFICULTY_LEVELS, getDifficultyLevel } from '../utils/difficulty';
+import { BOARD_SIZES, formatSecondsMs, PUZZLE_VARIANTS, sizeKey, sizeLabel } from '../utils/gameUtils';
+import { CURRENT_GENERATOR_VERSION } from '../utils/generators';
+
+// Entries shown per filter
+const TOP_COUNT = 10;
+
+// PUBLIC_INTERFACE
+export default function LeaderboardPanel({
+  size,
+  difficulty,
+  variant = 'classic',
+  clues = null,
+  generator = CURRENT_GENERATOR_VERSION,
+  mode = 'free',
+  refreshKey = 0,
+  onClose
+}) {
+  /** Top times from the backend, filterable by board size, difficulty, variant and mode (empty filter = all).
+   * Filters start on the given board. The clue count (null = the generator's default) and generator version always
+   * follow the given board, so only runs on the same kind of board are listed together, as the server ranks them.
+   * `refreshKey` refetches, e.g. after a score was submitted. Renders nothing when no backend is configured.
+   */
+  const [sizeFilter, setSizeFilter] = useState(() => (size ? sizeKey(size) : ''));
+  const [difficultyFilter, setDifficultyFilter] = useState(difficulty || '');
+  const [variantFilter, setVariantFilter] = useState(variant);
+  const [modeFilter, setModeFilter] = useState(mode);
+  const [state, setState] = useState({ status: 'loading', entries: [], error: null });
+  const [attempt, setAttempt] = useState(0);
+  const enabled = leaderboardEnabled();
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+    let active = true;
+    setState((s) => ({ ...s, status: 'loading', error: null }));
+    fetchLeaderboard({
+      size: sizeFilter,
+      difficulty: difficultyFilter,
+      variant: variantFilter,
+      clues: clues ?? 'default',
+      generator,
+      mode: modeFilter,
+      limit: TOP_COUNT
+    })
+      .then((entries) => {
+        if (active) setState({ status: 'ready', entries: Array.isArray(entries) ? entries : [], error: null });
+      })
+      .catch((err) => {
+        if (active) setState({ status: 'error', entries: [], error: err.message || 'Could not load the leaderboard' });
+      });
+    // A newer request (filter change, retry, unmount) makes this one stale
+    return () => {
+      active = false;
+    };
+  }, [attempt, clues, difficultyFilter, enabled, generator, modeFilter, refreshKey, sizeFilter, variantFilter]);
+
+  const retry = useCallback(() => setAttempt((n) => n + 1), []);
+
+  if (!enabled) return null;
+
+  return (
+    <section className="leaderboard-panel" aria-labelledby="leaderboard-title" aria-busy={state.status === 'loading'}>
+      <div className="leaderboard-header">
+        <h2 id="leaderboard-title">Leaderboard</h2>
+        {onClose && (
+          <button className="btn secondary" onClick={onClose} aria-label="Close leaderboard">Close</button>
+        )}
+      </div>
+      <div className="leaderboard-filters">
+        <label className="setting">
+          <span>Board</span>
+          <select value={sizeFilter} onChange={(e) => setSizeFilter(e.target.value)}>
+            <option value="">All sizes</option>
+            {BOARD_SIZES.map((s) => (
+              <option key={sizeKey(s)} value={sizeKey(s)}>{sizeLabel(s)}</option>
+            ))}
+          </select>
+        </label>
+        <label className="setting">
+          <span>Difficulty</span>
+          <select value={difficultyFilter} onChange={(e) => setDifficultyFilter(e.target.value)}>
+            <option value="">All</option>
+            {DIFFICULTY_LEVELS.map((level) => (
+              <option key={level.id} value={level.id}>{level.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="setting">
+          <span>Variant</span>
+          <select value={variantFilter} onChange={(e) => setVariantFilter(e.target.value)}>
+            <option value="">All</option>
+            {PUZZLE_VARIANTS.map((v) => (
+              <option key={v.id} value={v.id}>{v.label}</option>
+            ))}
+          </select>
+        </label>
+        <label className="setting">
+          <span>Mode</span>
+          <select value={modeFilter} onChange={(e) => setModeFilter(e.target.value)}>
+            <option value="">All</option>
+            <option value="free">Free play</option>
+            <option value="daily">Daily</option>
+          </select>
+        </label>
+      </div>
+
+      {state.status === 'loading' && <p className="leaderboard-note">Loading top times…</p>}
+      {state.status === 'error' && (
+        <p className="leaderboard-note validation" role="alert">
+          {state.error}{' '}
+          <button className="btn secondary" onClick={retry}>Retry</button>
+        </p>
+      )}
+      {state.status === 'ready' && state.entries.length === 0 && (
+        <p className="leaderboard-note">No times yet for this board. Be the first!</p>
+      )}
+      {state.status === 'ready' && state.entries.length > 0 && (
+        <ol className="leaderboard-list">
+          {state.entries.map((entry, i) => {
+            const level = getDifficultyLevel(entry.difficulty);
+            return (
+              <li key={`${entry.name}-${entry.seconds}-${entry.createdAt || i}`}>
+                <span className="leaderboard-rank">{i + 1}</span>
+                <span className="leaderboard-name">{entry.name}</span>
+                <span className="leaderboard-board">
+                  {entry.size ? entry.size.replace('x', '×') : ''}{level ? ` · ${level.label}` : ''}
+                  {entry.variant === 'obstacles' ? ' · Obstacles' : ''}{entry.mode === 'daily' ? ' · Daily' : ''}
+                </span>
+                <strong className="leaderboard-time">{formatSecondsMs(entry.seconds)}</strong>
+              </li>
+            );
+          })}
+        </ol>
+      )}
+    </section>
+  );
+}
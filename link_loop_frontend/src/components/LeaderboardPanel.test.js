@@ -0,0 +1,74 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import LeaderboardPanel from './LeaderboardPanel';
+import { fetchLeaderboard, leaderboardEnabled } from '../services/leaderboard';
+import { CURRENT_GENERATOR_VERSION } from '../utils/generators';
+
+jest.mock('../services/leaderboard', () => ({
+  fetchLeaderboard: jest.fn(),
+  leaderboardEnabled: jest.fn(),
+}));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  leaderboardEnabled.mockReturnValue(true);
+});
+
+// PUBLIC_INTERFACE
+test('the panel shows loading, then top times, and refetches when a filter changes', async () => {
+  /** Filters start on the current board and are passed to fetchLeaderboard, clue count and generator included. */
+  fetchLeaderboard.mockResolvedValue([{ name: 'Ada', seconds: 61.25, size: '6x6', difficulty: 'medium' }]);
+  render(<LeaderboardPanel size={{ rows: 6, cols: 6 }} difficulty="medium" />);
+
+  expect(screen.getByText('Loading top times…')).toBeInTheDocument();
+  expect(await screen.findByRole('listitem')).toHaveTextContent('Ada6×6 · Medium01:01.250');
+  const board = { variant: 'classic', clues: 'default', generator: CURRENT_GENERATOR_VERSION, mode: 'free', limit: 10 };
+  expect(fetchLeaderboard).toHaveBeenLastCalledWith({ size: '6x6', difficulty: 'medium', ...board });
+
+  fetchLeaderboard.mockResolvedValue([]);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Difficulty' }), { target: { value: '' } });
+  expect(await screen.findByText('No times yet for this board. Be the first!')).toBeInTheDocument();
+  expect(fetchLeaderboard).toHaveBeenLastCalledWith({ size: '6x6', difficulty: '', ...board });
+
+  fetchLeaderboard.mockResolvedValue([{ name: 'Bo', seconds: 30, size: '6x6', difficulty: 'easy', variant: 'obstacles', mode: 'daily' }]);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Mode' }), { target: { value: '' } });
+  expect(await screen.findByRole('listitem')).toHaveTextContent('Bo6×6 · Easy · Obstacles · Daily00:30.000');
+  expect(fetchLeaderboard).toHaveBeenLastCalledWith({ size: '6x6', difficulty: '', ...board, mode: '' });
+
+  fetchLeaderboard.mockResolvedValue([]);
+  fireEvent.change(screen.getByRole('combobox', { name: 'Mode' }), { target: { value: 'free' } });
+  fireEvent.change(screen.getByRole('combobox', { name: 'Variant' }), { target: { value: 'obstacles' } });
+  await screen.findByText('No times yet for this board. Be the first!');
+  expect(fetchLeaderboard).toHaveBeenLastCalledWith({ size: '6x6', difficulty: '', ...board, variant: 'obstacles' });
+});
+
+// PUBLIC_INTERFACE
+test('a board with its own clue count, generator and mode lists only runs like it', async () => {
+  /** The clue count and generator version come from the board; the mode filter starts on its mode. */
+  fetchLeaderboard.mockResolvedValue([]);
+  render(<LeaderboardPanel size={{ rows: 6, cols: 8 }} difficulty="hard" variant="obstacles" clues={14} generator={1} mode="daily" />);
+  await screen.findByText('No times yet for this board. Be the first!');
+  expect(fetchLeaderboard).toHaveBeenLastCalledWith({
+    size: '6x8', difficulty: 'hard', variant: 'obstacles', clues: 14, generator: 1, mode: 'daily', limit: 10,
+  });
+});
+
+// PUBLIC_INTERFACE
+test('a failed request shows an error with a working retry', async () => {
+  /** Errors surface as an alert; Retry fetches again. */
+  fetchLeaderboard.mockRejectedValueOnce(new Error('Server unavailable')).mockResolvedValue([]);
+  render(<LeaderboardPanel size={{ rows: 5, cols: 5 }} difficulty="easy" />);
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Server unavailable');
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  expect(await screen.findByText('No times yet for this board. Be the first!')).toBeInTheDocument();
+  expect(fetchLeaderboard).toHaveBeenCalledTimes(2);
+});
+
+// PUBLIC_INTERFACE
+test('the panel renders nothing without a backend', () => {
+  /** No backend URL means no panel and no requests. */
+  leaderboardEnabled.mockReturnValue(false);
+  const { container } = render(<LeaderboardPanel size={{ rows: 5, cols: 5 }} />);
+  expect(container).toBeEmptyDOMElement();
+  expect(fetchLeaderboard).not.toHaveBeenCalled();
+});
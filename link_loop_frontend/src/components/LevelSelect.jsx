@@ -0,0 +1,69 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { campaignStatus, loadLevelProgress, MAX_STARS } from '../utils/levelPacks';
+import { formatSeconds, sizeLabel } from '../utils/gameUtils';
+import { getDifficultyLevel } from '../utils/difficulty';
+
+const starText = (stars) => '★'.repeat(stars) + '☆'.repeat(MAX_STARS - stars);
+
+// PUBLIC_INTERFACE
+export default function LevelSelect({ currentLevelId = null, refreshKey = 0, onPlay, onClose }) {
+  /** Level-select screen for the campaign (utils/levelPacks): every pack with its levels, stars and locks.
+   * `onPlay(level)` gets an unlocked level; `refreshKey` rereads the stored progress, e.g. after a solve.
+   */
+  const [progress, setProgress] = useState(loadLevelProgress);
+
+  useEffect(() => {
+    setProgress(loadLevelProgress());
+  }, [refreshKey]);
+
+  const campaign = useMemo(() => campaignStatus(progress), [progress]);
+
+  return (
+    <section className="board-card level-select" aria-labelledby="level-select-title">
+      <div className="leaderboard-header">
+        <h2 id="level-select-title">Levels</h2>
+        {onClose && <button className="btn secondary" onClick={onClose}>Back to the game</button>}
+      </div>
+      <p className="leaderboard-note">
+        {campaign.stars} of {campaign.maxStars} stars. Each solve earns a star, plus one for beating the par
+        time and one for using no hints. Finish a level to open the next.
+      </p>
+
+      {campaign.packs.map((pack, i) => (
+        <section key={pack.id} className={`level-pack${pack.unlocked ? '' : ' locked'}`} aria-labelledby={`pack-${pack.id}`}>
+          <div className="stats-section-header">
+            <h3 id={`pack-${pack.id}`}>{pack.title}</h3>
+            <span className="level-pack-meta">
+              {sizeLabel(pack.size)} · {getDifficultyLevel(pack.difficulty).label} · par {formatSeconds(pack.parSeconds)}
+              {' · '}{pack.stars}/{pack.levels.length * MAX_STARS} ★
+            </span>
+          </div>
+          <p className="leaderboard-note">
+            {pack.unlocked ? pack.description : `Finish every level of ${campaign.packs[i - 1].title} to unlock.`}
+          </p>
+          <ol className="level-grid">
+            {pack.levels.map((level) => {
+              const state = !level.unlocked ? 'locked' : level.completed ? `${level.stars} of ${MAX_STARS} stars` : 'not solved yet';
+              return (
+                <li key={level.id}>
+                  <button
+                    className={`level-button${level.id === currentLevelId ? ' current' : ''}${level.completed ? ' completed' : ''}`}
+                    onClick={() => onPlay(level)}
+                    disabled={!level.unlocked}
+                    aria-label={`${pack.title} level ${level.number}, ${state}`}
+                  >
+                    <span className="level-number">{level.unlocked ? level.number : '🔒'}</span>
+                    <span className="level-stars" aria-hidden="true">{starText(level.stars)}</span>
+                    {level.bestSeconds != null && (
+                      <span className="level-best" aria-hidden="true">{formatSeconds(level.bestSeconds)}</span>
+                    )}
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        </section>
+      ))}
+    </section>
+  );
+}
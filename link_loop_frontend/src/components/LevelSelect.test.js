@@ -0,0 +1,21 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import LevelSelect from './LevelSelect';
+import { LEVEL_PACKS, recordLevelResult } from '../utils/levelPacks';
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('the level select shows stars and only lets unlocked levels be played', () => {
+  /** After solving the first level, it shows its stars and the second level opens. */
+  const [first, second] = LEVEL_PACKS[0].levels;
+  recordLevelResult(first.id, { seconds: 5, hintsUsed: 0 });
+  const onPlay = jest.fn();
+  render(<LevelSelect onPlay={onPlay} />);
+
+  expect(screen.getByText(/^3 of 72 stars/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'First Steps level 1, 3 of 3 stars' })).toBeEnabled();
+  expect(screen.getByRole('button', { name: 'First Steps level 3, locked' })).toBeDisabled();
+
+  fireEvent.click(screen.getByRole('button', { name: 'First Steps level 2, not solved yet' }));
+  expect(onPlay).toHaveBeenCalledWith(expect.objectContaining({ id: second.id, number: 2 }));
+});
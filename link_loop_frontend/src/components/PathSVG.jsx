@@ -1,7 +1,17 @@
 import React, { useEffect, useMemo, useRef } from 'react';
 import { buildSvgPathFromPoints, gridCoordToSvgPoint } from '../utils/gameUtils';
 
-const PathSVG = ({ path, cellSize, padding = 0, size, color = 'var(--c-primary)' }) => {
+const PathSVG = ({
+  path,
+  walls = [],
+  cellSize,
+  padding = 0,
+  rows,
+  cols,
+  color = 'var(--c-primary)',
+  redraw = true,
+  showHead = false
+}) => {
   const pathRef = useRef(null);
 
   const points = useMemo(() => {
@@ -10,10 +20,26 @@ const PathSVG = ({ path, cellSize, padding = 0, size, color = 'var(--c-primary)'
 
   const d = useMemo(() => buildSvgPathFromPoints(points), [points]);
 
+  // Each wall is drawn on the border shared by its two cells
+  const wallSegments = useMemo(() => walls.map(([a, b]) => {
+    const row = Math.max(a.row, b.row);
+    const col = Math.max(a.col, b.col);
+    return a.row === b.row
+      ? { x1: padding + col * cellSize, y1: padding + row * cellSize, x2: padding + col * cellSize, y2: padding + (row + 1) * cellSize }
+      : { x1: padding + col * cellSize, y1: padding + row * cellSize, x2: padding + (col + 1) * cellSize, y2: padding + row * cellSize };
+  }), [walls, cellSize, padding]);
+
   useEffect(() => {
     // Animate stroke-dashoffset to draw path
     const el = pathRef.current;
     if (!el) return;
+    if (!redraw) {
+      // Playback grows the path one cell at a time, so each step shows at once
+      el.style.transition = 'none';
+      el.style.strokeDasharray = 'none';
+      el.style.strokeDashoffset = '0';
+      return;
+    }
     const len = el.getTotalLength();
     el.style.strokeDasharray = `${len}`;
     el.style.strokeDashoffset = `${len}`;
@@ -22,16 +48,27 @@ const PathSVG = ({ path, cellSize, padding = 0, size, color = 'var(--c-primary)'
       el.style.transition = 'stroke-dashoffset 300ms ease';
       el.style.strokeDashoffset = '0';
     });
-  }, [d]);
+  }, [d, redraw]);
+
+  const head = showHead && points.length ? points[points.length - 1] : null;
 
   return (
     <svg
       width="100%"
       height="100%"
-      viewBox={`0 0 ${padding * 2 + size * cellSize} ${padding * 2 + size * cellSize}`}
+      viewBox={`0 0 ${padding * 2 + cols * cellSize} ${padding * 2 + rows * cellSize}`}
       preserveAspectRatio="none"
       aria-hidden="true"
     >
+      {wallSegments.map((w) => (
+        <line
+          key={`${w.x1},${w.y1},${w.x2},${w.y2}`}
+          className="wall"
+          {...w}
+          strokeWidth={Math.max(4, cellSize * 0.1)}
+          strokeLinecap="round"
+        />
+      ))}
       <path
         ref={pathRef}
         d={d}
@@ -41,6 +78,9 @@ const PathSVG = ({ path, cellSize, padding = 0, size, color = 'var(--c-primary)'
         strokeLinecap="round"
         strokeLinejoin="round"
       />
+      {head && (
+        <circle className="path-head" cx={head.x} cy={head.y} r={cellSize * 0.18} fill={color} />
+      )}
     </svg>
   );
 };
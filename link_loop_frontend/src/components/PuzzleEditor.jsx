@@ -0,0 +1,178 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import Grid from './Grid';
+import { usePuzzleEditor } from '../hooks/usePuzzleEditor';
+import {
+  checkPuzzle, parsePuzzle, puzzleToJson, PUZZLE_MAX_SIDE, PUZZLE_MIN_SIDE, serializePuzzle, sizeLabel
+} from '../utils/gameUtils';
+import { getDifficultyLevel } from '../utils/difficulty';
+import { deleteCustomPuzzle, loadCustomPuzzles, saveCustomPuzzle } from '../utils/customPuzzles';
+import { downloadText } from '../utils/download';
+
+// Longest name for a saved puzzle
+const NAME_MAX_LENGTH = 40;
+
+const FEEDBACK = {
+  incomplete: { tone: 'muted', text: 'Place at least the numbers 1 and 2.' },
+  none: { tone: 'validation', text: 'No solution: no path visits every cell through these numbers.' },
+  unique: { tone: 'success', text: 'Exactly one solution. Ready to play.' },
+  multiple: { tone: 'warning', text: 'More than one solution. Add numbers to rule the others out.' },
+  unproven: { tone: 'warning', text: 'Solvable, but the solver gave up before proving the solution is unique.' },
+  unknown: { tone: 'warning', text: 'The solver gave up before finding a solution. Add numbers to narrow the search.' },
+};
+
+// Board size of a saved puzzle, for the list
+function describeSaved(entry) {
+  const parsed = parsePuzzle(entry.code);
+  return parsed.ok ? sizeLabel({ rows: parsed.puzzle.grid.length, cols: parsed.puzzle.grid[0].length }) : 'unreadable';
+}
+
+// PUBLIC_INTERFACE
+export default function PuzzleEditor({ initialSize, onPlay, onClose }) {
+  /** Level designer: click cells of an empty board to place numbers 1, 2, 3 … (click a number to remove it)
+   * with live solver feedback and an optional preview of a solution. Designs are saved to this browser
+   * (utils/customPuzzles), exported as a puzzle code or JSON, or played right away through `onPlay(checked)`.
+   */
+  const editor = usePuzzleEditor(initialSize);
+  const { rows, cols, grid, obstacles, feedback, actions } = editor;
+  const [preview, setPreview] = useState(false);
+  const [name, setName] = useState('');
+  const [saved, setSaved] = useState(loadCustomPuzzles);
+  const [note, setNote] = useState('');
+
+  const puzzle = useMemo(() => ({ grid, obstacles }), [grid, obstacles]);
+  const code = useMemo(() => serializePuzzle(puzzle), [puzzle]);
+  const playable = feedback.solution != null;
+  const level = feedback.rating ? getDifficultyLevel(feedback.rating.level) : null;
+  const { tone, text } = FEEDBACK[feedback.status];
+
+  // Any edit makes an earlier "saved" note stale
+  useEffect(() => setNote(''), [code]);
+
+  const onSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const entry = saveCustomPuzzle({ name: trimmed, code });
+    setNote(entry ? `Saved "${trimmed}".` : 'This browser did not let the puzzle be saved.');
+    setSaved(loadCustomPuzzles());
+  };
+
+  const onEditSaved = (entry) => {
+    const parsed = parsePuzzle(entry.code);
+    if (!parsed.ok) return;
+    actions.load(parsed.puzzle);
+    setName(entry.name);
+  };
+
+  const onPlaySaved = (entry) => {
+    const parsed = parsePuzzle(entry.code);
+    const checked = parsed.ok ? checkPuzzle(parsed.puzzle) : parsed;
+    if (checked.ok) onPlay(checked.puzzle);
+    else setNote(`"${entry.name}" cannot be played: ${checked.reason}`);
+  };
+
+  const onDeleteSaved = (entry) => {
+    deleteCustomPuzzle(entry.id);
+    setSaved(loadCustomPuzzles());
+  };
+
+  const sideInput = (label, value, onChange) => (
+    <label className="setting">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={PUZZLE_MIN_SIDE}
+        max={PUZZLE_MAX_SIDE}
+        value={value}
+        onChange={(e) => e.target.value !== '' && onChange(Number(e.target.value))}
+      />
+    </label>
+  );
+
+  return (
+    <section className="board-card puzzle-editor" aria-labelledby="puzzle-editor-title">
+      <div className="leaderboard-header">
+        <h2 id="puzzle-editor-title">Puzzle editor</h2>
+        {onClose && <button className="btn secondary" onClick={onClose}>Back to the game</button>}
+      </div>
+      <div className="leaderboard-filters">
+        {sideInput('Rows', rows, (r) => actions.resize(r, cols))}
+        {sideInput('Columns', cols, (c) => actions.resize(rows, c))}
+        <button className="btn secondary" onClick={actions.clear} disabled={editor.clueCount === 0}>Clear numbers</button>
+      </div>
+      <p className="leaderboard-note">
+        Click an empty cell to place the next number, or a number to remove it (later numbers move down).
+        With the keyboard, move with the arrow keys and press Enter.
+      </p>
+
+      <Grid
+        grid={grid}
+        path={preview && feedback.solution ? feedback.solution : []}
+        containerRef={null}
+        handlers={editor.handlers}
+        invalidAt={null}
+        obstacles={obstacles}
+        cursor={editor.cursor}
+        onCellClick={actions.toggleCell}
+      />
+
+      <p className={`editor-feedback ${tone}`} role="status">
+        {text}
+        {level && playable ? ` Rated ${level.label}.` : ''}
+      </p>
+      <label className="setting toggle">
+        <input type="checkbox" checked={preview} disabled={!playable} onChange={(e) => setPreview(e.target.checked)} />
+        Show a solution
+      </label>
+
+      <form className="score-form" onSubmit={onSave}>
+        <label htmlFor="editor-name">Name</label>
+        <div className="score-form-row">
+          <input
+            id="editor-name"
+            type="text"
+            placeholder="Tutorial 1"
+            value={name}
+            maxLength={NAME_MAX_LENGTH}
+            onChange={(e) => setName(e.target.value)}
+          />
+          <button className="btn secondary" type="submit" disabled={!name.trim() || !playable}>Save</button>
+          <button
+            className="btn"
+            type="button"
+            disabled={!playable}
+            onClick={() => onPlay({ ...puzzle, unique: feedback.status === 'unique', rating: feedback.rating, solution: feedback.solution })}
+          >
+            Play
+          </button>
+        </div>
+      </form>
+      <div className="score-form-row editor-export">
+        <input type="text" readOnly value={code} aria-label="Puzzle code" onFocus={(e) => e.target.select()} />
+        <button className="btn secondary" onClick={() => downloadText('link-loop-puzzle.json', puzzleToJson(puzzle))} disabled={!playable}>
+          Download JSON
+        </button>
+      </div>
+      {note && <p className="score-form-note" role="status">{note}</p>}
+
+      {saved.length > 0 && (
+        <>
+          <h3>Saved puzzles</h3>
+          <ul className="leaderboard-list editor-saved">
+            {saved.map((entry) => (
+              <li key={entry.id}>
+                <span className="leaderboard-name">{entry.name}</span>
+                <span className="leaderboard-board">{describeSaved(entry)}</span>
+                <span className="editor-saved-actions">
+                  <button className="btn secondary" onClick={() => onEditSaved(entry)} aria-label={`Edit ${entry.name}`}>Edit</button>
+                  <button className="btn secondary" onClick={() => onPlaySaved(entry)} aria-label={`Play ${entry.name}`}>Play</button>
+                  <button className="btn danger" onClick={() => onDeleteSaved(entry)} aria-label={`Delete ${entry.name}`}>Delete</button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </section>
+  );
+}
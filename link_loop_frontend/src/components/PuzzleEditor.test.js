@@ -0,0 +1,24 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import PuzzleEditor from './PuzzleEditor';
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('a designed puzzle can be saved, listed and played', () => {
+  /** Clicking cells places clues; once the solver finds one solution the design saves and plays. */
+  const onPlay = jest.fn();
+  const { container } = render(<PuzzleEditor initialSize={{ rows: 2, cols: 2 }} onPlay={onPlay} />);
+  const cells = container.querySelectorAll('.cell');
+  fireEvent.click(cells[0]);
+  fireEvent.click(cells[2]);
+  expect(screen.getByRole('status')).toHaveTextContent('Exactly one solution. Ready to play.');
+  expect(screen.getByRole('textbox', { name: 'Puzzle code' })).toHaveValue('LL1:2x2:1a/2a');
+
+  fireEvent.change(screen.getByLabelText('Name'), { target: { value: 'Corner' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Save' }));
+  const list = screen.getByRole('list');
+  expect(within(list).getByText('Corner')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Play Corner' }));
+  expect(onPlay).toHaveBeenCalledWith(expect.objectContaining({ grid: [[1, null], [2, null]], unique: true }));
+});
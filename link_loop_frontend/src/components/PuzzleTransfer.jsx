@@ -0,0 +1,106 @@
+import React, { useEffect, useId, useMemo, useState } from 'react';
+import { checkPuzzle, parsePuzzle, puzzleToJson, serializePuzzle, sizeLabel } from '../utils/gameUtils';
+import { downloadText } from '../utils/download';
+
+// PUBLIC_INTERFACE
+export default function PuzzleTransfer({ puzzle, onImport, onClose }) {
+  /** Export the board on screen ({ grid, obstacles }) as a puzzle code or JSON file, and import one by pasting
+   * or opening a file. An import is only handed to `onImport(checked)` once checkPuzzle found a solution.
+   */
+  const code = useMemo(() => serializePuzzle(puzzle), [puzzle]);
+  const [text, setText] = useState('');
+  const [status, setStatus] = useState(null); // { ok, message }
+  const [copied, setCopied] = useState(false);
+  const inputId = useId();
+
+  // Drop the "Copied" confirmation after a moment
+  useEffect(() => {
+    if (!copied) return undefined;
+    const id = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(id);
+  }, [copied]);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      setCopied(true);
+    } catch {
+      window.prompt('Copy this puzzle code', code);
+    }
+  };
+
+  const openFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    setText(await file.text());
+    setStatus(null);
+  };
+
+  const importPuzzle = (e) => {
+    e.preventDefault();
+    const parsed = parsePuzzle(text);
+    if (!parsed.ok) {
+      setStatus({ ok: false, message: parsed.reason });
+      return;
+    }
+    const checked = checkPuzzle(parsed.puzzle);
+    if (!checked.ok) {
+      setStatus({ ok: false, message: checked.reason });
+      return;
+    }
+    const { grid } = checked.puzzle;
+    const note = checked.puzzle.unique ? '' : ' It has more than one solution, so any valid path counts.';
+    setStatus({ ok: true, message: `Loaded a ${sizeLabel({ rows: grid.length, cols: grid[0].length })} puzzle. Press Start to play.${note}` });
+    setText('');
+    onImport(checked.puzzle);
+  };
+
+  return (
+    <section className="stats-panel puzzle-transfer" aria-labelledby="puzzle-transfer-title">
+      <div className="leaderboard-header">
+        <h2 id="puzzle-transfer-title">Import / export puzzle</h2>
+        {onClose && (
+          <button className="btn secondary" onClick={onClose} aria-label="Close import and export">Close</button>
+        )}
+      </div>
+
+      <h3>This board</h3>
+      <div className="score-form-row">
+        <input type="text" readOnly value={code} aria-label="Puzzle code for this board" onFocus={(e) => e.target.select()} />
+        <button className="btn secondary" onClick={copyCode}>{copied ? 'Copied!' : 'Copy code'}</button>
+        <button className="btn secondary" onClick={() => downloadText('link-loop-puzzle.json', puzzleToJson(puzzle))}>
+          Download JSON
+        </button>
+      </div>
+
+      <h3>Play another board</h3>
+      <form className="score-form" onSubmit={importPuzzle}>
+        <label htmlFor={inputId}>Puzzle code or JSON</label>
+        <textarea
+          id={inputId}
+          rows={3}
+          value={text}
+          placeholder="LL1:4x4:1c/d/b2a/3c"
+          spellCheck={false}
+          onChange={(e) => {
+            setText(e.target.value);
+            setStatus(null);
+          }}
+        />
+        <div className="stats-actions">
+          <button className="btn" type="submit" disabled={!text.trim()}>Check and load</button>
+          <label className="btn secondary file-button">
+            Open file…
+            <input type="file" accept=".txt,.json,application/json,text/plain" onChange={openFile} />
+          </label>
+        </div>
+      </form>
+      {status && (
+        <p className={`score-form-note ${status.ok ? 'success' : 'validation'}`} role={status.ok ? 'status' : 'alert'}>
+          {status.message}
+        </p>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,24 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import PuzzleTransfer from './PuzzleTransfer';
+import { generateGrid, serializePuzzle } from '../utils/gameUtils';
+
+// PUBLIC_INTERFACE
+test('the panel exports this board and only imports solvable ones', () => {
+  /** The code field shows the current board; a pasted board reaches onImport after the solver check. */
+  const puzzle = generateGrid({ rows: 4, cols: 4 }, 99);
+  const onImport = jest.fn();
+  render(<PuzzleTransfer puzzle={puzzle} onImport={onImport} />);
+  expect(screen.getByRole('textbox', { name: 'Puzzle code for this board' })).toHaveValue(serializePuzzle(puzzle));
+
+  const field = screen.getByRole('textbox', { name: 'Puzzle code or JSON' });
+  const load = screen.getByRole('button', { name: 'Check and load' });
+  fireEvent.change(field, { target: { value: 'LL1:4x4:1c/d/d/c2' } });
+  fireEvent.click(load);
+  expect(screen.getByRole('alert')).toHaveTextContent('This board has no solution');
+  expect(onImport).not.toHaveBeenCalled();
+
+  fireEvent.change(field, { target: { value: 'LL1:2x2:1a/2a' } });
+  fireEvent.click(load);
+  expect(screen.getByRole('status')).toHaveTextContent('Loaded a 2×2 puzzle. Press Start to play.');
+  expect(onImport).toHaveBeenCalledWith(expect.objectContaining({ grid: [[1, null], [2, null]], unique: true }));
+});
@@ -0,0 +1,19 @@
+import React from 'react';
+import { formatSeconds, sizeLabel } from '../utils/gameUtils';
+
+// PUBLIC_INTERFACE
+export default function ResumeBanner({ saved, onResume, onDiscard }) {
+  /** Offers to pick an unfinished run back up after a reload. */
+  const board = saved.settings.mode === 'daily' ? 'daily puzzle' : `${sizeLabel(saved.settings.size)} puzzle`;
+  return (
+    <div className="resume-banner" role="status">
+      <span>
+        You have an unfinished {board} ({formatSeconds(saved.seconds)}, {saved.path.length} cells drawn).
+      </span>
+      <div className="resume-actions">
+        <button className="btn" onClick={onResume}>Resume</button>
+        <button className="btn secondary" onClick={onDiscard}>Discard</button>
+      </div>
+    </div>
+  );
+}
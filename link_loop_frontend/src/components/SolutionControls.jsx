@@ -0,0 +1,23 @@
+import React from 'react';
+
+// PUBLIC_INTERFACE
+export default function SolutionControls({ playback }) {
+  /** Play/pause and single-step controls for the "Show solution" playback. */
+  const { step, total, playing, play, pause, stepForward, stepBack } = playback;
+  return (
+    <div className="solution-controls" role="group" aria-label="Solution playback">
+      <button className="btn secondary" onClick={stepBack} disabled={step === 0} aria-label="Step back">
+        ◀
+      </button>
+      {playing ? (
+        <button className="btn" onClick={pause} aria-label="Pause playback">Pause</button>
+      ) : (
+        <button className="btn" onClick={play} aria-label="Play solution">Play</button>
+      )}
+      <button className="btn secondary" onClick={stepForward} disabled={step >= total} aria-label="Step forward">
+        ▶
+      </button>
+      <span className="solution-progress">Cell {step} / {total}</span>
+    </div>
+  );
+}
@@ -0,0 +1,158 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { bestTimeTrend, clearRuns, exportRuns, loadRuns, runsBySize, summarizeRuns } from '../utils/runStats';
+import { formatSecondsMs, sizeKey } from '../utils/gameUtils';
+import { downloadText } from '../utils/download';
+
+// Trend chart drawing area in SVG units; it scales to the panel width
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+const CHART_PAD = 8;
+
+const formatAverage = (value) => (value == null ? '—' : value.toFixed(1));
+const formatTime = (seconds) => (seconds == null ? '—' : formatSecondsMs(seconds));
+const shapeLabel = (size) => size.replace('x', '×');
+
+/**
+ * Best time so far as a line, with each run's own time as a dot. Older runs on the left.
+ */
+function TrendChart({ points }) {
+  const slowest = Math.max(...points.map((p) => p.seconds));
+  const fastest = Math.min(...points.map((p) => p.best));
+  const span = slowest - fastest || 1;
+  const x = (i) => CHART_PAD + (points.length === 1 ? 0.5 : i / (points.length - 1)) * (CHART_WIDTH - 2 * CHART_PAD);
+  const y = (seconds) => CHART_PAD + ((slowest - seconds) / span) * (CHART_HEIGHT - 2 * CHART_PAD);
+  const first = points[0].best;
+  const last = points[points.length - 1].best;
+  const label = `Best time over ${points.length} ${points.length === 1 ? 'run' : 'runs'}: from ${formatSecondsMs(first)} to ${formatSecondsMs(last)}`;
+
+  return (
+    <svg className="stats-trend" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} role="img" aria-label={label}>
+      {points.map((p, i) => (
+        <circle key={i} className="stats-trend-run" cx={x(i)} cy={y(p.seconds)} r="3" />
+      ))}
+      <polyline
+        className="stats-trend-best"
+        points={points.map((p, i) => `${x(i)},${y(p.best)}`).join(' ')}
+        fill="none"
+      />
+    </svg>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function StatsPanel({ size, refreshKey = 0, onClose }) {
+  /** Local statistics from the run history (utils/runStats): totals and averages, the best-time trend for one
+   * board size (starting on the given board) and solves per board size, with export and clear.
+   * `refreshKey` rereads the history, e.g. after a run was recorded.
+   */
+  const [runs, setRuns] = useState(loadRuns);
+  const [trendSize, setTrendSize] = useState(() => (size ? sizeKey(size) : ''));
+  const [confirmClear, setConfirmClear] = useState(false);
+
+  useEffect(() => {
+    setRuns(loadRuns());
+  }, [refreshKey]);
+
+  const summary = useMemo(() => summarizeRuns(runs), [runs]);
+  const sizes = useMemo(() => runsBySize(runs), [runs]);
+  // Fall back to the first size with runs when the chosen one has none
+  const shownSize = sizes.some((s) => s.size === trendSize) ? trendSize : sizes[0]?.size;
+  const trend = useMemo(() => bestTimeTrend(runs.filter((r) => r.size === shownSize)), [runs, shownSize]);
+  const mostSolves = Math.max(1, ...sizes.map((s) => s.count));
+
+  const onExport = () => downloadText('link-loop-stats.json', exportRuns(runs));
+  const onClear = () => {
+    if (!confirmClear) {
+      setConfirmClear(true);
+      return;
+    }
+    clearRuns();
+    setRuns([]);
+    setConfirmClear(false);
+  };
+
+  const tiles = [
+    ['Solves', summary.total],
+    ['Best time', formatTime(summary.bestSeconds)],
+    ['Average time', formatTime(summary.averageSeconds)],
+    ['Average moves', formatAverage(summary.averageMoves)],
+    ['Average undos', formatAverage(summary.averageUndos)],
+    ['Average hints', formatAverage(summary.averageHints)],
+  ];
+
+  return (
+    <section className="stats-panel" aria-labelledby="stats-title">
+      <div className="leaderboard-header">
+        <h2 id="stats-title">Your stats</h2>
+        {onClose && (
+          <button className="btn secondary" onClick={onClose} aria-label="Close stats">Close</button>
+        )}
+      </div>
+
+      {runs.length === 0 ? (
+        <p className="leaderboard-note">No finished runs yet. Solve a board to start your history.</p>
+      ) : (
+        <>
+          <dl className="stats-summary">
+            {tiles.map(([label, value]) => (
+              <div key={label} className="stats-tile">
+                <dt>{label}</dt>
+                <dd>{value}</dd>
+              </div>
+            ))}
+          </dl>
+          {summary.assisted > 0 && (
+            <p className="leaderboard-note">
+              Plus {summary.assisted} {summary.assisted === 1 ? 'run' : 'runs'} solved with the solution shown, not counted above.
+            </p>
+          )}
+          {summary.averageHints > 0 && (
+            <p className="leaderboard-note">Runs that took a hint are left out of best times.</p>
+          )}
+
+          {sizes.length > 0 && (
+            <>
+              <div className="stats-section-header">
+                <h3>Best time trend</h3>
+                <label className="setting">
+                  <span>Board</span>
+                  <select value={shownSize} onChange={(e) => setTrendSize(e.target.value)}>
+                    {sizes.map((s) => (
+                      <option key={s.size} value={s.size}>{shapeLabel(s.size)}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              {trend.length > 0
+                ? <TrendChart points={trend} />
+                : <p className="leaderboard-note">No runs on this board without hints yet.</p>}
+
+              <h3>Solves by board size</h3>
+              <ul className="stats-sizes">
+                {sizes.map((s) => (
+                  <li key={s.size}>
+                    <span>{shapeLabel(s.size)}</span>
+                    <span className="stats-bar" aria-hidden="true">
+                      <span style={{ width: `${(s.count / mostSolves) * 100}%` }} />
+                    </span>
+                    <span>{s.count} {s.count === 1 ? 'solve' : 'solves'} · best {formatTime(s.bestSeconds)} · avg {formatSecondsMs(s.averageSeconds)}</span>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+
+      <div className="stats-actions">
+        <button className="btn secondary" onClick={onExport} disabled={runs.length === 0}>Export</button>
+        <button className="btn danger" onClick={onClear} disabled={runs.length === 0}>
+          {confirmClear ? 'Really clear history?' : 'Clear history'}
+        </button>
+        {confirmClear && (
+          <button className="btn secondary" onClick={() => setConfirmClear(false)}>Keep it</button>
+        )}
+      </div>
+    </section>
+  );
+}
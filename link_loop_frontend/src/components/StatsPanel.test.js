@@ -0,0 +1,31 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import StatsPanel from './StatsPanel';
+import { loadRuns, recordRun } from '../utils/runStats';
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('the dashboard summarizes the history and clears it after confirmation', () => {
+  /** Tiles, the trend for the current board and the per-size list come from the stored runs. */
+  recordRun({ runId: 'a', size: '6x6', seconds: 80, moves: 36, undos: 1, hintsUsed: 0, completedAt: 1 });
+  recordRun({ runId: 'b', size: '6x6', seconds: 60, moves: 40, undos: 3, hintsUsed: 1, completedAt: 2 });
+  recordRun({ runId: 'c', size: '4x4', seconds: 15, moves: 16, undos: 0, hintsUsed: 0, completedAt: 3 });
+  render(<StatsPanel size={{ rows: 6, cols: 6 }} />);
+
+  expect(screen.getByText('Solves').nextSibling).toHaveTextContent('3');
+  expect(screen.getByText('Average undos').nextSibling).toHaveTextContent('1.3');
+  // Run b took a hint, so it is no best time
+  expect(screen.getByRole('img', { name: 'Best time over 1 run: from 01:20.000 to 01:20.000' })).toBeInTheDocument();
+  expect(screen.getByText('Best time').nextSibling).toHaveTextContent('00:15.000');
+  const sizes = within(screen.getByRole('list')).getAllByRole('listitem');
+  expect(sizes.map((li) => li.textContent)).toEqual([
+    '4×41 solve · best 00:15.000 · avg 00:15.000',
+    '6×62 solves · best 01:20.000 · avg 01:10.000',
+  ]);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Clear history' }));
+  expect(loadRuns()).toHaveLength(3);
+  fireEvent.click(screen.getByRole('button', { name: 'Really clear history?' }));
+  expect(loadRuns()).toEqual([]);
+  expect(screen.getByText('No finished runs yet. Solve a board to start your history.')).toBeInTheDocument();
+});
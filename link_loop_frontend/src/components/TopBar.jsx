@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import { formatSeconds } from '../utils/gameUtils';
 
 // PUBLIC_INTERFACE
@@ -9,9 +9,40 @@ export default function TopBar({
   started,
   completed,
   onStart,
-  onRestart
+  onRestart,
+  onCopyLink,
+  onHint,
+  hintsUsed = 0,
+  onShowSolution,
+  onUndo,
+  onRedo,
+  canUndo = false,
+  canRedo = false,
+  onToggleLeaderboard,
+  leaderboardOpen = false,
+  onToggleStats,
+  statsOpen = false,
+  onTogglePuzzleTransfer,
+  puzzleTransferOpen = false,
+  onToggleEditor,
+  editorOpen = false,
+  onToggleLevels,
+  levelsOpen = false
 }) {
-  /** Displays timer, move counter, and actions */
+  /** Displays timer, move counter, and actions. `onCopyLink` resolves to true once the share link is on the clipboard. */
+  const [copied, setCopied] = useState(false);
+
+  // Drop the "Copied" confirmation after a moment
+  useEffect(() => {
+    if (!copied) return undefined;
+    const id = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(id);
+  }, [copied]);
+
+  const copyLink = async () => {
+    if (await onCopyLink()) setCopied(true);
+  };
+
   return (
     <div className="topbar">
       <div className="left">
@@ -26,11 +57,86 @@ export default function TopBar({
         </div>
       </div>
       <div className="right">
+        {onToggleLevels && (
+          <button
+            className="btn secondary"
+            onClick={onToggleLevels}
+            aria-pressed={levelsOpen}
+            aria-label={levelsOpen ? 'Close level select' : 'Open level select'}
+          >
+            🗺️ Levels
+          </button>
+        )}
+        {onToggleEditor && (
+          <button
+            className="btn secondary"
+            onClick={onToggleEditor}
+            aria-pressed={editorOpen}
+            aria-label={editorOpen ? 'Close puzzle editor' : 'Open puzzle editor'}
+          >
+            ✏️ Editor
+          </button>
+        )}
+        {onTogglePuzzleTransfer && (
+          <button
+            className="btn secondary"
+            onClick={onTogglePuzzleTransfer}
+            aria-pressed={puzzleTransferOpen}
+            aria-label={puzzleTransferOpen ? 'Hide puzzle import and export' : 'Show puzzle import and export'}
+          >
+            ⇅ Import/Export
+          </button>
+        )}
+        {onToggleStats && (
+          <button
+            className="btn secondary"
+            onClick={onToggleStats}
+            aria-pressed={statsOpen}
+            aria-label={statsOpen ? 'Hide stats' : 'Show stats'}
+          >
+            📊 Stats
+          </button>
+        )}
+        {onToggleLeaderboard && (
+          <button
+            className="btn secondary"
+            onClick={onToggleLeaderboard}
+            aria-pressed={leaderboardOpen}
+            aria-label={leaderboardOpen ? 'Hide leaderboard' : 'Show leaderboard'}
+          >
+            🏆 Leaderboard
+          </button>
+        )}
+        {onCopyLink && (
+          <button className="btn secondary" onClick={copyLink} aria-label="Copy link to this board">
+            {copied ? 'Copied!' : 'Copy link'}
+          </button>
+        )}
         {!started && !completed && (
           <button className="btn" onClick={onStart} aria-label="Start game">
             Start
           </button>
         )}
+        {started && !completed && onUndo && (
+          <>
+            <button className="btn secondary" onClick={onUndo} disabled={!canUndo} aria-label="Undo" title="Undo (Ctrl+Z)">
+              Undo
+            </button>
+            <button className="btn secondary" onClick={onRedo} disabled={!canRedo} aria-label="Redo" title="Redo (Ctrl+Shift+Z)">
+              Redo
+            </button>
+          </>
+        )}
+        {started && !completed && onHint && (
+          <button className="btn secondary" onClick={onHint} aria-label={`Show a hint (${hintsUsed} used)`}>
+            Hint{hintsUsed > 0 ? ` (${hintsUsed})` : ''}
+          </button>
+        )}
+        {started && !completed && onShowSolution && (
+          <button className="btn secondary" onClick={onShowSolution} aria-label="Show the solution">
+            Show solution
+          </button>
+        )}
         {(started || completed) && (
           <>
             <button className="btn danger" onClick={onReset} aria-label="Reset to pre-game">
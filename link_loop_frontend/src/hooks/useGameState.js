@@ -1,55 +1,205 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
-import { generateGrid, validatePath, isAdjacent, nextRequiredDigitFromPath, randomSeed } from '../utils/gameUtils';
+import { generateGrid, validatePath, isAdjacent, nextRequiredDigitFromPath, normalizeSize, randomSeed } from '../utils/gameUtils';
+import { CURRENT_GENERATOR_VERSION } from '../utils/generators';
+import { isBlocked, openCellCount } from '../utils/obstacles';
+import { computeHint, isHintResolved } from '../utils/hints';
+import { diagnosePath, solvePuzzle } from '../utils/solver';
+import { applyStep, diffPaths, revertStep } from '../utils/pathHistory';
+import { buildBoard, canBuildOffThread } from '../utils/boardBuilder';
+
+// Keyboard play: arrow key -> [row step, col step]
+const ARROW_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+// Identifies one run to the leaderboard, so a resent submission is stored once
+const createRunId = () => `${Date.now().toString(36)}-${randomSeed().toString(36)}`;
+
+// Player-facing explanation for each diagnosePath problem
+const ASSIST_REASONS = {
+  split: 'Part of the board is cut off from your path',
+  'unreachable-digit': 'The next number can no longer be reached',
+  'dead-end': 'A cell has become a dead end',
+};
+
+// Stands in until the first board built off the main thread arrives
+const NO_PUZZLE = { grid: [], unique: false, rating: null, obstacles: null, solution: null };
 
 /**
  * Hook encapsulating the Link Loop game state and interactions.
  * Adds strict next-number progression blocking, backtracking, and invalid-move visual feedback.
  */
 // PUBLIC_INTERFACE
-export function useGameState({ size = 5, seed = 42 } = {}) {
-  /** Core game state: grid, path, interaction handlers, and validation */
-  const initialSeed = seed;
+export function useGameState({
+  size = 5,
+  seed = 42,
+  difficulty,
+  clues,
+  variant,
+  generator = CURRENT_GENERATOR_VERSION,
+  fixedSeed = null,
+  customPuzzle = null,
+  assist = false,
+  keepPartialPath = true
+} = {}) {
+  /** Core game state: grid, path, interaction handlers, and validation. `size` is a number (square) or { rows, cols }.
+   * A `fixedSeed` (daily mode, shared links) pins the board: Start and Restart replay it instead of rolling a new seed.
+   * `generator` is the generator version boards are built with (utils/generators).
+   * A `customPuzzle` (an imported board from checkPuzzle) replaces the generator altogether while it is set.
+   * With `assist` on, every move is checked for stranded regions, dead ends and cut-off numbers.
+   * With `keepPartialPath` on, lifting the pointer keeps an unfinished path: pressing its end continues it
+   * and pressing an earlier cell of it truncates back to that cell. Off, an unfinished path is discarded.
+   * Boards are built in a web worker where there is one (utils/boardBuilder). While one is `loading` the board
+   * takes no input and the run's clock waits.
+   */
+  const initialSeed = fixedSeed ?? seed;
+  const { rows: boardRows, cols: boardCols } = normalizeSize(size);
   const [gridSeed, setGridSeed] = useState(initialSeed);
-  const [grid, setGrid] = useState(() => generateGrid(size, gridSeed));
+  const offThread = !customPuzzle && canBuildOffThread();
+  const [puzzle, setPuzzle] = useState(() => customPuzzle || (offThread ? NO_PUZZLE : generateGrid({ rows: boardRows, cols: boardCols }, gridSeed, { difficulty, clues, variant, generator }))); // { grid, unique, rating, obstacles, solution }
+  const [loading, setLoading] = useState(offThread);
+  const { grid, obstacles } = puzzle;
   const [path, setPath] = useState([]); // [{row, col}]
-  const [history, setHistory] = useState([]); // stack of path snapshots
+  const [history, setHistory] = useState([]); // undo stack of path steps (see utils/pathHistory)
+  const [future, setFuture] = useState([]); // redo stack, emptied by any new edit
   const [isDrawing, setIsDrawing] = useState(false);
   const [completed, setCompleted] = useState(false);
   const [validation, setValidation] = useState({ ok: false, reason: '' });
   const [invalidAt, setInvalidAt] = useState(null); // {row, col} for visual feedback
   const [started, setStarted] = useState(false); // Start button gating
-
-  // Rebuild grid when size or seed changes intentionally
+  const [hint, setHint] = useState(null); // computeHint result shown on the board
+  const [hintsUsed, setHintsUsed] = useState(0);
+  const [undos, setUndos] = useState(0); // undo presses this run, for the stats history
+  const [solution, setSolution] = useState(null); // path revealed by "Show solution"
+  const [assisted, setAssisted] = useState(false); // the solution was shown during this run
+  const [cursor, setCursor] = useState(null); // keyboard cursor {row, col}; null means the start cell
+  // Timestamped log of every path edit this run, [{ t, at, added }], for replay verification (utils/replay)
+  const [moves, setMoves] = useState([]);
+  const runStartRef = useRef(Date.now());
+  const strokeRef = useRef(null); // { path, historyLength, future } as they were when the current stroke began
+  const [runId, setRunId] = useState(createRunId);
+
+  // Entering daily mode, a new day or a shared board swaps in the pinned seed
   useEffect(() => {
-    setGrid(generateGrid(size, gridSeed));
-  }, [size, gridSeed]);
+    if (fixedSeed != null) setGridSeed(fixedSeed);
+  }, [fixedSeed]);
 
-  const gridSize = grid.length;
+  // Rebuild grid when size, seed, difficulty or variant changes intentionally, or swap in an imported board
+  useEffect(() => {
+    const dims = { rows: boardRows, cols: boardCols };
+    const options = { difficulty, clues, variant, generator };
+    if (customPuzzle || !canBuildOffThread()) {
+      setPuzzle(customPuzzle || generateGrid(dims, gridSeed, options));
+      setLoading(false);
+      return undefined;
+    }
+    // A newer board supersedes this one; the time spent waiting is taken off the run
+    let current = true;
+    const requestedAt = Date.now();
+    const build = buildBoard(dims, gridSeed, options);
+    setLoading(true);
+    build.promise
+      .catch(() => generateGrid(dims, gridSeed, options))
+      .then((board) => {
+        if (!current) return;
+        runStartRef.current += Date.now() - requestedAt;
+        setPuzzle(board);
+        setLoading(false);
+      });
+    return () => {
+      current = false;
+      build.cancel();
+    };
+  }, [boardRows, boardCols, customPuzzle, gridSeed, difficulty, clues, variant, generator]);
+
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  // Blocked cells are not part of the path
+  const cellCount = openCellCount(rows, cols, obstacles);
 
   const isInside = useCallback(
-    (row, col) => row >= 0 && row < gridSize && col >= 0 && col < gridSize,
-    [gridSize]
+    (row, col) => row >= 0 && row < rows && col >= 0 && col < cols,
+    [rows, cols]
   );
 
   const cellKey = (row, col) => `${row},${col}`;
 
   const pathSet = useMemo(() => new Set(path.map(p => cellKey(p.row, p.col))), [path]);
 
-  const addToHistory = useCallback((p) => {
-    setHistory((prev) => [...prev, p]);
+  // Where the keyboard cursor rests on a fresh board: the 1, else the first open cell
+  const startCell = useMemo(() => {
+    let firstOpen = null;
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+      if (grid[r][c] === 1) return { row: r, col: c };
+      if (!firstOpen && !isBlocked(obstacles, r, c)) firstOpen = { row: r, col: c };
+    }
+    return firstOpen;
+  }, [cols, grid, obstacles, rows]);
+
+  // Drawing (by any input) carries the cursor along the path end; a cleared path or a new board
+  // puts it back on the start cell
+  useEffect(() => {
+    setCursor(path.length ? path[path.length - 1] : null);
+  }, [grid, path]);
+
+  // Keep a hint on the board until the player has followed it
+  useEffect(() => {
+    setHint((h) => (isHintResolved(h, path) ? null : h));
+  }, [path]);
+
+  // Log the path from index `at` becoming `added`, timed from the start of the run
+  const logMove = useCallback((at, added) => {
+    const t = Date.now() - runStartRef.current;
+    setMoves((prev) => [...prev, { t, at, added }]);
+  }, []);
+
+  const beginRun = useCallback((elapsedMs = 0, log = [], id = createRunId()) => {
+    runStartRef.current = Date.now() - elapsedMs;
+    setMoves(log);
+    setRunId(id);
   }, []);
 
+  const addToHistory = useCallback((from, to) => {
+    const step = diffPaths(from, to);
+    setHistory((prev) => [...prev, step]);
+    setFuture([]);
+    logMove(step.at, step.added);
+  }, [logMove]);
+
+  // Assist mode: flag cells that make the current path impossible to finish
+  const warning = useMemo(() => {
+    if (!assist || !started || completed || solution) return null;
+    const found = diagnosePath(grid, path, { obstacles });
+    return found && { ...found, reason: ASSIST_REASONS[found.problem] };
+  }, [assist, completed, grid, obstacles, path, solution, started]);
+
   // Determine next required digit based on digits seen in path
   const nextRequiredDigit = useMemo(() => nextRequiredDigitFromPath(grid, path), [grid, path]);
 
   const startPathAt = useCallback((row, col) => {
-    if (!started) return;
-    if (!isInside(row, col)) return;
+    if (!started || loading || solution) return;
+    if (!isInside(row, col) || isBlocked(obstacles, row, col)) return;
     setInvalidAt(null);
+    strokeRef.current = { path, historyLength: history.length, future };
+    // Pick a kept path back up: its end continues it, an earlier cell cuts it back to there
+    const onPath = path.findIndex((p) => p.row === row && p.col === col);
+    if (keepPartialPath && onPath >= 0) {
+      if (onPath < path.length - 1) {
+        const next = path.slice(0, onPath + 1);
+        addToHistory(path, next);
+        setPath(next);
+      }
+      setValidation({ ok: false, reason: '' });
+      setIsDrawing(true);
+      return;
+    }
     const val = grid[row][col];
     // Must start on '1' if it exists in the grid
     let hasOne = false;
-    for (let r = 0; r < gridSize; r++) for (let c = 0; c < gridSize; c++) {
+    for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
       if (grid[r][c] === 1) { hasOne = true; break; }
     }
     if (hasOne && val !== 1) {
@@ -59,28 +209,28 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
       return;
     }
     const next = [{ row, col }];
-    addToHistory(next);
+    addToHistory(path, next);
     setPath(next);
     setIsDrawing(true);
-  }, [addToHistory, grid, gridSize, isInside, started]);
+  }, [addToHistory, future, grid, rows, cols, history.length, isInside, keepPartialPath, loading, obstacles, path, solution, started]);
 
   const extendPathTo = useCallback((row, col) => {
-    if (!started) return;
+    if (!started || solution) return;
     if (!isInside(row, col)) return;
     if (!isDrawing) return;
     setInvalidAt(null);
     const last = path[path.length - 1];
     if (last && (last.row === row && last.col === col)) return;
 
-    // Must be adjacent
-    if (!isAdjacent(last, { row, col })) return;
+    // Must be adjacent, open and not behind a wall
+    if (!isAdjacent(last, { row, col }, obstacles)) return;
 
     // If moving to the previous cell in the path, treat as backtrack: pop last cell
     if (path.length >= 2) {
       const prev = path[path.length - 2];
       if (prev.row === row && prev.col === col) {
         const nextPath = path.slice(0, -1);
-        addToHistory(nextPath);
+        addToHistory(path, nextPath);
         setPath(nextPath);
         return;
       }
@@ -105,57 +255,152 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
     }
 
     const next = [...path, { row, col }];
-    addToHistory(next);
+    addToHistory(path, next);
     setPath(next);
-  }, [addToHistory, grid, isDrawing, isInside, path, pathSet, started]);
+  }, [addToHistory, grid, isDrawing, isInside, obstacles, path, pathSet, solution, started]);
 
   const endPath = useCallback(() => {
     setIsDrawing(false);
-    // If finished path equals all cells, validate and ensure end cell is the final digit (9 when present)
-    if (path.length === gridSize * gridSize) {
-      const res = validatePath(grid, path);
+    // If finished path equals all cells, validate and ensure end cell is the final (highest) digit
+    if (path.length === cellCount) {
+      const res = validatePath(grid, path, obstacles);
       setValidation(res);
       setCompleted(res.ok);
     }
-  }, [grid, gridSize, path]);
+  }, [grid, cellCount, obstacles, path]);
 
+  // PUBLIC_INTERFACE
   const undo = useCallback(() => {
+    /** Step the path back one edit; the edit moves onto the redo stack. */
+    if (!started || loading || completed || solution || history.length === 0) return;
+    const step = history[history.length - 1];
+    setHistory(history.slice(0, -1));
+    setFuture((prev) => [...prev, step]);
+    setPath(revertStep(path, step));
+    logMove(step.at, step.removed);
+    setUndos((n) => n + 1);
+    setIsDrawing(false);
     setInvalidAt(null);
-    if (history.length <= 1) {
-      setPath([]);
-      setHistory([]);
-      setCompleted(false);
+    setValidation({ ok: false, reason: '' });
+  }, [completed, history, loading, logMove, path, solution, started]);
+
+  // PUBLIC_INTERFACE
+  const redo = useCallback(() => {
+    /** Re-apply the last undone edit. Redoing the final cell of the path validates it like releasing the pointer. */
+    if (!started || loading || completed || solution || future.length === 0) return;
+    const step = future[future.length - 1];
+    const nextPath = applyStep(path, step);
+    setFuture(future.slice(0, -1));
+    setHistory((prev) => [...prev, step]);
+    setPath(nextPath);
+    logMove(step.at, step.added);
+    setIsDrawing(false);
+    setInvalidAt(null);
+    if (nextPath.length === cellCount) {
+      const res = validatePath(grid, nextPath, obstacles);
+      setValidation(res);
+      setCompleted(res.ok);
+    } else {
       setValidation({ ok: false, reason: '' });
+    }
+  }, [cellCount, completed, future, grid, loading, logMove, obstacles, path, solution, started]);
+
+  // PUBLIC_INTERFACE
+  const requestHint = useCallback(() => {
+    /** Reveal the next cells of the solution, or the earliest wrong step. Each call counts as a hint used. */
+    if (!started || loading || completed || solution) return;
+    const next = computeHint(grid, path, puzzle.solution, { unique: puzzle.unique, obstacles });
+    if (!next) return;
+    setHint(next);
+    setHintsUsed((n) => n + 1);
+    setInvalidAt(null);
+    setValidation({
+      ok: false,
+      reason: next.type === 'wrong'
+        ? `Hint: step ${next.index + 1} leaves the solution. Back up to the highlighted cell.`
+        : 'Hint: follow the highlighted cells.'
+    });
+  }, [completed, grid, loading, obstacles, path, puzzle, solution, started]);
+
+  // PUBLIC_INTERFACE
+  const showSolution = useCallback(() => {
+    /** Solve the board on screen (so boards from links work too) and mark the run as assisted. */
+    if (!started || loading || completed) return;
+    const { solutions } = solvePuzzle(grid, { limit: 1, obstacles });
+    const found = solutions[0] || puzzle.solution;
+    if (!found) {
+      setValidation({ ok: false, reason: 'No solution found for this board' });
       return;
     }
-    const nextHist = history.slice(0, -1);
-    const nextPath = nextHist[nextHist.length - 1] || [];
-    setHistory(nextHist);
-    setPath(nextPath);
+    setIsDrawing(false);
+    setInvalidAt(null);
+    setAssisted(true);
+    setSolution(found);
+    setValidation({ ok: false, reason: '' });
+  }, [completed, grid, loading, obstacles, puzzle, started]);
+
+  // PUBLIC_INTERFACE
+  const acceptSolution = useCallback(() => {
+    /** Finish an assisted run once the solution playback has been watched to the end. */
+    if (!solution) return;
+    setPath(solution);
+    setValidation(validatePath(grid, solution, obstacles));
+    setCompleted(true);
+  }, [grid, obstacles, solution]);
+
+  // PUBLIC_INTERFACE
+  const resumeGame = useCallback((saved) => {
+    /** Restore a saved run ({ seed, path, history, moves, runId, seconds, hintsUsed, undos }) as an active game.
+     * Board settings must already match. The move log continues from the later of the saved time and its last move.
+     */
+    const log = saved.moves || [];
+    beginRun(Math.max(saved.seconds * 1000, log.length ? log[log.length - 1].t : 0), log, saved.runId || undefined);
+    setGridSeed(saved.seed);
+    setPath(saved.path);
+    setHistory(saved.history);
+    setFuture([]);
+    setHintsUsed(saved.hintsUsed || 0);
+    setUndos(saved.undos || 0);
+    setIsDrawing(false);
+    setInvalidAt(null);
+    setSolution(null);
+    setAssisted(false);
     setCompleted(false);
     setValidation({ ok: false, reason: '' });
-  }, [history]);
+    setStarted(true);
+  }, [beginRun]);
 
   const clearTransientState = useCallback(() => {
     setInvalidAt(null);
     setPath([]);
     setHistory([]);
+    setFuture([]);
     setCompleted(false);
     setValidation({ ok: false, reason: '' });
+    setSolution(null);
+    setAssisted(false);
+    setMoves([]);
   }, []);
 
   const reset = useCallback(() => {
-    // Reset path only; keep current grid (useful for "Reset path" action)
+    // Reset path only; keep current grid (useful for "Reset path" action). The run starts over too.
     clearTransientState();
-  }, [clearTransientState]);
+    beginRun();
+  }, [beginRun, clearTransientState]);
 
   // PUBLIC_INTERFACE
   const resetAll = useCallback(() => {
     /** Fully reset to pre-game state while keeping the current grid visible (non-interactive). */
     setIsDrawing(false);
     setInvalidAt(null);
+    setHintsUsed(0);
+    setUndos(0);
+    setSolution(null);
+    setAssisted(false);
     setPath([]);
     setHistory([]);
+    setFuture([]);
+    setMoves([]);
     setCompleted(false);
     setValidation({ ok: false, reason: '' });
     // Return to pre-game "not started" state but do NOT change gridSeed,
@@ -165,25 +410,35 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
 
   const startGame = useCallback(() => {
     // When starting, re-roll to get a fresh randomized puzzle and enable interactions.
+    // A pinned seed keeps the board everyone else plays today.
     const newSeedA = randomSeed();
-    const nextSeed = (newSeedA === gridSeed) ? randomSeed() : newSeedA;
+    const nextSeed = fixedSeed ?? ((newSeedA === gridSeed) ? randomSeed() : newSeedA);
     setGridSeed(nextSeed);
     setIsDrawing(false);
     setInvalidAt(null);
+    setHintsUsed(0);
+    setUndos(0);
+    setSolution(null);
+    setAssisted(false);
     setPath([]);
     setHistory([]);
+    setFuture([]);
+    beginRun();
     setCompleted(false);
     setValidation({ ok: false, reason: '' });
     setStarted(true);
-  }, [gridSeed]);
+  }, [beginRun, fixedSeed, gridSeed]);
 
   const restartGame = useCallback(() => {
-    // Full replay: new randomized grid (fresh seed) and cleared state
-    const newSeed = randomSeed();
+    // Full replay: new randomized grid (fresh seed, or the pinned one) and cleared state
+    const newSeed = fixedSeed ?? randomSeed();
     setGridSeed(newSeed);
     clearTransientState();
+    beginRun();
+    setHintsUsed(0);
+    setUndos(0);
     setStarted(true);
-  }, [clearTransientState]);
+  }, [beginRun, clearTransientState, fixedSeed]);
 
   // Pointer/touch handling helpers
   const containerRef = useRef(null);
@@ -194,12 +449,11 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
     const rect = el.getBoundingClientRect();
     const x = clientX - rect.left;
     const y = clientY - rect.top;
-    const cellSizePx = rect.width / gridSize;
-    const row = Math.floor(y / cellSizePx);
-    const col = Math.floor(x / cellSizePx);
+    const row = Math.floor(y / (rect.height / rows));
+    const col = Math.floor(x / (rect.width / cols));
     if (!isInside(row, col)) return null;
     return { row, col };
-  }, [gridSize, isInside]);
+  }, [rows, cols, isInside]);
 
   const onPointerDown = useCallback((e) => {
     e.preventDefault();
@@ -214,40 +468,58 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
     if (p) extendPathTo(p.row, p.col);
   }, [extendPathTo, getCellFromEvent, isDrawing, started]);
 
-  const cancelCurrentRunIfIncomplete = useCallback(() => {
-    // Cancel and clear transient trail if not a full completion attempt
-    if (path.length !== gridSize * gridSize) {
+  const releaseIncompletePath = useCallback(() => {
+    // Stop drawing short of a full path: keep the trail for later, or clear it when that option is off
+    if (path.length !== cellCount) {
       setIsDrawing(false);
+      if (keepPartialPath) return;
       setInvalidAt(null);
       setPath([]);
+      if (path.length) logMove(0, []);
       setHistory([]);
+      setFuture([]);
       setCompleted(false);
       // clear validation message so UI visually resets
       setValidation({ ok: false, reason: '' });
     }
-  }, [gridSize, path.length]);
+  }, [cellCount, keepPartialPath, logMove, path.length]);
 
   const onPointerUp = useCallback(() => {
     if (!isDrawing) return;
-    // End attempt; only validate if complete, else clear
-    if (path.length === gridSize * gridSize) {
+    // End attempt; only validate if complete, else release
+    if (path.length === cellCount) {
       endPath();
     } else {
-      cancelCurrentRunIfIncomplete();
+      releaseIncompletePath();
     }
-  }, [cancelCurrentRunIfIncomplete, endPath, gridSize, isDrawing, path.length]);
+  }, [releaseIncompletePath, endPath, cellCount, isDrawing, path.length]);
 
   const onPointerCancel = useCallback(() => {
-    // Pointer canceled (e.g., OS gesture) -> clear current run
-    cancelCurrentRunIfIncomplete();
-  }, [cancelCurrentRunIfIncomplete]);
+    // Pointer canceled (e.g., OS gesture) -> release current run
+    releaseIncompletePath();
+  }, [releaseIncompletePath]);
+
+  // Escape takes back everything drawn since the stroke began, even where unfinished paths are kept:
+  // its edits leave the undo stack and the redo stack they cleared comes back
+  const cancelStroke = useCallback(() => {
+    const stroke = strokeRef.current;
+    setIsDrawing(false);
+    setInvalidAt(null);
+    setValidation({ ok: false, reason: '' });
+    if (!stroke) return;
+    const step = diffPaths(path, stroke.path);
+    if (step.removed.length || step.added.length) logMove(step.at, step.added);
+    setPath(stroke.path);
+    setHistory((prev) => prev.slice(0, stroke.historyLength));
+    setFuture(stroke.future);
+  }, [logMove, path]);
 
   const onPointerLeave = useCallback(() => {
-    // Leaving the grid while drawing should cancel the current attempt
+    // Leaving the grid while drawing ends the current attempt
     if (isDrawing) {
-      cancelCurrentRunIfIncomplete();
+      releaseIncompletePath();
     }
-  }, [cancelCurrentRunIfIncomplete, isDrawing]);
+  }, [releaseIncompletePath, isDrawing]);
 
   // Touch events mapping
   const onTouchStart = useCallback((e) => {
@@ -268,16 +540,57 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
 
   const onTouchEnd = useCallback(() => {
     if (!isDrawing) return;
-    if (path.length === gridSize * gridSize) {
+    if (path.length === cellCount) {
       endPath();
     } else {
-      cancelCurrentRunIfIncomplete();
+      releaseIncompletePath();
     }
-  }, [cancelCurrentRunIfIncomplete, endPath, gridSize, isDrawing, path.length]);
+  }, [releaseIncompletePath, endPath, cellCount, isDrawing, path.length]);
 
   const onTouchCancel = useCallback(() => {
-    cancelCurrentRunIfIncomplete();
-  }, [cancelCurrentRunIfIncomplete]);
+    releaseIncompletePath();
+  }, [releaseIncompletePath]);
+
+  // Keyboard mapping: the cursor stands in for the pointer, so the same move rules apply.
+  // Enter presses (or, while drawing, releases), arrows move the cursor or draw from the path end,
+  // Escape cancels the stroke.
+  const onKeyDown = useCallback((e) => {
+    if (!started || loading || e.ctrlKey || e.metaKey || e.altKey) return;
+    const at = cursor || startCell;
+    if (!at) return;
+    const arrow = ARROW_STEPS[e.key];
+    if (arrow) {
+      e.preventDefault();
+      const from = isDrawing && path.length ? path[path.length - 1] : at;
+      const row = from.row + arrow[0];
+      const col = from.col + arrow[1];
+      if (!isInside(row, col)) return;
+      if (isDrawing) extendPathTo(row, col);
+      else setCursor({ row, col });
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      if (isDrawing) onPointerUp();
+      else startPathAt(at.row, at.col);
+    } else if (e.key === 'Escape' && isDrawing) {
+      e.preventDefault();
+      cancelStroke();
+    }
+  }, [cancelStroke, cursor, extendPathTo, isDrawing, isInside, loading, onPointerUp, path, startCell, startPathAt, started]);
+
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS, Ctrl+Y also redoes); form fields keep their own undo
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target instanceof Element && e.target.closest('input, select, textarea')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) undo();
+      else if ((key === 'z' && e.shiftKey) || key === 'y') redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [redo, undo]);
 
   // Resize safety: end drawing if window loses focus to avoid stuck state
   useEffect(() => {
@@ -288,22 +601,46 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
 
   return {
     grid,
+    obstacles,
+    seed: gridSeed,
+    unique: puzzle.unique,
+    rating: puzzle.rating,
     path,
+    cellCount,
     history,
+    moves,
+    runId,
+    canUndo: started && !loading && !completed && !solution && history.length > 0,
+    canRedo: started && !loading && !completed && !solution && future.length > 0,
     completed,
     validation,
     invalidAt,
+    warning,
+    hint,
+    hintsUsed,
+    undos,
+    solution,
+    assisted,
+    cursor: cursor || startCell,
+    drawing: isDrawing,
     containerRef,
     started,
+    loading,
     actions: {
       startPathAt,
       extendPathTo,
       endPath,
+      undo,
+      redo,
+      requestHint,
+      showSolution,
+      acceptSolution,
       reset,
       resetAll,
       startGame,
       restartGame,
-      setGrid, // expose in case of future size changes
+      resumeGame,
+      setPuzzle, // expose in case of future size changes
     },
     handlers: {
       onPointerDown,
@@ -314,7 +651,8 @@ export function useGameState({ size = 5, seed = 42 } = {}) {
       onTouchStart,
       onTouchMove,
       onTouchEnd,
-      onTouchCancel
+      onTouchCancel,
+      onKeyDown
     }
   };
 }
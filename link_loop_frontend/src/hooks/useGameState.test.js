@@ -0,0 +1,183 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useGameState } from './useGameState';
+import { generateGrid } from '../utils/gameUtils';
+import { CURRENT_GENERATOR_VERSION } from '../utils/generators';
+import { solvePuzzle } from '../utils/solver';
+import { verifyReplay } from '../utils/replay';
+
+// jsdom has no web workers: this one builds the board on a later tick, like a real worker would
+jest.mock('../utils/spawnBoardWorker', () => ({
+  spawnBoardWorker: () => {
+    const { generateGrid: build } = jest.requireActual('../utils/gameUtils');
+    const worker = {
+      stopped: false,
+      terminate: () => { worker.stopped = true; },
+      postMessage: ({ dims, seed, options }) => setTimeout(() => {
+        if (!worker.stopped) worker.onmessage({ data: build(dims, seed, options) });
+      }, 0),
+    };
+    return worker;
+  },
+}));
+
+// Start a run on a small board and return the hook plus one solution of its grid
+function startRun(options = {}) {
+  const hook = renderHook(() => useGameState({ size: 4, seed: 7, ...options }));
+  act(() => hook.result.current.actions.startGame());
+  const { grid, obstacles } = hook.result.current;
+  const [solution] = solvePuzzle(grid, { limit: 1, obstacles }).solutions;
+  return { ...hook, solution };
+}
+
+// Each action in its own act so the next one sees the updated path
+function draw(result, cells) {
+  const [first, ...rest] = cells;
+  act(() => result.current.actions.startPathAt(first.row, first.col));
+  rest.forEach((c) => act(() => result.current.actions.extendPathTo(c.row, c.col)));
+}
+
+// PUBLIC_INTERFACE
+test('a released partial path is kept, continued from its end and truncated from earlier cells', () => {
+  /** With keepPartialPath on (the default), lifting the pointer keeps the trail for the next press. */
+  const { result, solution } = startRun();
+  draw(result, solution.slice(0, 3));
+  act(() => result.current.handlers.onPointerUp());
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  draw(result, solution.slice(2, 5));
+  act(() => result.current.handlers.onPointerUp());
+  expect(result.current.path).toEqual(solution.slice(0, 5));
+
+  act(() => result.current.actions.startPathAt(solution[1].row, solution[1].col));
+  expect(result.current.path).toEqual(solution.slice(0, 2));
+});
+
+// PUBLIC_INTERFACE
+test('with keepPartialPath off a released partial path is discarded', () => {
+  /** The original behaviour: an unfinished trail is cleared when the pointer is lifted. */
+  const { result, solution } = startRun({ keepPartialPath: false });
+  draw(result, solution.slice(0, 3));
+  act(() => result.current.handlers.onPointerUp());
+  expect(result.current.path).toEqual([]);
+});
+
+// PUBLIC_INTERFACE
+test('undo and redo walk through path edits', () => {
+  /** Each drawn cell is one step; a new edit after undo drops the redo stack. */
+  const { result, solution } = startRun();
+  draw(result, solution.slice(0, 4));
+  act(() => result.current.actions.undo());
+  act(() => result.current.actions.undo());
+  expect(result.current.path).toEqual(solution.slice(0, 2));
+  expect(result.current.canRedo).toBe(true);
+
+  act(() => result.current.actions.redo());
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  draw(result, solution.slice(2, 3));
+  act(() => result.current.actions.extendPathTo(solution[3].row, solution[3].col));
+  expect(result.current.canRedo).toBe(false);
+});
+
+// PUBLIC_INTERFACE
+test('keyboard play draws with the same rules as the pointer', () => {
+  /** Enter starts on 1, arrows extend and backtrack from the path end, Enter releases, Escape cancels. */
+  // Keys arrive 100 ms apart, a human pace the replay's timing floor accepts
+  let clock = Date.now();
+  const now = jest.spyOn(Date, 'now').mockImplementation(() => clock);
+  const { result, solution } = startRun({ keepPartialPath: false });
+  const press = (key) => {
+    clock += 100;
+    act(() => result.current.handlers.onKeyDown({ key, preventDefault() {} }));
+  };
+  const arrowTo = (from, to) => {
+    if (to.row < from.row) return 'ArrowUp';
+    if (to.row > from.row) return 'ArrowDown';
+    return to.col < from.col ? 'ArrowLeft' : 'ArrowRight';
+  };
+
+  expect(result.current.cursor).toEqual(solution[0]);
+  press('Enter');
+  for (let i = 1; i < 4; i++) press(arrowTo(solution[i - 1], solution[i]));
+  expect(result.current.path).toEqual(solution.slice(0, 4));
+  press(arrowTo(solution[3], solution[2]));
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  press('Escape');
+  expect(result.current.drawing).toBe(false);
+  expect(result.current.path).toEqual([]);
+
+  press('Enter');
+  for (let i = 1; i < solution.length; i++) press(arrowTo(solution[i - 1], solution[i]));
+  press('Enter');
+  expect(result.current.completed).toBe(true);
+
+  // The move log replays to the same finished path
+  const { grid, obstacles, moves } = result.current;
+  expect(verifyReplay({ seconds: 60, moves }, { puzzle: { grid, obstacles } })).toMatchObject({ ok: true, path: solution });
+  now.mockRestore();
+});
+
+// PUBLIC_INTERFACE
+test('Escape discards the stroke in progress while unfinished paths are kept', () => {
+  /** With the default keepPartialPath, Escape goes back to the path and undo stack from before the stroke. */
+  const { result, solution } = startRun();
+  const press = (key) => act(() => result.current.handlers.onKeyDown({ key, preventDefault() {} }));
+
+  draw(result, solution.slice(0, 3));
+  act(() => result.current.handlers.onPointerUp());
+  const kept = result.current.history.length;
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  draw(result, solution.slice(2, 6));
+  expect(result.current.path).toEqual(solution.slice(0, 6));
+  press('Escape');
+  expect(result.current.drawing).toBe(false);
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+  expect(result.current.history).toHaveLength(kept);
+
+  // A stroke that cut the kept path back is undone too
+  draw(result, solution.slice(1, 2));
+  expect(result.current.path).toEqual(solution.slice(0, 2));
+  press('Escape');
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  // Redo steps the stroke cleared are back after Escape
+  act(() => result.current.actions.undo());
+  expect(result.current.canRedo).toBe(true);
+  draw(result, solution.slice(1, 5));
+  expect(result.current.canRedo).toBe(false);
+  press('Escape');
+  expect(result.current.path).toEqual(solution.slice(0, 2));
+  act(() => result.current.actions.redo());
+  expect(result.current.path).toEqual(solution.slice(0, 3));
+
+  // The move log records the take-backs, so it still ends on the path the player sees
+  const logged = result.current.moves.reduce((p, m) => [...p.slice(0, m.at), ...m.added], []);
+  expect(logged).toEqual(solution.slice(0, 3));
+});
+
+// PUBLIC_INTERFACE
+test('boards built in a worker take no input until they arrive', async () => {
+  /** Where workers exist the board is loading at first, and a new run's board holds off drawing until it is built. */
+  global.Worker = function Worker() {}; // only its presence is checked; spawning is mocked above
+  try {
+    const boardFor = (seed) => generateGrid({ rows: 4, cols: 4 }, seed, { generator: CURRENT_GENERATOR_VERSION }).grid;
+    const { result } = renderHook(() => useGameState({ size: 4, seed: 7 }));
+    expect(result.current.loading).toBe(true);
+    expect(result.current.grid).toEqual([]);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.grid).toEqual(boardFor(7));
+
+    const row = result.current.grid.findIndex((cells) => cells.includes(1));
+    const col = result.current.grid[row].indexOf(1);
+    act(() => result.current.actions.startGame());
+    expect(result.current.loading).toBe(true);
+    act(() => result.current.actions.startPathAt(row, col));
+    expect(result.current.path).toEqual([]);
+    await waitFor(() => expect(result.current.loading).toBe(false));
+    expect(result.current.grid).toEqual(boardFor(result.current.seed));
+  } finally {
+    delete global.Worker;
+  }
+});
@@ -0,0 +1,115 @@
+import { useCallback, useMemo, useState } from 'react';
+import { PUZZLE_MAX_SIDE, PUZZLE_MIN_SIDE } from '../utils/gameUtils';
+import { analyzeDifficulty } from '../utils/difficulty';
+import { isBlocked } from '../utils/obstacles';
+import { solvePuzzle } from '../utils/solver';
+
+const ARROW_STEPS = {
+  ArrowUp: [-1, 0],
+  ArrowDown: [1, 0],
+  ArrowLeft: [0, -1],
+  ArrowRight: [0, 1],
+};
+
+const clampSide = (n) => Math.min(PUZZLE_MAX_SIDE, Math.max(PUZZLE_MIN_SIDE, Math.floor(Number(n)) || PUZZLE_MIN_SIDE));
+
+/**
+ * What the solver makes of a design:
+ * - 'incomplete': fewer than two clues, nothing to solve yet
+ * - 'none': no path fits the clues
+ * - 'unique' / 'multiple': one or more solutions (`solution` is one of them)
+ * - 'unproven': a solution exists, but the solver ran out of budget before ruling out a second one
+ * - 'unknown': the solver ran out of budget before finding any path
+ */
+function solverFeedback(grid, clueCount, obstacles) {
+  if (clueCount < 2) return { status: 'incomplete', solution: null, rating: null };
+  const { solutions, complete } = solvePuzzle(grid, { limit: 2, obstacles });
+  if (!solutions.length) return { status: complete ? 'none' : 'unknown', solution: null, rating: null };
+  const solution = solutions[0];
+  return {
+    status: solutions.length > 1 ? 'multiple' : complete ? 'unique' : 'unproven',
+    solution,
+    rating: analyzeDifficulty(grid, { solution, obstacles }),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function usePuzzleEditor({ rows: initialRows = 5, cols: initialCols = 5 } = {}) {
+  /** State for hand-making a puzzle: board size, clues in order (clue n is `clues[n - 1]`) and live solver feedback.
+   * `toggleCell` places the next number on an empty cell or removes a clue, renumbering the later ones so the
+   * clues always run 1..k. `load(puzzle)` starts from an existing board ({ grid, obstacles }), keeping its obstacles.
+   * Returns { rows, cols, grid, obstacles, clueCount, feedback, cursor, actions, handlers }.
+   */
+  const [size, setSize] = useState(() => ({ rows: clampSide(initialRows), cols: clampSide(initialCols) }));
+  const [clues, setClues] = useState([]); // [{row, col}] in number order
+  const [obstacles, setObstacles] = useState(null);
+  const [cursor, setCursor] = useState({ row: 0, col: 0 });
+  const { rows, cols } = size;
+
+  const grid = useMemo(() => {
+    const g = Array.from({ length: rows }, () => Array.from({ length: cols }, () => null));
+    clues.forEach(({ row, col }, i) => { g[row][col] = i + 1; });
+    return g;
+  }, [clues, cols, rows]);
+
+  const feedback = useMemo(() => solverFeedback(grid, clues.length, obstacles), [clues.length, grid, obstacles]);
+
+  const toggleCell = useCallback((row, col) => {
+    if (isBlocked(obstacles, row, col)) return;
+    setCursor({ row, col });
+    setClues((prev) => {
+      const at = prev.findIndex((p) => p.row === row && p.col === col);
+      return at >= 0 ? prev.filter((_, i) => i !== at) : [...prev, { row, col }];
+    });
+  }, [obstacles]);
+
+  const resize = useCallback((nextRows, nextCols) => {
+    const r = clampSide(nextRows);
+    const c = clampSide(nextCols);
+    setSize({ rows: r, cols: c });
+    // Obstacles belong to the board they came with
+    setObstacles(null);
+    setClues((prev) => prev.filter((p) => p.row < r && p.col < c));
+    setCursor((p) => ({ row: Math.min(p.row, r - 1), col: Math.min(p.col, c - 1) }));
+  }, []);
+
+  const clear = useCallback(() => setClues([]), []);
+
+  const load = useCallback(({ grid: source, obstacles: sourceObstacles = null }) => {
+    const found = [];
+    source.forEach((cells, row) => cells.forEach((value, col) => {
+      if (typeof value === 'number') found.push({ row, col, value });
+    }));
+    setSize({ rows: source.length, cols: source[0].length });
+    setObstacles(sourceObstacles);
+    setClues(found.sort((a, b) => a.value - b.value).map(({ row, col }) => ({ row, col })));
+    setCursor({ row: 0, col: 0 });
+  }, []);
+
+  const onKeyDown = useCallback((e) => {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const arrow = ARROW_STEPS[e.key];
+    if (arrow) {
+      e.preventDefault();
+      setCursor((p) => ({
+        row: Math.min(rows - 1, Math.max(0, p.row + arrow[0])),
+        col: Math.min(cols - 1, Math.max(0, p.col + arrow[1])),
+      }));
+    } else if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggleCell(cursor.row, cursor.col);
+    }
+  }, [cols, cursor, rows, toggleCell]);
+
+  return {
+    rows,
+    cols,
+    grid,
+    obstacles,
+    clueCount: clues.length,
+    feedback,
+    cursor,
+    actions: { toggleCell, resize, clear, load },
+    handlers: { onKeyDown },
+  };
+}
@@ -0,0 +1,30 @@
+import { act, renderHook } from '@testing-library/react';
+import { usePuzzleEditor } from './usePuzzleEditor';
+
+// PUBLIC_INTERFACE
+test('toggling cells numbers clues in order and keeps them consecutive after a removal', () => {
+  /** Removing clue 2 of three moves clue 3 down to 2. */
+  const { result } = renderHook(() => usePuzzleEditor({ rows: 2, cols: 2 }));
+  [[0, 0], [0, 1], [1, 1]].forEach(([r, c]) => act(() => result.current.actions.toggleCell(r, c)));
+  expect(result.current.grid).toEqual([[1, 2], [null, 3]]);
+
+  act(() => result.current.actions.toggleCell(0, 1));
+  expect(result.current.grid).toEqual([[1, null], [null, 2]]);
+  expect(result.current.clueCount).toBe(2);
+});
+
+// PUBLIC_INTERFACE
+test('solver feedback follows each edit', () => {
+  /** On a 2×2 board, clues on the same diagonal cannot be joined; clues on one side give a unique path. */
+  const { result } = renderHook(() => usePuzzleEditor({ rows: 2, cols: 2 }));
+  act(() => result.current.actions.toggleCell(0, 0));
+  expect(result.current.feedback.status).toBe('incomplete');
+
+  act(() => result.current.actions.toggleCell(1, 1));
+  expect(result.current.feedback.status).toBe('none');
+
+  act(() => result.current.actions.toggleCell(1, 1));
+  act(() => result.current.actions.toggleCell(1, 0));
+  expect(result.current.feedback.status).toBe('unique');
+  expect(result.current.feedback.solution).toHaveLength(4);
+});
@@ -0,0 +1,64 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { leaderboardEnabled } from '../services/leaderboard';
+import { enqueueScore, flushQueue, loadQueue, nextAttemptAt } from '../services/scoreQueue';
+
+// PUBLIC_INTERFACE
+export function useScoreQueue({ onSubmitted } = {}) {
+  /** Leaderboard submissions through the persistent queue (services/scoreQueue).
+   * `submit(score)` queues the score and tries to send it at once; it resolves to the run's status
+   * ({ status: 'submitted' | 'pending' | 'rejected', reason? }). Queued scores are retried when the
+   * browser comes back online and whenever their backoff runs out, including after a reload.
+   * `statuses` maps run ids seen this session to their latest status; `pendingCount` is the queue length.
+   * `onSubmitted(result)` is called for every score the server accepts.
+   */
+  const [statuses, setStatuses] = useState({});
+  const [pendingCount, setPendingCount] = useState(() => loadQueue().length);
+  const flushingRef = useRef(null);
+  const timerRef = useRef(0);
+  const onSubmittedRef = useRef(onSubmitted);
+  onSubmittedRef.current = onSubmitted;
+
+  const flush = useCallback(() => {
+    if (!leaderboardEnabled()) return Promise.resolve([]);
+    // One flush at a time; callers arriving meanwhile share the running one
+    if (flushingRef.current) return flushingRef.current;
+    clearTimeout(timerRef.current);
+    flushingRef.current = flushQueue().then((results) => {
+      flushingRef.current = null;
+      if (results.length) {
+        setStatuses((prev) => {
+          const next = { ...prev };
+          results.forEach(({ runId, status, reason }) => { next[runId] = { status, reason }; });
+          return next;
+        });
+      }
+      results.filter((r) => r.status === 'submitted').forEach((r) => onSubmittedRef.current?.(r));
+      setPendingCount(loadQueue().length);
+      const due = nextAttemptAt();
+      if (due != null) timerRef.current = setTimeout(flush, Math.max(0, due - Date.now()));
+      return results;
+    });
+    return flushingRef.current;
+  }, []);
+
+  useEffect(() => {
+    flush();
+    window.addEventListener('online', flush);
+    return () => {
+      window.removeEventListener('online', flush);
+      clearTimeout(timerRef.current);
+    };
+  }, [flush]);
+
+  const submit = useCallback(async (score) => {
+    enqueueScore(score);
+    setPendingCount(loadQueue().length);
+    setStatuses((prev) => ({ ...prev, [score.runId]: { status: 'pending' } }));
+    // A flush already in flight started before this entry was queued
+    await flushingRef.current;
+    const results = await flush();
+    return results.find((r) => r.runId === score.runId) || { status: 'pending' };
+  }, [flush]);
+
+  return { submit, statuses, pendingCount, flush };
+}
@@ -0,0 +1,61 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+/**
+ * Step-by-step playback of a solution path for the "Show solution" view.
+ * Starts playing as soon as a new solution arrives.
+ */
+// PUBLIC_INTERFACE
+export function useSolutionPlayback(solution, { intervalMs = 250 } = {}) {
+  /** Returns { path, step, total, playing, done, play, pause, stepForward, stepBack } where `path` is the revealed prefix. */
+  const [step, setStep] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const total = solution ? solution.length : 0;
+
+  useEffect(() => {
+    setStep(0);
+    setPlaying(!!solution);
+  }, [solution]);
+
+  // Advance one cell per tick while playing
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (step >= total) {
+      setPlaying(false);
+      return undefined;
+    }
+    const id = setTimeout(() => setStep((s) => s + 1), intervalMs);
+    return () => clearTimeout(id);
+  }, [intervalMs, playing, step, total]);
+
+  const play = useCallback(() => {
+    // Playing from the end starts over
+    setStep((s) => (s >= total ? 0 : s));
+    setPlaying(true);
+  }, [total]);
+
+  const pause = useCallback(() => setPlaying(false), []);
+
+  const stepForward = useCallback(() => {
+    setPlaying(false);
+    setStep((s) => Math.min(total, s + 1));
+  }, [total]);
+
+  const stepBack = useCallback(() => {
+    setPlaying(false);
+    setStep((s) => Math.max(0, s - 1));
+  }, []);
+
+  const path = useMemo(() => (solution ? solution.slice(0, step) : []), [solution, step]);
+
+  return {
+    path,
+    step,
+    total,
+    playing,
+    done: total > 0 && step >= total,
+    play,
+    pause,
+    stepForward,
+    stepBack
+  };
+}
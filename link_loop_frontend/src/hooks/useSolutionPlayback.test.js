@@ -0,0 +1,29 @@
+import { act, renderHook } from '@testing-library/react';
+import { useSolutionPlayback } from './useSolutionPlayback';
+
+const solution = [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 1 }];
+
+// PUBLIC_INTERFACE
+test('solution playback reveals one cell per tick and can be stepped', () => {
+  /** Playback starts on a new solution, pauses on step, and reports done at the last cell. */
+  jest.useFakeTimers();
+  const { result } = renderHook(() => useSolutionPlayback(solution, { intervalMs: 100 }));
+  expect(result.current.playing).toBe(true);
+  expect(result.current.path).toEqual([]);
+
+  act(() => jest.advanceTimersByTime(100));
+  expect(result.current.path).toEqual(solution.slice(0, 1));
+
+  act(() => result.current.stepForward());
+  expect(result.current.playing).toBe(false);
+  expect(result.current.step).toBe(2);
+  act(() => result.current.stepBack());
+  expect(result.current.path).toEqual(solution.slice(0, 1));
+
+  act(() => result.current.play());
+  for (let tick = 0; tick < 3; tick++) act(() => jest.advanceTimersByTime(100));
+  expect(result.current.done).toBe(true);
+  expect(result.current.playing).toBe(false);
+  expect(result.current.path).toEqual(solution);
+  jest.useRealTimers();
+});
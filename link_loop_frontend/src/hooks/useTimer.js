@@ -2,7 +2,7 @@ import { useCallback, useEffect, useRef, useState } from 'react';
 
 // PUBLIC_INTERFACE
 export function useTimer(startRunning = true) {
-  /** A simple seconds timer with pause/resume/reset */
+  /** A simple seconds timer with pause/resume/reset. `reset(seconds)` starts over from a saved elapsed time. */
   const [seconds, setSeconds] = useState(0);
   const [running, setRunning] = useState(startRunning);
   const rafRef = useRef(0);
@@ -28,8 +28,8 @@ export function useTimer(startRunning = true) {
 
   const pause = useCallback(() => setRunning(false), []);
   const resume = useCallback(() => setRunning(true), []);
-  const reset = useCallback(() => {
-    setSeconds(0);
+  const reset = useCallback((fromSeconds = 0) => {
+    setSeconds(fromSeconds);
     lastTick.current = performance.now();
   }, []);
 
@@ -4,25 +4,67 @@ function isEnabled() {
   return !!BASE;
 }
 
+// Error for a response the server refused; `status` tells a rejected score (4xx) from a server hiccup (5xx)
+async function responseError(res, message) {
+  const err = new Error(message);
+  err.status = res.status;
+  try {
+    const body = await res.json();
+    err.reason = Array.isArray(body.details) && body.details.length ? body.details.join('; ') : body.error;
+  } catch {
+    // no JSON body
+  }
+  return err;
+}
+
 // PUBLIC_INTERFACE
-export async function fetchLeaderboard() {
-  /** Fetch leaderboard entries if backend is configured, else return empty list. */
+export async function fetchLeaderboard({ size, difficulty, variant, clues, generator, mode, limit } = {}) {
+  /** Fetch leaderboard entries (fastest first) if backend is configured, else return empty list.
+   * Optional filters: `size` as a shape key ("6x8"), `difficulty` level id, `variant`, `clues` (a count, or "default"
+   * for the generator's default), `generator` version, `mode`, and `limit` entry count. Empty filters mean all.
+   * Entries look like { name, seconds, size, difficulty, variant, clues, generator, seed, mode, createdAt }.
+   */
   if (!isEnabled()) return [];
-  const res = await fetch(`${BASE}/leaderboard`, { headers: { 'Accept': 'application/json' } });
+  const params = new URLSearchParams();
+  Object.entries({ size, difficulty, variant, clues, generator, mode, limit }).forEach(([key, value]) => {
+    if (value != null && value !== '') params.set(key, String(value));
+  });
+  const query = params.toString();
+  const res = await fetch(`${BASE}/leaderboard${query ? `?${query}` : ''}`, { headers: { 'Accept': 'application/json' } });
   if (!res.ok) throw new Error('Failed to fetch leaderboard');
   return res.json();
 }
 
 // PUBLIC_INTERFACE
-export async function submitScore({ name, seconds }) {
-  /** Submit a score to the backend if enabled, otherwise no-op. */
+export async function submitScore({
+  runId,
+  name,
+  seconds,
+  seed,
+  size,
+  difficulty,
+  variant = 'classic',
+  clues = null,
+  generator = null,
+  mode = 'free',
+  moves = []
+}) {
+  /** Submit a score to the backend if enabled, otherwise no-op.
+   * The board (seed, `size` shape key, difficulty, variant, clues, generator version, mode) travels with the time, and
+   * the server ranks the entry only against runs that match on all of these but the seed. `difficulty` is the setting
+   * the board is rebuilt from; the entry is stored and ranked under the level the rebuilt board was rated.
+   * `moves` is the run's move log, which the server replays (utils/replay) before accepting the time.
+   * `runId` makes retries safe: the server stores each run once.
+   * Network failures reject with the fetch error; refused requests reject with an Error carrying the HTTP
+   * `status` and the server's `reason`.
+   */
   if (!isEnabled()) return { ok: false, reason: 'Leaderboard not enabled' };
   const res = await fetch(`${BASE}/leaderboard`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ name, seconds })
+    body: JSON.stringify({ runId, name, seconds, seed, size, difficulty, variant, clues, generator, mode, moves })
   });
-  if (!res.ok) throw new Error('Failed to submit score');
+  if (!res.ok) throw await responseError(res, 'Failed to submit score');
   return res.json();
 }
 
@@ -0,0 +1,46 @@
+// The backend URL is read when the module loads, so each test loads a fresh copy
+function loadService(url) {
+  process.env.REACT_APP_BACKEND_URL = url;
+  let service;
+  jest.isolateModules(() => {
+    service = require('./leaderboard');
+  });
+  return service;
+}
+
+const ORIGINAL_URL = process.env.REACT_APP_BACKEND_URL;
+
+afterEach(() => {
+  if (ORIGINAL_URL === undefined) delete process.env.REACT_APP_BACKEND_URL;
+  else process.env.REACT_APP_BACKEND_URL = ORIGINAL_URL;
+  delete global.fetch;
+});
+
+// PUBLIC_INTERFACE
+test('without a backend URL the leaderboard is disabled and makes no requests', async () => {
+  /** fetchLeaderboard returns an empty list and submitScore reports that the feature is off. */
+  const service = loadService('');
+  global.fetch = jest.fn();
+  expect(service.leaderboardEnabled()).toBe(false);
+  await expect(service.fetchLeaderboard({ size: '6x6' })).resolves.toEqual([]);
+  await expect(service.submitScore({ name: 'Ada', seconds: 12 })).resolves.toMatchObject({ ok: false });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+// PUBLIC_INTERFACE
+test('filters go in the query string and scores carry their board', async () => {
+  /** The size/difficulty filters and the submitted seed, size and difficulty reach the backend. */
+  const service = loadService('https://scores.example');
+  global.fetch = jest.fn().mockResolvedValue({ ok: true, json: async () => [] });
+
+  await service.fetchLeaderboard({ size: '6x8', difficulty: 'hard', limit: 10 });
+  expect(global.fetch.mock.calls[0][0]).toBe('https://scores.example/leaderboard?size=6x8&difficulty=hard&limit=10');
+
+  await service.submitScore({ runId: 'run-1', name: 'Ada', seconds: 42.5, seed: 99, size: '6x8', difficulty: 'hard' });
+  const [url, init] = global.fetch.mock.calls[1];
+  expect(url).toBe('https://scores.example/leaderboard');
+  expect(JSON.parse(init.body)).toEqual({
+    runId: 'run-1',
+    name: 'Ada', seconds: 42.5, seed: 99, size: '6x8', difficulty: 'hard', variant: 'classic', clues: null, generator: null, mode: 'free', moves: []
+  });
+});
@@ -0,0 +1,105 @@
+//
+// Persistent queue of leaderboard submissions, retried with backoff until the server answers
+//
+
+import { submitScore } from './leaderboard.js';
+
+const STORAGE_KEY = 'linkloop_score_queue';
+
+// First retry after this long, doubling per failed attempt up to RETRY_MAX_MS
+export const RETRY_BASE_MS = 5000;
+export const RETRY_MAX_MS = 10 * 60 * 1000;
+
+function readQueue() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((e) => e && e.score && typeof e.score.runId === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeQueue(queue) {
+  try {
+    if (queue.length) localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore write failures (e.g., privacy mode or quota)
+  }
+}
+
+/**
+ * A refused request (4xx) will be refused again, so it is dropped instead of retried.
+ * Timeouts and rate limiting are the exception: those may pass later.
+ */
+function isRejection(err) {
+  const { status } = err || {};
+  return Number.isInteger(status) && status >= 400 && status < 500 && status !== 408 && status !== 429;
+}
+
+// PUBLIC_INTERFACE
+export function retryDelay(attempts) {
+  /** Milliseconds to wait after `attempts` failed sends: RETRY_BASE_MS doubling each time, capped at RETRY_MAX_MS. */
+  return Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+// PUBLIC_INTERFACE
+export function loadQueue() {
+  /** Returns the queued entries: [{ score, attempts, nextAttemptAt }], oldest first. */
+  return readQueue();
+}
+
+/**
+ * Add a submission (the submitScore payload, including its `runId`) to the queue, due right away.
+ * A run that is already queued is not added twice.
+ */
+// PUBLIC_INTERFACE
+export function enqueueScore(score, now = Date.now()) {
+  /** Returns the queue after the change. */
+  const queue = readQueue();
+  if (queue.some((e) => e.score.runId === score.runId)) return queue;
+  const next = [...queue, { score, attempts: 0, nextAttemptAt: now }];
+  writeQueue(next);
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function nextAttemptAt() {
+  /** When the earliest queued entry is due (ms timestamp), or null for an empty queue. */
+  const queue = readQueue();
+  return queue.length ? Math.min(...queue.map((e) => e.nextAttemptAt)) : null;
+}
+
+/**
+ * Send every queued entry that is due, oldest first.
+ * Sent entries and rejected ones (the server refused the score) leave the queue. On any other failure
+ * (offline, server error, rate limit) the entry is rescheduled with backoff and the rest wait as well,
+ * since they would fail the same way.
+ * Results: [{ runId, status: 'submitted' | 'rejected' | 'pending', reason?, response? }] for the entries tried.
+ */
+// PUBLIC_INTERFACE
+export async function flushQueue({ now = Date.now(), send = submitScore } = {}) {
+  /** Resolves to the results once the due entries have been tried; never rejects. */
+  const results = [];
+  for (const entry of readQueue()) {
+    if (entry.nextAttemptAt > now) continue;
+    const { runId } = entry.score;
+    const settle = (change) => writeQueue(readQueue().flatMap((e) => (e.score.runId === runId ? change(e) : [e])));
+    try {
+      const response = await send(entry.score);
+      settle(() => []);
+      results.push({ runId, status: 'submitted', response });
+    } catch (err) {
+      if (isRejection(err)) {
+        settle(() => []);
+        results.push({ runId, status: 'rejected', reason: err.reason || err.message });
+      } else {
+        const attempts = entry.attempts + 1;
+        settle((e) => [{ ...e, attempts, nextAttemptAt: now + retryDelay(attempts) }]);
+        results.push({ runId, status: 'pending' });
+        break;
+      }
+    }
+  }
+  return results;
+}
@@ -0,0 +1,60 @@
+import { enqueueScore, flushQueue, loadQueue, nextAttemptAt, retryDelay, RETRY_BASE_MS, RETRY_MAX_MS } from './scoreQueue';
+
+const score = (runId, name = 'Ada') => ({ runId, name, seconds: 12, seed: 7, size: '6x6', difficulty: 'easy', moves: [] });
+
+const refused = (status, reason) => Object.assign(new Error('Failed to submit score'), { status, reason });
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('scores are queued once per run and survive a reload', () => {
+  /** The queue lives in localStorage, and queueing the same run id again changes nothing. */
+  enqueueScore(score('run-a'), 1000);
+  enqueueScore(score('run-a', 'Again'), 2000);
+  enqueueScore(score('run-b'), 3000);
+  expect(loadQueue().map((e) => [e.score.runId, e.score.name, e.attempts])).toEqual([['run-a', 'Ada', 0], ['run-b', 'Ada', 0]]);
+  expect(nextAttemptAt()).toBe(1000);
+});
+
+// PUBLIC_INTERFACE
+test('sent and rejected scores leave the queue', async () => {
+  /** A 4xx reply is final and reported with the server's reason; accepted scores report the response. */
+  enqueueScore(score('run-a'), 0);
+  enqueueScore(score('run-b'), 0);
+  const send = jest.fn()
+    .mockResolvedValueOnce({ ok: true, rank: 3 })
+    .mockRejectedValueOnce(refused(422, 'Reported time is shorter than the replay'));
+
+  const results = await flushQueue({ now: 10, send });
+  expect(results).toEqual([
+    { runId: 'run-a', status: 'submitted', response: { ok: true, rank: 3 } },
+    { runId: 'run-b', status: 'rejected', reason: 'Reported time is shorter than the replay' },
+  ]);
+  expect(loadQueue()).toEqual([]);
+  expect(nextAttemptAt()).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('network failures back off and retry later', async () => {
+  /** Offline, server errors and rate limits keep the score, doubling the wait up to the cap. */
+  enqueueScore(score('run-a'), 0);
+  enqueueScore(score('run-b'), 0);
+  const offline = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+
+  expect(await flushQueue({ now: 0, send: offline })).toEqual([{ runId: 'run-a', status: 'pending' }]);
+  expect(offline).toHaveBeenCalledTimes(1); // the rest wait too
+  expect(loadQueue()[0]).toMatchObject({ attempts: 1, nextAttemptAt: RETRY_BASE_MS });
+
+  expect(await flushQueue({ now: 1, send: offline })).toEqual([{ runId: 'run-b', status: 'pending' }]);
+  expect(await flushQueue({ now: RETRY_BASE_MS, send: jest.fn().mockRejectedValue(refused(503)) })).toHaveLength(1);
+  expect(loadQueue()[0]).toMatchObject({ attempts: 2, nextAttemptAt: 3 * RETRY_BASE_MS });
+
+  const online = jest.fn().mockResolvedValue({ ok: true });
+  await flushQueue({ now: 3 * RETRY_BASE_MS, send: online });
+  expect(online.mock.calls.map(([s]) => s.runId)).toEqual(['run-a', 'run-b']);
+  expect(loadQueue()).toEqual([]);
+
+  expect(retryDelay(1)).toBe(RETRY_BASE_MS);
+  expect(retryDelay(3)).toBe(4 * RETRY_BASE_MS);
+  expect(retryDelay(50)).toBe(RETRY_MAX_MS);
+});
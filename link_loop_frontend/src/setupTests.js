@@ -3,3 +3,8 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not implement SVG geometry; PathSVG measures its stroke on every render.
+if (typeof window.SVGElement !== 'undefined' && !window.SVGElement.prototype.getTotalLength) {
+  window.SVGElement.prototype.getTotalLength = () => 0;
+}
@@ -0,0 +1,53 @@
+//
+// Screen-reader text for cells and path changes
+//
+
+import { hasWall, isBlocked } from './obstacles.js';
+
+// Neighbor offsets named from the cell's point of view
+const SIDES = [
+  ['above', -1, 0],
+  ['right', 0, 1],
+  ['below', 1, 0],
+  ['left', 0, -1],
+];
+
+const position = (p) => `row ${p.row + 1}, column ${p.col + 1}`;
+
+/**
+ * Accessible name for one grid cell, e.g. "Row 2, column 3, number 4, path step 7, wall right".
+ * `step` is the cell's 1-based position on the path, or 0 when the path does not visit it.
+ */
+// PUBLIC_INTERFACE
+export function cellLabel(grid, row, col, { obstacles = null, step = 0 } = {}) {
+  /** Returns the label text; blocked cells are only described as blocked. */
+  const parts = [`Row ${row + 1}, column ${col + 1}`];
+  if (isBlocked(obstacles, row, col)) return `${parts[0]}, blocked`;
+  const value = grid[row][col];
+  if (typeof value === 'number') parts.push(`number ${value}`);
+  parts.push(step ? `path step ${step}` : 'not on path');
+  const walls = SIDES
+    .filter(([, dr, dc]) => hasWall(obstacles, { row, col }, { row: row + dr, col: col + dc }))
+    .map(([side]) => side);
+  if (walls.length) parts.push(`wall ${walls.join(' and ')}`);
+  return parts.join(', ');
+}
+
+/**
+ * Announcement for a path edit: a new step, a backtrack, a jump (restart, truncation, undo/redo) or a cleared path.
+ * `total` is the number of cells the finished path needs.
+ */
+// PUBLIC_INTERFACE
+export function describePathChange(grid, prev, next, total) {
+  /** Returns the text to announce, or null when the path did not change. */
+  if (prev === next || (prev.length === 0 && next.length === 0)) return null;
+  if (next.length === 0) return 'Path cleared';
+  const end = next[next.length - 1];
+  const value = grid[end.row][end.col];
+  const at = `${position(end)}${typeof value === 'number' ? `, number ${value}` : ''}`;
+  const samePrefix = (length) => prev.slice(0, length).every((p, i) => p.row === next[i].row && p.col === next[i].col);
+
+  if (next.length === prev.length + 1 && samePrefix(prev.length)) return `Step ${next.length} of ${total}: ${at}`;
+  if (next.length === prev.length - 1 && samePrefix(next.length)) return `Back to step ${next.length}: ${at}`;
+  return `Path at step ${next.length} of ${total}: ${at}`;
+}
@@ -3,35 +3,47 @@
 //
 
 const STORAGE_KEY = 'linkloop_best_time_ms';
+// Best times recorded before per-shape tracking were all on the 5x5 board
+const LEGACY_SHAPE = '5x5';
+
+function keyFor(shape) {
+  return shape ? `${STORAGE_KEY}:${shape}` : STORAGE_KEY;
+}
+
+function readMs(key) {
+  const v = localStorage.getItem(key);
+  if (v == null) return null;
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
 
 // PUBLIC_INTERFACE
-export function getBestTimeMs() {
-  /** Returns the stored best time in milliseconds, or null if none. */
+export function getBestTimeMs(shape) {
+  /** Returns the stored best time in milliseconds for a board shape (e.g. "6x8"), or null if none. */
   try {
-    const v = localStorage.getItem(STORAGE_KEY);
-    if (v == null) return null;
-    const n = Number(v);
-    return Number.isFinite(n) && n > 0 ? n : null;
+    const stored = readMs(keyFor(shape));
+    if (stored == null && shape === LEGACY_SHAPE) return readMs(STORAGE_KEY);
+    return stored;
   } catch {
     return null;
   }
 }
 
 // PUBLIC_INTERFACE
-export function setBestTimeMs(ms) {
-  /** Persists the best time (in milliseconds) to localStorage. */
+export function setBestTimeMs(ms, shape) {
+  /** Persists the best time (in milliseconds) for a board shape to localStorage. */
   try {
-    localStorage.setItem(STORAGE_KEY, String(Math.max(0, Math.floor(ms))));
+    localStorage.setItem(keyFor(shape), String(Math.max(0, Math.floor(ms))));
   } catch {
     // ignore write failures (e.g., privacy mode)
   }
 }
 
 // PUBLIC_INTERFACE
-export function clearBestTime() {
-  /** Clears the stored best time. Useful for debugging. */
+export function clearBestTime(shape) {
+  /** Clears the stored best time for a board shape (or the legacy key). Useful for debugging. */
   try {
-    localStorage.removeItem(STORAGE_KEY);
+    localStorage.removeItem(keyFor(shape));
   } catch {
     // ignore
   }
@@ -0,0 +1,11 @@
+//
+// Web worker entry: builds one board with generateGrid and posts it back (see boardBuilder.js)
+//
+
+import { generateGrid } from './gameUtils.js';
+
+// eslint-disable-next-line no-restricted-globals
+self.onmessage = ({ data: { dims, seed, options } }) => {
+  // eslint-disable-next-line no-restricted-globals
+  self.postMessage(generateGrid(dims, seed, options));
+};
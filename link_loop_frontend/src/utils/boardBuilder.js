@@ -0,0 +1,46 @@
+//
+// Board generation off the main thread
+//
+// Large or hard boards can take seconds to build, so browsers build them in a web worker while the page
+// stays responsive. Where there are no workers (tests, very old browsers) the game calls generateGrid directly.
+//
+
+/**
+ * Whether boards can be built in a web worker here.
+ */
+// PUBLIC_INTERFACE
+export function canBuildOffThread() {
+  /** True when the Worker API exists. */
+  return typeof Worker !== 'undefined';
+}
+
+/**
+ * Build a board like generateGrid(dims, seed, options) in a fresh web worker. Objects survive the trip
+ * (obstacle sets included), so the result is the same board generateGrid gives on the main thread.
+ */
+// PUBLIC_INTERFACE
+export function buildBoard(dims, seed, options) {
+  /** Returns { promise, cancel }. cancel() stops the worker; its promise then never settles. */
+  let worker = null;
+  let cancelled = false;
+  const promise = import('./spawnBoardWorker.js').then(({ spawnBoardWorker }) => new Promise((resolve, reject) => {
+    if (cancelled) return;
+    worker = spawnBoardWorker();
+    worker.onmessage = ({ data }) => {
+      worker.terminate();
+      resolve(data);
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Board worker failed'));
+    };
+    worker.postMessage({ dims, seed, options });
+  }));
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      if (worker) worker.terminate();
+    },
+  };
+}
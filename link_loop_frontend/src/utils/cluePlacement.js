@@ -0,0 +1,369 @@
+//
+// Clue stage of puzzle generation: number cells along a known Hamiltonian path until the solver proves the
+// board unique, optionally retrying layouts until the difficulty rating lands in a band
+//
+// Used by generator version 2 onwards; version 1 keeps its own frozen copy in utils/generatorV1. A released version
+// that calls this must still place the same clues for the same inputs, which the golden tests in generators.test.js
+// pin. The leaderboard server loads this file too, hence the `.js` imports.
+//
+
+import { DEFAULT_MAX_NODES, solvePuzzle } from './solver.js';
+import { analyzeDifficulty, DIFFICULTY_LEVELS, getDifficultyLevel } from './difficulty.js';
+import { createRng } from './rng.js';
+import { cellKey } from './obstacles.js';
+
+// Clue layouts tried per board when generating for a difficulty level
+const DIFFICULTY_ATTEMPTS = 8;
+// Boards tried when no layout on the first lands in the band: the path, more than its clues, decides the rating
+const DIFFICULTY_BOARDS = 12;
+// Keeps those boards' seeds apart from the clue layouts', which are derived from the same seed
+const RESEED_SALT = 0x68E31DA4;
+// Solver budget per uniqueness round; an exhausted round adds clues instead of searching longer
+const GENERATION_MAX_NODES = 30000;
+// Square blocks searched for local alternatives before the whole board, smallest first (see blockAlternative)
+const BLOCK_SIZES = [4, 6, 8];
+// A block whose cells lie farther apart along the path than this many times its area is not worth its search
+const BLOCK_SPAN_PER_CELL = 6;
+// Gap splits only make uniqueness cheaper to prove, so they stop once clues cover this share of the open cells
+const SPLIT_CLUE_SHARE = 0.4;
+// What a difficulty rating is charged against a search budget: it checks the moves at every step of the
+// solution, costing about as much as this many search nodes per open cell (measured)
+const RATING_NODES_PER_CELL = 16;
+
+/**
+ * Number of clues placed before uniqueness checks when no clue count is requested.
+ */
+// PUBLIC_INTERFACE
+export const DEFAULT_CLUE_COUNT = 9;
+
+/**
+ * Number cells along a Hamiltonian `path` through a { rows, cols } board (with its obstacle `layout` or null) for
+ * the requested clue count or difficulty, adding clues until the solver proves the board unique.
+ * - `nodesPerRound` caps each uniqueness round's search (default 30000)
+ * - `budget` caps the work of the whole stage, solver rounds and ratings (see createSearch). Once it runs out the
+ *   board keeps the clues it has, and `unique` is true only if uniqueness was already proven.
+ * - `reseed(seed)` builds another board of the same kind, { path, obstacles } or null when there is none. With it, a
+ *   difficulty no clue layout on `path` reaches is tried on other boards, seeded from `seed`, before settling for
+ *   the closest; without it the closest layout on `path` is returned.
+ * Without a budget the number of rounds, and with it the time, grows with the board.
+ * The result's `rating.level` is the board's actual difficulty, which can miss the requested one.
+ */
+// PUBLIC_INTERFACE
+export function placeClues(dims, seed, path, layout, { difficulty, clues, nodesPerRound = GENERATION_MAX_NODES, budget = Infinity, reseed } = {}) {
+  /** Returns { grid, unique, rating, obstacles, solution }, the last two `layout` and `path` or a reseeded board's. */
+  const total = path.length;
+  const search = createSearch(budget, total, nodesPerRound);
+  const requested = Number.isFinite(clues) ? Math.floor(clues) : DEFAULT_CLUE_COUNT;
+  const maxDigit = Math.min(Math.max(2, requested), total);
+  if (maxDigit <= 0) {
+    const grid = placeDigits(dims, path, []);
+    return { grid, unique: false, rating: analyzeDifficulty(grid, { solution: path, obstacles: layout }), obstacles: layout, solution: path };
+  }
+
+  const target = getDifficultyLevel(difficulty);
+  if (target) return generateForDifficulty(dims, seed, { path, obstacles: layout }, target, maxDigit, search, reseed);
+
+  const { grid, unique } = ensureUniqueSolution(dims, path, pickClueIndices(total, maxDigit, createRng(seed)), layout, search);
+  return { grid, unique, rating: analyzeDifficulty(grid, { solution: path, obstacles: layout }), obstacles: layout, solution: path };
+}
+
+/**
+ * Solver and rating access for one clue stage, drawing on a shared budget of search nodes times open cells.
+ * Each node's dead-end and parity checks walk the unvisited cells, so this tracks time on any board size, while
+ * staying a count: the same seed gives the same board on every machine, which replays on the server rely on.
+ * The solver runs with its lookahead, which costs more per node but settles large boards in far fewer nodes.
+ */
+function createSearch(budget, cells, nodesPerRound) {
+  let left = budget;
+  return {
+    bounded: Number.isFinite(budget),
+    exhausted: () => left < cells,
+    // One uniqueness round, or the final check with `maxNodes`; `open` is the number of cells the grid leaves open
+    solve(grid, { maxNodes = nodesPerRound, obstacles, open = cells }) {
+      const result = solvePuzzle(grid, { limit: 2, maxNodes: Math.min(maxNodes, Math.floor(left / open)), obstacles, lookahead: true });
+      left -= result.nodes * open;
+      return result;
+    },
+    rate(grid, options) {
+      left -= RATING_NODES_PER_CELL * cells * cells;
+      return analyzeDifficulty(grid, options);
+    },
+  };
+}
+
+/**
+ * Retry clue layouts, and then other boards from `reseed`, until the rating falls in the target band.
+ * Returns the closest board if none hits the band, or the closest so far once the search budget is spent;
+ * its `rating.level` then says what the board really is.
+ */
+function generateForDifficulty(dims, seed, board, target, digits, search, reseed) {
+  const next = DIFFICULTY_LEVELS[DIFFICULTY_LEVELS.indexOf(target) + 1];
+  const band = { min: target.min, upper: next ? next.min : Infinity };
+  const bandDistance = (score) => Math.max(0, band.min - score, score - (band.upper - 1));
+  // Under a budget a board can come out unproven; it never replaces one proven unique
+  const closer = (candidate, best) => {
+    if (!best) return true;
+    if (search.bounded && best.unique !== candidate.unique) return candidate.unique;
+    return bandDistance(candidate.rating.score) < bandDistance(best.rating.score);
+  };
+
+  const boardSeeds = createRng((seed ^ RESEED_SALT) >>> 0);
+  let best = null;
+  for (let n = 0; n < (reseed ? DIFFICULTY_BOARDS : 1) && !(best && search.exhausted()); n++) {
+    const boardSeed = n === 0 ? seed : Math.floor(boardSeeds() * 2 ** 32);
+    const { path, obstacles } = n === 0 ? board : reseed(boardSeed) || {};
+    if (!path) continue;
+    const candidate = layoutForDifficulty(dims, boardSeed, path, obstacles, band, Math.min(digits, path.length), search, closer);
+    if (closer(candidate, best)) best = { ...candidate, obstacles, solution: path };
+    if (bandDistance(best.rating.score) === 0) break;
+  }
+  return best;
+}
+
+/**
+ * Retry clue layouts on one canonical path, keeping the one `closer` prefers, until its rating falls in the band.
+ * A layout rated too hard gets extra clues in its longest gaps; one rated too easy makes the
+ * next attempt start from fewer clues.
+ */
+function layoutForDifficulty(dims, seed, path, obstacles, { min, upper }, initialDigits, search, closer) {
+  const total = path.length;
+  let digits = initialDigits;
+  let best = null;
+  // Big boards cost far more per layout, so they get proportionally fewer attempts
+  const attempts = Math.max(2, Math.round((DIFFICULTY_ATTEMPTS * 36) / Math.max(36, total)));
+  for (let attempt = 0; attempt < attempts && !(best && search.exhausted()); attempt++) {
+    const rng = createRng((seed + attempt * 0x9E3779B9) >>> 0);
+    const { grid, unique, indices } = ensureUniqueSolution(dims, path, pickClueIndices(total, digits, rng), obstacles, search);
+    let candidate = { grid, unique, rating: search.rate(grid, { solution: path, obstacles }) };
+
+    // Extra clues along the canonical path keep the solution unique and lower the score
+    while (candidate.rating.score >= upper && !search.exhausted()) {
+      const split = splitLongestGap(indices);
+      if (split == null) break;
+      indices.push(split);
+      indices.sort((a, b) => a - b);
+      const denser = placeDigits(dims, path, indices);
+      candidate = { grid: denser, unique, rating: search.rate(denser, { solution: path, obstacles }) };
+    }
+
+    if (closer(candidate, best)) best = candidate;
+    if (candidate.rating.score >= min && candidate.rating.score < upper) break;
+    if (candidate.rating.score < min) digits = Math.max(2, digits - 1);
+  }
+  return best;
+}
+
+/**
+ * Choose spaced indices along the path for digits 1..maxDigit (last index reserved for the final digit).
+ * Works for any clue count up to the number of cells.
+ * Strategy:
+ * 1) Compute base even-spaced indices across [0, total-2] (exclude last so the final digit can be at total-1).
+ * 2) Add small random jitter per index and clamp to [0, total-2].
+ * 3) Sort and force strictly increasing to maintain order.
+ */
+function pickClueIndices(total, maxDigit, rng) {
+  const lastIndex = total - 1;
+  const digitCountBeforeLast = Math.max(0, maxDigit - 1);
+
+  const base = [];
+  for (let i = 0; i < digitCountBeforeLast; i++) {
+    const denom = Math.max(1, digitCountBeforeLast - 1);
+    const idx = digitCountBeforeLast === 1
+      ? 0
+      : Math.round((i * (total - 2)) / denom); // ensure within [0, total-2]
+    base.push(idx);
+  }
+
+  // Apply jitter up to ±floor(total/(maxDigit*3)) while keeping within [0, total-2]
+  const jitterMax = Math.max(1, Math.floor(total / (maxDigit * 3)));
+  const jittered = base.map((idx, i) => {
+    // keep first (1) near start by reducing jitter; rest can vary more
+    const scale = (i === 0) ? 0.4 : 1.0;
+    const j = Math.floor((rng() * 2 - 1) * jitterMax * scale);
+    return Math.min(total - 2, Math.max(0, idx + j));
+  });
+
+  // Sort and strictly increase, fixing collisions
+  jittered.sort((a, b) => a - b);
+  // The player must start on 1, so it has to sit on the first node of the path
+  if (jittered.length) jittered[0] = 0;
+  for (let i = 1; i < jittered.length; i++) {
+    if (jittered[i] <= jittered[i - 1]) jittered[i] = jittered[i - 1] + 1;
+    if (jittered[i] > total - 2) jittered[i] = total - 2;
+  }
+  // Walk backwards to spread if needed
+  for (let i = jittered.length - 2; i >= 0; i--) {
+    if (jittered[i] >= jittered[i + 1]) jittered[i] = Math.max(0, jittered[i + 1] - 1);
+  }
+
+  return maxDigit === 1 ? [lastIndex] : [...jittered, lastIndex];
+}
+
+/**
+ * Place digits 1..k at the given (ascending) path indices.
+ */
+function placeDigits({ rows, cols }, path, indices) {
+  const grid = Array.from({ length: rows }, () =>
+    Array.from({ length: cols }, () => null)
+  );
+  indices.forEach((indexOnPath, i) => {
+    const { row, col } = path[indexOnPath];
+    grid[row][col] = i + 1;
+  });
+  return grid;
+}
+
+/**
+ * Add clues along the canonical path until the solver proves the puzzle unique.
+ * First each block of the board (see BLOCK_SIZES) is searched for a local alternative, then the whole board.
+ * Every alternative found is ruled out by cluing a cell that it visits between a different pair of numbers.
+ * When a whole-board round runs out of nodes without one, the longest clue-free stretches are split instead
+ * (about one new clue per six existing ones), but only up to SPLIT_CLUE_SHARE of the open cells: past that the
+ * board keeps its clues and `unique` reports whether the final check could prove it.
+ * Stops adding clues when the search budget is spent.
+ * Returns { grid, unique, indices } with the final clue indices along the path.
+ */
+function ensureUniqueSolution(dims, path, initialIndices, obstacles, search) {
+  const total = path.length;
+  const indices = initialIndices.slice();
+  const clued = new Set(indices);
+  const addClue = (i) => {
+    if (i == null || clued.has(i)) return false;
+    clued.add(i);
+    indices.push(i);
+    indices.sort((a, b) => a - b);
+    return true;
+  };
+
+  const order = new Map(path.map((p, i) => [cellKey(p.row, p.col), i]));
+  for (const size of BLOCK_SIZES) {
+    for (let row = 0; row < dims.rows - 1; row += size / 2) {
+      for (let col = 0; col < dims.cols - 1 && !search.exhausted(); col += size / 2) {
+        let alternative = blockAlternative(dims, path, order, indices, obstacles, search, { row, col, size });
+        while (alternative && addClue(disambiguatingIndex(path, indices, alternative))) {
+          alternative = blockAlternative(dims, path, order, indices, obstacles, search, { row, col, size });
+        }
+      }
+    }
+  }
+
+  const maxSplitClues = Math.floor(total * SPLIT_CLUE_SHARE);
+  while (clued.size < total && !search.exhausted()) {
+    const grid = placeDigits(dims, path, indices);
+    const { solutions, count, complete } = search.solve(grid, { obstacles });
+    if (complete && count === 1) return { grid, unique: true, indices };
+
+    // A round cut short may still have come across an alternative
+    const alternative = solutions.find((s) => s.some((p, i) => p.row !== path[i].row || p.col !== path[i].col));
+    const additions = [];
+    if (alternative) {
+      additions.push(disambiguatingIndex(path, indices, alternative));
+    } else {
+      for (let n = Math.min(maxSplitClues - indices.length, Math.max(1, Math.floor(indices.length / 6))); n > 0; n--) {
+        additions.push(splitLongestGap([...indices, ...additions].sort((a, b) => a - b)));
+      }
+    }
+    if (additions.filter(addClue).length === 0) break;
+  }
+
+  const grid = placeDigits(dims, path, indices);
+  if (clued.size === total) return { grid, unique: true, indices };
+  const { count, complete } = search.solve(grid, { maxNodes: DEFAULT_MAX_NODES, obstacles });
+  return { grid, unique: complete && count === 1, indices };
+}
+
+/**
+ * Look for another way through one block of the board: a { row, col, size } square.
+ * The canonical path is kept from the first to the last of its cells inside the block, with every cell of that
+ * stretch outside the block numbered in path order, so only the block's own unclued cells are open. A solution of
+ * that smaller puzzle that differs from the path, spliced into the path, is an alternative to the whole board;
+ * it may swap cells between parts of the path that pass the block far apart. Blocks whose stretch is longer than
+ * BLOCK_SPAN_PER_CELL times their area are skipped, as the solver walks all of it.
+ * Returns the alternative as a full path, or null.
+ */
+function blockAlternative({ rows, cols }, path, order, indices, obstacles, search, { row, col, size }) {
+  const inBlock = (p) => p.row >= row && p.row < row + size && p.col >= col && p.col < col + size;
+  let first = Infinity;
+  let last = -1;
+  for (let r = row; r < Math.min(rows, row + size); r++) {
+    for (let c = col; c < Math.min(cols, col + size); c++) {
+      const i = order.get(cellKey(r, c));
+      if (i == null) continue;
+      first = Math.min(first, i);
+      last = Math.max(last, i);
+    }
+  }
+  if (last - first < 3 || last - first > BLOCK_SPAN_PER_CELL * size * size) return null;
+
+  const clued = new Set(indices);
+  const grid = Array.from({ length: rows }, () => Array.from({ length: cols }, () => null));
+  let n = 0;
+  for (let i = first; i <= last; i++) {
+    if (i === first || i === last || clued.has(i) || !inBlock(path[i])) grid[path[i].row][path[i].col] = ++n;
+  }
+  const blocked = new Set(obstacles ? obstacles.blocked : []);
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) {
+      const i = order.get(cellKey(r, c));
+      if (i == null || i < first || i > last) blocked.add(cellKey(r, c));
+    }
+  }
+
+  const stretch = { blocked, walls: obstacles ? obstacles.walls : new Set() };
+  const { solutions } = search.solve(grid, { obstacles: stretch, open: last - first + 1 });
+  const other = solutions.find((s) => s.some((p, k) => p.row !== path[first + k].row || p.col !== path[first + k].col));
+  return other ? [...path.slice(0, first), ...other, ...path.slice(last + 1)] : null;
+}
+
+/**
+ * Pick a path index whose cell sits between different clues in the alternative solution.
+ * Prefers the candidate farthest from existing clues to keep numbers spread out.
+ * Falls back to the first index where the two paths diverge.
+ */
+function disambiguatingIndex(path, indices, alternative) {
+  const cellKey = (p) => `${p.row},${p.col}`;
+  const altSegment = new Map();
+  const clueCells = new Set(indices.map((i) => cellKey(path[i])));
+  let seg = 0;
+  alternative.forEach((p) => {
+    const key = cellKey(p);
+    if (clueCells.has(key)) seg++;
+    altSegment.set(key, seg);
+  });
+
+  let best = null;
+  let bestDistance = -1;
+  let k = 0; // number of clue indices <= i
+  for (let i = 0; i < path.length; i++) {
+    while (k < indices.length && indices[k] <= i) k++;
+    if (indices[k - 1] === i) continue;
+    if (altSegment.get(cellKey(path[i])) === k) continue;
+    const prevClue = k > 0 ? indices[k - 1] : -Infinity;
+    const nextClue = k < indices.length ? indices[k] : Infinity;
+    const distance = Math.min(i - prevClue, nextClue - i);
+    if (distance > bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  if (best != null) return best;
+
+  const diverge = path.findIndex((p, i) => p.row !== alternative[i].row || p.col !== alternative[i].col);
+  return diverge >= 0 ? diverge : null;
+}
+
+/**
+ * Midpoint of the longest run of unclued path indices.
+ */
+function splitLongestGap(indices) {
+  let best = null;
+  let bestLength = 1;
+  for (let i = 1; i < indices.length; i++) {
+    const length = indices[i] - indices[i - 1];
+    if (length > bestLength) {
+      bestLength = length;
+      best = indices[i - 1] + Math.floor(length / 2);
+    }
+  }
+  return best;
+}
@@ -0,0 +1,52 @@
+//
+// Hand-made puzzles saved from the editor, kept in localStorage as puzzle codes
+//
+
+import { randomSeed } from './gameUtils.js';
+
+const STORAGE_KEY = 'linkloop_custom_puzzles';
+
+const isEntry = (e) => e && typeof e.id === 'string' && typeof e.name === 'string' && typeof e.code === 'string';
+
+function readPuzzles() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(isEntry) : [];
+  } catch {
+    return [];
+  }
+}
+
+function writePuzzles(list) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadCustomPuzzles() {
+  /** Returns the saved puzzles [{ id, name, code, savedAt }], most recently saved first. */
+  return readPuzzles().sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Save a puzzle code (see serializePuzzle) under a name. A puzzle with the same name is replaced,
+ * so saving again while editing updates it.
+ */
+// PUBLIC_INTERFACE
+export function saveCustomPuzzle({ name, code }) {
+  /** Returns the stored entry, or null when storage is unavailable. */
+  const list = readPuzzles();
+  const existing = list.find((e) => e.name === name);
+  const entry = { id: existing ? existing.id : `${Date.now().toString(36)}-${randomSeed().toString(36)}`, name, code, savedAt: Date.now() };
+  return writePuzzles([...list.filter((e) => e.id !== entry.id), entry]) ? entry : null;
+}
+
+// PUBLIC_INTERFACE
+export function deleteCustomPuzzle(id) {
+  /** Removes one saved puzzle. */
+  writePuzzles(readPuzzles().filter((e) => e.id !== id));
+}
@@ -0,0 +1,111 @@
+//
+// Daily puzzle: date-derived seed, solved flag and streak tracking
+//
+
+const STORAGE_KEY = 'linkloop_daily';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Board settings shared by every player's daily puzzle. The seed alone only pins the board
+ * when everyone generates it with the same shape, difficulty, clue count and generator version.
+ * Moving the daily to a newer generator is a deliberate change here, not a side effect of a release.
+ */
+// PUBLIC_INTERFACE
+export const DAILY_PUZZLE = {
+  size: { rows: 6, cols: 6 },
+  difficulty: 'medium',
+  clues: null,
+  variant: 'classic',
+  generator: 1,
+};
+
+/**
+ * UTC calendar date of a moment, e.g. "2026-10-19". Everyone shares the same daily regardless of time zone.
+ */
+// PUBLIC_INTERFACE
+export function utcDateKey(date = new Date()) {
+  /** Returns "YYYY-MM-DD" for the UTC date of `date` (a Date or epoch milliseconds). */
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Seed for a daily puzzle, hashed from its date key (FNV-1a) so consecutive days look unrelated.
+ */
+// PUBLIC_INTERFACE
+export function dailySeed(dateKey = utcDateKey()) {
+  /** Returns a 32-bit unsigned integer seed for the date key. */
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < dateKey.length; i++) {
+    hash ^= dateKey.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Time left until the next daily puzzle unlocks at UTC midnight.
+ */
+// PUBLIC_INTERFACE
+export function msUntilNextDaily(now = Date.now()) {
+  /** Returns milliseconds until the next UTC midnight. */
+  const t = new Date(now).getTime();
+  return DAY_MS - (t % DAY_MS);
+}
+
+/**
+ * Format a countdown as hh:mm:ss.
+ */
+// PUBLIC_INTERFACE
+export function formatCountdown(ms) {
+  /** Returns a string like 04:12:33, rounding up to whole seconds. */
+  const total = Math.max(0, Math.ceil(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return [h, m, s].map((n) => String(n).padStart(2, '0')).join(':');
+}
+
+function previousDateKey(dateKey) {
+  return utcDateKey(new Date(`${dateKey}T00:00:00Z`).getTime() - DAY_MS);
+}
+
+function readRecord() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (parsed && typeof parsed.lastSolved === 'string' && Number.isFinite(parsed.streak)) return parsed;
+  } catch {
+    // fall through to an empty record
+  }
+  return { lastSolved: null, streak: 0 };
+}
+
+/**
+ * Daily progress as of a date: whether that day's puzzle is solved and the current streak.
+ * A streak survives until the end of the day after its last solve.
+ */
+// PUBLIC_INTERFACE
+export function getDailyStatus(dateKey = utcDateKey()) {
+  /** Returns { solvedToday, streak } read from localStorage. */
+  const { lastSolved, streak } = readRecord();
+  const solvedToday = lastSolved === dateKey;
+  const alive = solvedToday || lastSolved === previousDateKey(dateKey);
+  return { solvedToday, streak: alive ? streak : 0 };
+}
+
+/**
+ * Record a solved daily. Solving the same day again leaves the streak unchanged.
+ */
+// PUBLIC_INTERFACE
+export function recordDailySolve(dateKey = utcDateKey()) {
+  /** Persists the solve and returns the updated { solvedToday, streak }. */
+  const { lastSolved, streak } = readRecord();
+  if (lastSolved !== dateKey) {
+    const next = lastSolved === previousDateKey(dateKey) ? streak + 1 : 1;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({ lastSolved: dateKey, streak: next }));
+    } catch {
+      // ignore write failures (e.g., privacy mode)
+    }
+  }
+  return getDailyStatus(dateKey);
+}
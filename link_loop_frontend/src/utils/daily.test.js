@@ -0,0 +1,26 @@
+import { dailySeed, formatCountdown, getDailyStatus, msUntilNextDaily, recordDailySolve, utcDateKey } from './daily';
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('daily seeds follow the UTC date', () => {
+  /** Moments on the same UTC day share a seed; the next day gets a different one. */
+  const late = Date.UTC(2026, 9, 19, 23, 59, 30);
+  expect(utcDateKey(late)).toBe('2026-10-19');
+  expect(dailySeed(utcDateKey(late))).toBe(dailySeed('2026-10-19'));
+  expect(dailySeed('2026-10-20')).not.toBe(dailySeed('2026-10-19'));
+  expect(msUntilNextDaily(late)).toBe(30000);
+  expect(formatCountdown(msUntilNextDaily(Date.UTC(2026, 9, 19, 19, 47, 27)))).toBe('04:12:33');
+});
+
+// PUBLIC_INTERFACE
+test('streak grows on consecutive days and resets after a gap', () => {
+  /** Re-solving the same day is counted once; a missed day drops the streak. */
+  expect(getDailyStatus('2026-10-18')).toEqual({ solvedToday: false, streak: 0 });
+  expect(recordDailySolve('2026-10-18')).toEqual({ solvedToday: true, streak: 1 });
+  expect(recordDailySolve('2026-10-18').streak).toBe(1);
+  expect(getDailyStatus('2026-10-19')).toEqual({ solvedToday: false, streak: 1 });
+  expect(recordDailySolve('2026-10-19').streak).toBe(2);
+  expect(getDailyStatus('2026-10-21').streak).toBe(0);
+  expect(recordDailySolve('2026-10-21').streak).toBe(1);
+});
@@ -0,0 +1,96 @@
+//
+// Difficulty rating for Link Loop puzzles
+//
+// Generating for a difficulty keeps or drops clue layouts by this score, so it is part of every released
+// generator's output, frozen version 1 included: a change to the scoring changes old boards, which the golden tests
+// in generators.test.js catch.
+//
+
+import { openCellCount } from './obstacles.js';
+import { solvePuzzle, viableMoves } from './solver.js';
+
+// PUBLIC_INTERFACE
+export const DIFFICULTY_LEVELS = [
+  // Ordered from easiest to hardest; `min` is the inclusive lower score bound of each band.
+  { id: 'easy', label: 'Easy', min: 0 },
+  { id: 'medium', label: 'Medium', min: 30 },
+  { id: 'hard', label: 'Hard', min: 45 },
+  { id: 'expert', label: 'Expert', min: 60 },
+];
+
+/**
+ * Map a 0..100 score to its difficulty band.
+ */
+// PUBLIC_INTERFACE
+export function difficultyForScore(score) {
+  /** Returns the level object whose band contains the score. */
+  let level = DIFFICULTY_LEVELS[0];
+  for (const l of DIFFICULTY_LEVELS) {
+    if (score >= l.min) level = l;
+  }
+  return level;
+}
+
+/**
+ * Look up a difficulty level by id (case-insensitive). Returns null for unknown ids.
+ */
+// PUBLIC_INTERFACE
+export function getDifficultyLevel(id) {
+  /** Returns the level object for the id, or null. */
+  if (typeof id !== 'string') return null;
+  return DIFFICULTY_LEVELS.find((l) => l.id === id.toLowerCase()) || null;
+}
+
+/**
+ * Score a numbered grid. Looks at:
+ * - clue density: fewer numbers leave more cells to reason about
+ * - the longest clue-free stretch along the solution
+ * - branching decisions: steps where a deductive solver walking the solution still sees
+ *   more than one move that passes its rules (clue order, reachability, dead ends, parity)
+ * Pass `solution` when it is already known to skip the solve, and `obstacles` for the obstacle variant.
+ */
+// PUBLIC_INTERFACE
+export function analyzeDifficulty(grid, { solution, obstacles = null } = {}) {
+  /** Returns { score, level, clueCount, longestGap, branchingDecisions }. */
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  const total = openCellCount(rows, cols, obstacles);
+
+  let clueCount = 0;
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+    if (typeof grid[r][c] === 'number') clueCount++;
+  }
+
+  const path = solution || solvePuzzle(grid, { limit: 1, obstacles }).solutions[0];
+  if (!path || total === 0) {
+    return { score: 0, level: DIFFICULTY_LEVELS[0].id, clueCount, longestGap: 0, branchingDecisions: 0 };
+  }
+
+  let longestGap = 0;
+  let gap = 0;
+  let branchingDecisions = 0;
+  for (let i = 0; i < path.length; i++) {
+    const { row, col } = path[i];
+    if (typeof grid[row][col] === 'number') {
+      longestGap = Math.max(longestGap, gap);
+      gap = 0;
+    } else {
+      gap++;
+    }
+    if (i > 0 && viableMoves(grid, path.slice(0, i), { obstacles }).length > 1) branchingDecisions++;
+  }
+
+  // Weighted blend of the three signals, each normalized to roughly 0..1
+  const sparsity = 1 - clueCount / total;
+  const stretch = Math.min(1, (longestGap / total) * 2.5);
+  const branching = Math.min(1, (branchingDecisions / total) * 2.5);
+  const score = Math.round(100 * (0.2 * sparsity + 0.3 * stretch + 0.5 * branching));
+
+  return {
+    score,
+    level: difficultyForScore(score).id,
+    clueCount,
+    longestGap,
+    branchingDecisions,
+  };
+}
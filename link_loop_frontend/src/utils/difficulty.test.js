@@ -0,0 +1,44 @@
+import { analyzeDifficulty, difficultyForScore, getDifficultyLevel } from './difficulty';
+import { generateGrid } from './gameUtils';
+
+// PUBLIC_INTERFACE
+test('scores map onto ordered difficulty bands', () => {
+  /** Band lower bounds are inclusive. */
+  expect(difficultyForScore(0).id).toBe('easy');
+  expect(difficultyForScore(30).id).toBe('medium');
+  expect(difficultyForScore(45).id).toBe('hard');
+  expect(difficultyForScore(99).id).toBe('expert');
+  expect(getDifficultyLevel('Hard').label).toBe('Hard');
+  expect(getDifficultyLevel('impossible')).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('analyzer reports clues, longest gap and branching decisions', () => {
+  /** A fully clued board needs no decisions; sparse boards score higher. */
+  const dense = [
+    [1, 2, 3],
+    [6, 5, 4],
+    [7, 8, 9],
+  ];
+  const sparse = [
+    [1, null, null],
+    [3, 2, null],
+    [null, null, 4],
+  ];
+  const a = analyzeDifficulty(dense);
+  expect(a).toMatchObject({ clueCount: 9, longestGap: 0, branchingDecisions: 0 });
+  const b = analyzeDifficulty(sparse);
+  expect(b.clueCount).toBe(4);
+  expect(b.longestGap).toBe(3);
+  expect(b.score).toBeGreaterThan(a.score);
+});
+
+// PUBLIC_INTERFACE
+test('generator retries until the board lands in the requested band', () => {
+  /** Easy through hard are reachable on small boards. */
+  for (const difficulty of ['easy', 'medium', 'hard']) {
+    const { rating, unique } = generateGrid(4, 2024, { difficulty });
+    expect(unique).toBe(true);
+    expect(rating.level).toBe(difficulty);
+  }
+});
@@ -0,0 +1,14 @@
+//
+// Save generated text (stats history, puzzles) as a file download
+//
+
+// PUBLIC_INTERFACE
+export function downloadText(filename, text, type = 'application/json') {
+  /** Offers `text` as a download named `filename` through a temporary object URL. */
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
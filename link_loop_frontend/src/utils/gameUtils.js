@@ -3,232 +3,139 @@
 // Core utilities for Link Loop game
 //
 
+import { solvePuzzle } from './solver.js';
+import { analyzeDifficulty } from './difficulty.js';
+import { createObstacles, hasWall, isBlocked, isEmptyObstacles, openCellCount, wallList } from './obstacles.js';
+import { buildRandomHamiltonianPath as buildPathV1 } from './generatorV1.js';
+import { DEFAULT_CLUE_COUNT } from './cluePlacement.js';
+import { CURRENT_GENERATOR_VERSION, getGenerator } from './generators.js';
+
 /**
- * Generate a square grid of size n where digits 1..9 (or fewer if grid too small)
- * are placed along a single randomized Hamiltonian path, at randomized spaced positions.
- * The path covers every cell exactly once without crossings.
- * Numbers are placed at spaced indices along this path in ascending order,
- * but the specific spacing is randomized using the provided seed (or crypto).
+ * Puzzle variants offered by the settings panel.
  */
- // PUBLIC_INTERFACE
-export function generateGrid(size = 5, seed = 42) {
-  /** Generate a grid with digits along a randomized Hamiltonian path. Uses seed to randomize path and digit positions.
-   * Requirements:
-   * - Always place digits 1..9 (or fewer if grid too small) along the canonical path.
-   * - Ensure that digit 9 is placed on the last node of the canonical path.
-   */
-  const grid = Array.from({ length: size }, () =>
-    Array.from({ length: size }, () => null)
-  );
-  // Build a randomized Hamiltonian path to avoid horizontal bias
-  const path = buildRandomHamiltonianPath(size, seed);
-  const total = path.length;
-  const maxDigit = Math.min(9, total);
-  if (maxDigit <= 0) return grid;
-
-  // Choose spaced indices along the path for digits 1..maxDigit-1 (reserve last index for 9).
-  // Strategy:
-  // 1) Compute base even-spaced indices across [0, total-2] (exclude last so 9 can be at total-1).
-  // 2) Add small random jitter per index and clamp to [0, total-2].
-  // 3) Sort and force strictly increasing to maintain order.
-  const rng = createRng(seed);
-  const lastIndex = total - 1;
-  const digitCountBeforeLast = Math.max(0, maxDigit - 1);
-
-  const base = [];
-  for (let i = 0; i < digitCountBeforeLast; i++) {
-    const denom = Math.max(1, digitCountBeforeLast - 1);
-    const idx = digitCountBeforeLast === 1
-      ? 0
-      : Math.round((i * (total - 2)) / denom); // ensure within [0, total-2]
-    base.push(idx);
-  }
-
-  // Apply jitter up to ±floor(total/(maxDigit*3)) while keeping within [0, total-2]
-  const jitterMax = Math.max(1, Math.floor(total / (maxDigit * 3)));
-  const jittered = base.map((idx, i) => {
-    // keep first (1) near start by reducing jitter; rest can vary more
-    const scale = (i === 0) ? 0.4 : 1.0;
-    const j = Math.floor((rng() * 2 - 1) * jitterMax * scale);
-    return Math.min(total - 2, Math.max(0, idx + j));
-  });
+// PUBLIC_INTERFACE
+export const PUZZLE_VARIANTS = [
+  { id: 'classic', label: 'Classic' },
+  { id: 'obstacles', label: 'Obstacles' },
+];
 
-  // Sort and strictly increase, fixing collisions
-  jittered.sort((a, b) => a - b);
-  for (let i = 1; i < jittered.length; i++) {
-    if (jittered[i] <= jittered[i - 1]) jittered[i] = jittered[i - 1] + 1;
-    if (jittered[i] > total - 2) jittered[i] = total - 2;
-  }
-  // Walk backwards to spread if needed
-  for (let i = jittered.length - 2; i >= 0; i--) {
-    if (jittered[i] >= jittered[i + 1]) jittered[i] = Math.max(0, jittered[i + 1] - 1);
-  }
+/**
+ * Board shapes offered by the size picker. Rectangular boards are listed as rows x cols.
+ */
+// PUBLIC_INTERFACE
+export const BOARD_SIZES = [
+  { rows: 4, cols: 4 },
+  { rows: 5, cols: 5 },
+  { rows: 6, cols: 6 },
+  { rows: 7, cols: 7 },
+  { rows: 8, cols: 8 },
+  { rows: 9, cols: 9 },
+  { rows: 10, cols: 10 },
+  { rows: 4, cols: 6 },
+  { rows: 5, cols: 7 },
+  { rows: 6, cols: 8 },
+  { rows: 8, cols: 10 },
+];
 
-  // Place digits 1..(maxDigit-1) at jittered indices and 9 (or maxDigit) at the last node
-  for (let d = 1; d <= maxDigit; d++) {
-    const indexOnPath = (d === maxDigit) ? lastIndex : jittered[d - 1];
-    const { row, col } = path[indexOnPath];
-    grid[row][col] = d;
-  }
-  return grid;
+/**
+ * Normalize a board size: a number n means an n x n square, otherwise { rows, cols }.
+ */
+// PUBLIC_INTERFACE
+export function normalizeSize(size) {
+  /** Returns { rows, cols } for a number or a { rows, cols } object. */
+  if (typeof size === 'number') return { rows: size, cols: size };
+  return { rows: size.rows, cols: size.cols };
 }
 
 /**
- * Build a randomized Hamiltonian path for an N x N grid using DFS with randomized neighbor order.
- * This produces vertical, horizontal, and mixed-direction trails while covering each cell exactly once.
- * The generator is seeded and includes periodic orientation bias toggles to avoid long straight runs.
- * Serpentine fallback and any row-wise iteration patterns have been removed to ensure diversity.
+ * Stable key for a board shape, e.g. "6x8". Used for per-shape storage.
  */
 // PUBLIC_INTERFACE
-export function buildRandomHamiltonianPath(size, seed) {
-  /** Return array of {row,col} covering every cell exactly once using randomized DFS with shuffled neighbors and bias toggles. */
-  const rng = createRng(seed);
-  const total = size * size;
-
-  // Cardinal directions
-  const DIRS = [
-    { name: 'U', dr: -1, dc: 0 },
-    { name: 'D', dr: 1, dc: 0 },
-    { name: 'L', dr: 0, dc: -1 },
-    { name: 'R', dr: 0, dc: 1 },
-  ];
-
-  // Random start for variety
-  const start = { row: Math.floor(rng() * size), col: Math.floor(rng() * size) };
-  const visited = Array.from({ length: size }, () => Array.from({ length: size }, () => false));
-  const path = [];
-
-  const inBounds = (r, c) => r >= 0 && r < size && c >= 0 && c < size;
-
-  // Orientation bias toggles: occasionally prefer vertical or horizontal to introduce turns.
-  // Bias state flips stochastically as depth increases to avoid degeneracy.
-  function orientationBias(depth) {
-    // Every k steps, flip a coin to toggle preference
-    const k = 3 + Math.floor(rng() * 3); // 3..5
-    const phase = depth % k === 0 ? (rng() < 0.5 ? 'H' : 'V') : null;
-    return phase; // 'H' prefer horizontal, 'V' prefer vertical, null neutral
-  }
-
-  function shuffledNeighbors(r, c, depth) {
-    const bias = orientationBias(depth);
-    const arr = DIRS.slice();
-
-    // Primary shuffle
-    for (let i = arr.length - 1; i > 0; i--) {
-      const j = Math.floor(rng() * (i + 1));
-      [arr[i], arr[j]] = [arr[j], arr[i]];
-    }
-
-    // Apply soft bias by stable-sorting groups after shuffle
-    if (bias === 'H') {
-      // prioritize L/R slightly by grouping
-      arr.sort((a, b) => {
-        const ah = (a.name === 'L' || a.name === 'R') ? 0 : 1;
-        const bh = (b.name === 'L' || b.name === 'R') ? 0 : 1;
-        return ah - bh;
-      });
-    } else if (bias === 'V') {
-      // prioritize U/D slightly
-      arr.sort((a, b) => {
-        const av = (a.name === 'U' || a.name === 'D') ? 0 : 1;
-        const bv = (b.name === 'U' || b.name === 'D') ? 0 : 1;
-        return av - bv;
-      });
-    }
-
-    // Warnsdorff-like heuristic: prefer neighbors with few onward options (lower degree)
-    arr.sort((a, b) => {
-      const degA = unvisitedDegree(r + a.dr, c + a.dc);
-      const degB = unvisitedDegree(r + b.dr, c + b.dc);
-      return degA - degB;
-    });
-
-    return arr;
-  }
-
-  function unvisitedDegree(r, c) {
-    if (!inBounds(r, c) || visited[r][c]) return Number.POSITIVE_INFINITY;
-    let cnt = 0;
-    for (const d of DIRS) {
-      const nr = r + d.dr, nc = c + d.dc;
-      if (inBounds(nr, nc) && !visited[nr][nc]) cnt++;
-    }
-    return cnt;
-  }
-
-  function dfs(r, c, depth) {
-    visited[r][c] = true;
-    path.push({ row: r, col: c });
-
-    if (depth === total) return true;
-
-    const neighbors = shuffledNeighbors(r, c, depth);
+export function sizeKey(size) {
+  /** Returns "<rows>x<cols>". */
+  const { rows, cols } = normalizeSize(size);
+  return `${rows}x${cols}`;
+}
 
-    // Occasionally reverse a pair to induce a turn even if degree ties
-    if (rng() < 0.15) {
-      const i = Math.floor(rng() * neighbors.length);
-      const j = Math.floor(rng() * neighbors.length);
-      [neighbors[i], neighbors[j]] = [neighbors[j], neighbors[i]];
-    }
+/**
+ * Human readable board shape, e.g. "6×8".
+ */
+// PUBLIC_INTERFACE
+export function sizeLabel(size) {
+  /** Returns "<rows>×<cols>". */
+  const { rows, cols } = normalizeSize(size);
+  return `${rows}×${cols}`;
+}
 
-    for (const d of neighbors) {
-      const nr = r + d.dr;
-      const nc = c + d.dc;
-      if (!inBounds(nr, nc) || visited[nr][nc]) continue;
+/**
+ * Number of clues placed before uniqueness checks when no clue count is requested.
+ */
+// PUBLIC_INTERFACE
+export { DEFAULT_CLUE_COUNT };
 
-      if (dfs(nr, nc, depth + 1)) return true;
-    }
+const CLUE_COUNT_CHOICES = [6, 9, 12, 15, 20, 25, 30];
 
-    // backtrack
-    visited[r][c] = false;
-    path.pop();
-    return false;
-  }
+/**
+ * Clue counts offered by the picker for a board shape: at most half of its cells carry a number.
+ */
+// PUBLIC_INTERFACE
+export function clueCountOptions(size) {
+  /** Returns the ascending list of selectable clue counts for the board. */
+  const { rows, cols } = normalizeSize(size);
+  return CLUE_COUNT_CHOICES.filter((n) => n <= Math.floor((rows * cols) / 2));
+}
 
-  // Try multiple randomized attempts to ensure success without using serpentine fallback.
-  const maxAttempts = 12;
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    // Clear visited and path for each attempt
-    for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) visited[r][c] = false;
-    path.length = 0;
-
-    // Optionally vary start slightly across attempts
-    const s =
-      attempt === 0
-        ? start
-        : { row: Math.floor(rng() * size), col: Math.floor(rng() * size) };
-
-    if (dfs(s.row, s.col, 1) && path.length === total) {
-      return path.slice();
-    }
-  }
+/**
+ * Generate a rows x cols grid (size may be a number for squares) where digits 1..k (k = `clues`, default 9,
+ * or fewer if grid too small) are placed along a single randomized Hamiltonian path, at randomized spaced positions.
+ * The path covers every cell exactly once without crossings.
+ * Numbers are placed at spaced indices along this path in ascending order,
+ * but the specific spacing is randomized using the provided seed (or crypto).
+ * The solver then checks the clue set; while other paths also satisfy it, extra clues
+ * are added along the canonical path until exactly one solution remains.
+ * With a `difficulty` level the clue layout is retried until its rating lands in that band.
+ * The 'obstacles' `variant` blocks some cells and walls off some edges; an explicit `obstacles`
+ * layout (see createObstacles) is used as given.
+ * `generator` picks the algorithm version (utils/generators); the same seed, settings and version always give the
+ * same board, so anything that stores a seed stores the version with it.
+ */
+ // PUBLIC_INTERFACE
+export function generateGrid(size = 5, seed = 42, { difficulty, clues, variant, obstacles, generator = CURRENT_GENERATOR_VERSION } = {}) {
+  /** Generate a puzzle with digits along a randomized Hamiltonian path. Uses seed to randomize path and digit positions.
+   * Requirements:
+   * - Always place digits 1..k (or fewer if grid too small) along the canonical path, plus any clues needed for uniqueness.
+   * - Ensure that digit 1 is on the first node and the highest digit on the last node of the canonical path.
+   * - `clues` sets k; null/undefined uses DEFAULT_CLUE_COUNT.
+   * Returns { grid, unique, rating, obstacles, solution } where `unique` is true when the solver proved a single solution,
+   * `rating` is the analyzeDifficulty result, `obstacles` is null for classic boards and `solution` is the canonical
+   * path the clues were placed on (the only solution when `unique`).
+   * Throws when an explicit obstacle layout leaves no Hamiltonian path, or for a generator version this build lacks.
+   */
+  const entry = getGenerator(generator);
+  if (!entry) throw new Error(`Unknown puzzle generator version: ${generator}`);
+  return entry.generate(normalizeSize(size), seed, { difficulty, clues, variant, obstacles });
+}
 
-  // As a final measure (extremely rare for small N), construct a randomized zig-zag with column flips to keep turns.
-  // This is NOT a simple row-wise serpentine; it alternates by columns and flips sub-segments to avoid long horizontals.
-  const alt = [];
-  const cols = Array.from({ length: size }, (_, x) => x);
-  // shuffle columns to avoid consistent horizontal patterns
-  for (let i = cols.length - 1; i > 0; i--) {
-    const j = Math.floor(rng() * (i + 1));
-    [cols[i], cols[j]] = [cols[j], cols[i]];
-  }
-  for (let i = 0; i < cols.length; i++) {
-    const c = cols[i];
-    const rOrder = i % 2 === 0 ? [...Array(size).keys()] : [...Array(size).keys()].reverse();
-    for (const r of rOrder) {
-      alt.push({ row: r, col: c });
-    }
-  }
-  return alt;
+/**
+ * Build a randomized Hamiltonian path for a rows x cols grid (size may be a number for squares) with generator
+ * version 1's randomized DFS. With `obstacles` the path skips blocked cells and never crosses a wall.
+ */
+// PUBLIC_INTERFACE
+export function buildRandomHamiltonianPath(size, seed, obstacles = null) {
+  /** Returns an array of {row,col} covering every open cell exactly once, or null when an obstacle layout defeats the search. */
+  return buildPathV1(normalizeSize(size), seed, obstacles);
 }
 
 /**
- * Whether two cells are cardinal neighbors.
+ * Whether two cells are cardinal neighbors the path may step between.
+ * With `obstacles`, a wall between them or a blocked cell on either side rules the step out.
  */
 // PUBLIC_INTERFACE
-export function isAdjacent(a, b) {
-  /** Return true if cells a and b are adjacent (Manhattan distance 1). */
-  return Math.abs(a.row - b.row) + Math.abs(a.col - b.col) === 1;
+export function isAdjacent(a, b, obstacles = null) {
+  /** Return true if cells a and b are adjacent (Manhattan distance 1) and not separated by an obstacle. */
+  if (Math.abs(a.row - b.row) + Math.abs(a.col - b.col) !== 1) return false;
+  if (isBlocked(obstacles, a.row, a.col) || isBlocked(obstacles, b.row, b.col)) return false;
+  return !hasWall(obstacles, a, b);
 }
 
 /**
@@ -251,9 +158,8 @@ export function nextRequiredDigitFromPath(grid, path) {
     }
   }
   // Detect max digit on grid
-  const size = grid.length;
   let maxDigit = 0;
-  for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) {
+  for (let r = 0; r < grid.length; r++) for (let c = 0; c < grid[r].length; c++) {
     if (typeof grid[r][c] === 'number') maxDigit = Math.max(maxDigit, grid[r][c]);
   }
   return Math.min(maxSeen + 1, Math.max(1, maxDigit));
@@ -286,14 +192,17 @@ export function gridCoordToSvgPoint(row, col, cellSize, padding = 0) {
  * Mixed orientations (vertical/horizontal turns) are accepted; only 4-neighbor adjacency is required.
  * This validation is for completed paths only; interaction-level backtracking is handled elsewhere.
  * The path is an array of {row, col}. Grid contains digits or null.
+ * With `obstacles`, blocked cells are excluded from the count and walls may not be crossed.
  */
-export function validatePath(grid, path) {
-  const size = grid.length;
-  if (path.length !== size * size) return { ok: false, reason: 'Path must visit every cell once' };
+export function validatePath(grid, path, obstacles = null) {
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  if (path.length !== openCellCount(rows, cols, obstacles)) return { ok: false, reason: 'Path must visit every cell once' };
 
   // Ensure all unique cells
   const seen = new Set(path.map((p) => `${p.row},${p.col}`));
   if (seen.size !== path.length) return { ok: false, reason: 'Path visits a cell more than once' };
+  if (path.some((p) => isBlocked(obstacles, p.row, p.col))) return { ok: false, reason: 'Path enters a blocked cell' };
 
   // Ensure neighbors (4-directional)
   for (let i = 1; i < path.length; i++) {
@@ -303,11 +212,12 @@ export function validatePath(grid, path) {
     const dc = Math.abs(a.col - b.col);
     const isNeighbor = (dr + dc === 1);
     if (!isNeighbor) return { ok: false, reason: 'Non-adjacent cells in path' };
+    if (hasWall(obstacles, a, b)) return { ok: false, reason: 'Path crosses a wall' };
   }
 
   // Collect digits in grid and determine max digit present
   const digitsInGrid = [];
-  for (let r = 0; r < size; r++) for (let c = 0; c < size; c++) {
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
     if (grid[r][c]) digitsInGrid.push(grid[r][c]);
   }
   const maxDigit = Math.max(...digitsInGrid, 0);
@@ -328,7 +238,7 @@ export function validatePath(grid, path) {
     }
   }
 
-  // Require that the final cell in the path is the max digit (i.e., 9 when present)
+  // Require that the final cell in the path is the max digit (the highest clue, whatever the clue count)
   const last = path[path.length - 1];
   const lastVal = grid[last.row][last.col];
   if (lastVal !== maxDigit) {
@@ -338,6 +248,234 @@ export function validatePath(grid, path) {
   return { ok: true, reason: 'Valid path' };
 }
 
+/**
+ * Portable puzzle format: the board itself rather than a seed, so saved and curated puzzles keep working
+ * whatever the generator does. Two spellings of the same content:
+ *
+ * Compact string, sections separated by ":" (e.g. "LL1:4x4:1c/d/b2a/3c:1,1r"):
+ *   LL1:<rows>x<cols>:<row>/<row>/...[:<walls>]
+ * - a row lists its cells left to right: a clue as its number, "#" for a blocked cell and a letter for a
+ *   run of empty cells ("a" = 1 ... "z" = 26); clues next to each other are separated by "-" ("4-5")
+ * - walls are ";"-separated cells with the side the wall is on: "r" to the right, "d" below ("2,3r;0,1d")
+ *
+ * JSON:
+ *   { "format": "link-loop-puzzle", "version": 1, "rows", "cols", "clues": [{ "row", "col", "value" }],
+ *     "blocked": [{ "row", "col" }], "walls": [[{ "row", "col" }, { "row", "col" }]] }
+ *
+ * Clues must be numbered 1..k (k >= 2) without gaps; blocked cells and walls are optional.
+ */
+// PUBLIC_INTERFACE
+export const PUZZLE_FORMAT_VERSION = 1;
+
+const PUZZLE_CODE_PREFIX = `LL${PUZZLE_FORMAT_VERSION}`;
+const PUZZLE_JSON_FORMAT = 'link-loop-puzzle';
+
+/**
+ * Side lengths a puzzle file (or the editor) may use; the solver check decides whether a large one is playable.
+ */
+// PUBLIC_INTERFACE
+export const PUZZLE_MIN_SIDE = 2;
+// PUBLIC_INTERFACE
+export const PUZZLE_MAX_SIDE = 30;
+const RUN_LETTERS = 26;
+
+const puzzleFail = (reason) => ({ ok: false, reason });
+
+// Walls as "<row>,<col><side>" from their top or left cell, sorted for a stable code
+function wallCodes(obstacles) {
+  return wallList(obstacles)
+    .map(([a, b]) => {
+      const first = a.row < b.row || (a.row === b.row && a.col < b.col) ? a : b;
+      return `${first.row},${first.col}${a.row === b.row ? 'r' : 'd'}`;
+    })
+    .sort();
+}
+
+function encodeRow(cells, row, obstacles) {
+  let out = '';
+  let empty = 0;
+  let afterClue = false;
+  const flushEmpty = () => {
+    for (; empty > 0; empty -= RUN_LETTERS) out += String.fromCharCode(96 + Math.min(RUN_LETTERS, empty));
+    empty = 0;
+  };
+  cells.forEach((value, col) => {
+    if (isBlocked(obstacles, row, col)) {
+      flushEmpty();
+      out += '#';
+      afterClue = false;
+    } else if (typeof value === 'number') {
+      flushEmpty();
+      out += `${afterClue ? '-' : ''}${value}`;
+      afterClue = true;
+    } else {
+      empty += 1;
+      afterClue = false;
+    }
+  });
+  flushEmpty();
+  return out;
+}
+
+/**
+ * Compact string for a board ({ grid, obstacles }), e.g. for copying or a puzzle list.
+ */
+// PUBLIC_INTERFACE
+export function serializePuzzle({ grid, obstacles = null }) {
+  /** Returns the "LL1:..." code described above. */
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  const body = grid.map((cells, row) => encodeRow(cells, row, obstacles)).join('/');
+  const walls = wallCodes(obstacles);
+  return `${PUZZLE_CODE_PREFIX}:${rows}x${cols}:${body}${walls.length ? `:${walls.join(';')}` : ''}`;
+}
+
+/**
+ * JSON text for a board ({ grid, obstacles }), e.g. for a .json file.
+ */
+// PUBLIC_INTERFACE
+export function puzzleToJson({ grid, obstacles = null }) {
+  /** Returns pretty-printed JSON in the format described above. */
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  const clues = [];
+  const blocked = [];
+  for (let row = 0; row < rows; row++) for (let col = 0; col < cols; col++) {
+    if (isBlocked(obstacles, row, col)) blocked.push({ row, col });
+    else if (typeof grid[row][col] === 'number') clues.push({ row, col, value: grid[row][col] });
+  }
+  clues.sort((a, b) => a.value - b.value);
+  const walls = wallCodes(obstacles).map((code) => {
+    const [, r, c, side] = /^(\d+),(\d+)([rd])$/.exec(code);
+    const a = { row: Number(r), col: Number(c) };
+    return [a, side === 'r' ? { row: a.row, col: a.col + 1 } : { row: a.row + 1, col: a.col }];
+  });
+  return JSON.stringify({ format: PUZZLE_JSON_FORMAT, version: PUZZLE_FORMAT_VERSION, rows, cols, clues, blocked, walls }, null, 2);
+}
+
+/**
+ * Check a decoded board and build { grid, obstacles } from it.
+ */
+function buildPuzzle({ rows, cols, clues, blocked = [], walls = [] }) {
+  if (![rows, cols].every((n) => Number.isInteger(n) && n >= PUZZLE_MIN_SIDE && n <= PUZZLE_MAX_SIDE)) {
+    return puzzleFail(`Board sides must be whole numbers from ${PUZZLE_MIN_SIDE} to ${PUZZLE_MAX_SIDE}`);
+  }
+  const inside = (p) => p && Number.isInteger(p.row) && Number.isInteger(p.col)
+    && p.row >= 0 && p.row < rows && p.col >= 0 && p.col < cols;
+  if (!Array.isArray(clues) || !Array.isArray(blocked) || !Array.isArray(walls)) {
+    return puzzleFail('clues, blocked and walls must be lists');
+  }
+  if (!blocked.every(inside)) return puzzleFail('A blocked cell is outside the board');
+  for (const wall of walls) {
+    if (!Array.isArray(wall) || wall.length !== 2 || !wall.every(inside)) return puzzleFail('A wall is outside the board');
+    const [a, b] = wall;
+    if (Math.abs(a.row - b.row) + Math.abs(a.col - b.col) !== 1) return puzzleFail('A wall must separate two neighboring cells');
+  }
+  const obstacles = createObstacles({ blocked, walls });
+
+  const grid = Array.from({ length: rows }, () => Array.from({ length: cols }, () => null));
+  for (const clue of clues) {
+    if (!inside(clue)) return puzzleFail('A clue is outside the board');
+    if (!Number.isInteger(clue.value) || clue.value < 1) return puzzleFail('Clues must be positive whole numbers');
+    if (isBlocked(obstacles, clue.row, clue.col)) return puzzleFail(`Clue ${clue.value} is on a blocked cell`);
+    if (grid[clue.row][clue.col] != null) return puzzleFail(`Row ${clue.row + 1}, column ${clue.col + 1} has two clues`);
+    grid[clue.row][clue.col] = clue.value;
+  }
+  const values = new Set(clues.map((c) => c.value));
+  if (values.size !== clues.length) return puzzleFail('Each clue number may appear only once');
+  if (clues.length < 2 || Math.max(...values) !== clues.length) {
+    return puzzleFail('Clues must be numbered 1, 2, 3 … without gaps, at least up to 2');
+  }
+  return { ok: true, puzzle: { grid, obstacles: isEmptyObstacles(obstacles) ? null : obstacles } };
+}
+
+function decodePuzzleCode(code) {
+  const parts = code.split(':');
+  if (parts[0] !== PUZZLE_CODE_PREFIX) return puzzleFail(`Puzzle codes start with "${PUZZLE_CODE_PREFIX}:"`);
+  if (parts.length < 3 || parts.length > 4) return puzzleFail(`Puzzle codes look like ${PUZZLE_CODE_PREFIX}:<rows>x<cols>:<cells>[:<walls>]`);
+  const dims = /^(\d+)x(\d+)$/.exec(parts[1]);
+  if (!dims) return puzzleFail('The board size must look like 6x8');
+  const rows = Number(dims[1]);
+  const cols = Number(dims[2]);
+  const rowTexts = parts[2].split('/');
+  if (rowTexts.length !== rows) return puzzleFail(`Expected ${rows} rows of cells, found ${rowTexts.length}`);
+
+  const clues = [];
+  const blocked = [];
+  for (let row = 0; row < rows; row++) {
+    // A clue, a run of empty cells, a blocked cell, or the "-" between two clues
+    const token = /(\d+)|([a-z])|(#)|-(?=\d)/y;
+    const text = rowTexts[row];
+    let col = 0;
+    let afterClue = false;
+    while (token.lastIndex < text.length) {
+      const at = token.lastIndex;
+      const m = token.exec(text);
+      if (!m || (m[0] === '-' && !afterClue)) return puzzleFail(`Unexpected "${text[at]}" in row ${row + 1}`);
+      if (m[1]) clues.push({ row, col: col++, value: Number(m[1]) });
+      else if (m[2]) col += m[2].charCodeAt(0) - 96;
+      else if (m[3]) blocked.push({ row, col: col++ });
+      afterClue = !!m[1];
+    }
+    if (col !== cols) return puzzleFail(`Row ${row + 1} has ${col} cells, expected ${cols}`);
+  }
+
+  const walls = [];
+  for (const entry of (parts[3] || '').split(';').filter(Boolean)) {
+    const m = /^(\d+),(\d+)([rd])$/.exec(entry);
+    if (!m) return puzzleFail(`Walls look like "2,3r" or "0,1d", not "${entry}"`);
+    const a = { row: Number(m[1]), col: Number(m[2]) };
+    walls.push([a, m[3] === 'r' ? { row: a.row, col: a.col + 1 } : { row: a.row + 1, col: a.col }]);
+  }
+  return buildPuzzle({ rows, cols, clues, blocked, walls });
+}
+
+/**
+ * Read a board from a puzzle code or puzzle JSON (see serializePuzzle / puzzleToJson).
+ * Only the format is checked here; see checkPuzzle for whether the board can be solved.
+ */
+// PUBLIC_INTERFACE
+export function parsePuzzle(text) {
+  /** Returns { ok: true, puzzle: { grid, obstacles } } or { ok: false, reason }. */
+  const input = typeof text === 'string' ? text.trim() : '';
+  if (!input) return puzzleFail('Enter a puzzle code or puzzle JSON');
+  if (!input.startsWith('{')) return decodePuzzleCode(input);
+
+  let data;
+  try {
+    data = JSON.parse(input);
+  } catch {
+    return puzzleFail('The puzzle JSON could not be read');
+  }
+  if (data.format !== PUZZLE_JSON_FORMAT) return puzzleFail(`Puzzle JSON must have "format": "${PUZZLE_JSON_FORMAT}"`);
+  if (data.version !== PUZZLE_FORMAT_VERSION) return puzzleFail(`Unsupported puzzle format version ${data.version}`);
+  return buildPuzzle(data);
+}
+
+/**
+ * Make sure a board can be played before it is: the solver must find a path through it.
+ * Boards too large to settle within the solver's budget are refused rather than risked.
+ */
+// PUBLIC_INTERFACE
+export function checkPuzzle({ grid, obstacles = null }) {
+  /** Returns { ok: true, puzzle: { grid, obstacles, unique, rating, solution } } (generateGrid's shape) or { ok: false, reason }. */
+  const { solutions, complete } = solvePuzzle(grid, { limit: 2, obstacles });
+  if (!solutions.length) {
+    return puzzleFail(complete ? 'This board has no solution' : 'This board is too large to check for a solution');
+  }
+  const solution = solutions[0];
+  return {
+    ok: true,
+    puzzle: {
+      grid,
+      obstacles,
+      unique: complete && solutions.length === 1,
+      rating: analyzeDifficulty(grid, { solution, obstacles }),
+      solution,
+    },
+  };
+}
+
 /**
  * Simple time formatter mm:ss
  */
@@ -374,34 +512,3 @@ export function randomSeed() {
     return Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
   }
 }
-
-/**
- * Create RNG from a seed. If seed is undefined, use crypto/Math for non-deterministic RNG.
- */
-function createRng(seed) {
-  if (typeof seed === 'number' && Number.isFinite(seed)) {
-    return mulberry32(seed >>> 0);
-  }
-  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
-    return () => {
-      const buf = new Uint32Array(1);
-      crypto.getRandomValues(buf);
-      return (buf[0] >>> 0) / 4294967296;
-    };
-  }
-  return Math.random;
-}
-
-/* (removed) shuffleInPlace utility; shuffling is performed locally within the path builder using the seeded RNG to ensure encapsulated randomness. */
-
-/**
- * Deterministic PRNG
- */
-function mulberry32(a) {
-  return function() {
-    let t = (a += 0x6D2B79F5);
-    t = Math.imul(t ^ (t >>> 15), t | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
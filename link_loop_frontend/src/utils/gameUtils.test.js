@@ -0,0 +1,123 @@
+import {
+  buildRandomHamiltonianPath,
+  checkPuzzle,
+  generateGrid,
+  isAdjacent,
+  nextRequiredDigitFromPath,
+  normalizeSize,
+  parsePuzzle,
+  puzzleToJson,
+  serializePuzzle,
+  sizeKey,
+  validatePath
+} from './gameUtils';
+import { wallKey } from './obstacles';
+import { solvePuzzle } from './solver';
+
+// PUBLIC_INTERFACE
+test('paths cover rectangular boards exactly once', () => {
+  /** Every cell of an R x C board appears once and consecutive cells are neighbors. */
+  for (const size of [{ rows: 4, cols: 6 }, { rows: 7, cols: 3 }, 10]) {
+    const { rows, cols } = normalizeSize(size);
+    const path = buildRandomHamiltonianPath(size, 99);
+    expect(path).toHaveLength(rows * cols);
+    expect(new Set(path.map((p) => `${p.row},${p.col}`)).size).toBe(rows * cols);
+    path.slice(1).forEach((p, i) => expect(isAdjacent(path[i], p)).toBe(true));
+  }
+});
+
+// PUBLIC_INTERFACE
+test('rectangular puzzles generate and validate', () => {
+  /** A 4x6 grid has 4 rows of 6 cells and its unique solution passes validation. */
+  const { grid, unique } = generateGrid({ rows: 4, cols: 6 }, 7);
+  expect(grid).toHaveLength(4);
+  grid.forEach((row) => expect(row).toHaveLength(6));
+  expect(unique).toBe(true);
+  const [solution] = solvePuzzle(grid, { limit: 1 }).solutions;
+  expect(validatePath(grid, solution).ok).toBe(true);
+  expect(validatePath(grid, solution.slice(0, -1)).ok).toBe(false);
+});
+
+// PUBLIC_INTERFACE
+test('size keys identify board shapes', () => {
+  /** Numbers mean squares; objects keep rows before cols. */
+  expect(sizeKey(5)).toBe('5x5');
+  expect(sizeKey({ rows: 6, cols: 8 })).toBe('6x8');
+});
+
+// PUBLIC_INTERFACE
+test('clue counts above nine keep strict ascending order', () => {
+  /** An 8x8 board with 20 clues numbers 1..k along its solution and progression follows every digit. */
+  const { grid, unique } = generateGrid(8, 5, { clues: 20 });
+  expect(unique).toBe(true);
+  const digits = grid.flat().filter((v) => v != null).sort((a, b) => a - b);
+  expect(digits.length).toBeGreaterThanOrEqual(20);
+  expect(digits).toEqual(digits.map((_, i) => i + 1));
+
+  const [solution] = solvePuzzle(grid, { limit: 1 }).solutions;
+  expect(validatePath(grid, solution)).toEqual({ ok: true, reason: 'Valid path' });
+  const upTo = (n) => solution.slice(0, solution.findIndex((p) => grid[p.row][p.col] === n) + 1);
+  expect(nextRequiredDigitFromPath(grid, upTo(12))).toBe(13);
+
+  // Swapping the positions of 10 and 11 breaks the ascending order
+  const swapped = grid.map((row) => row.map((v) => (v === 10 ? 11 : v === 11 ? 10 : v)));
+  expect(validatePath(swapped, solution).ok).toBe(false);
+});
+
+// PUBLIC_INTERFACE
+test('obstacle variant skips blocked cells and respects walls', () => {
+  /** The generated solution covers only open cells and never crosses a wall; breaking either rule fails validation. */
+  const { grid, unique, obstacles } = generateGrid(6, 11, { variant: 'obstacles' });
+  expect(unique).toBe(true);
+  expect(obstacles.blocked.size).toBeGreaterThan(0);
+  const [solution] = solvePuzzle(grid, { limit: 1, obstacles }).solutions;
+  expect(solution).toHaveLength(36 - obstacles.blocked.size);
+  expect(validatePath(grid, solution, obstacles).ok).toBe(true);
+  solution.slice(1).forEach((p, i) => expect(isAdjacent(solution[i], p, obstacles)).toBe(true));
+
+  const [a, b] = [solution[0], solution[1]];
+  const walled = { blocked: obstacles.blocked, walls: new Set([...obstacles.walls, wallKey(a, b)]) };
+  expect(isAdjacent(a, b, walled)).toBe(false);
+  expect(validatePath(grid, solution, walled)).toEqual({ ok: false, reason: 'Path crosses a wall' });
+  expect(validatePath(grid, solution, null).ok).toBe(false);
+});
+
+// PUBLIC_INTERFACE
+test('puzzles round-trip through the code and JSON formats', () => {
+  /** Clues, blocked cells and walls survive both spellings; neighboring clues and long empty runs encode compactly. */
+  const puzzle = generateGrid({ rows: 6, cols: 8 }, 99, { variant: 'obstacles' });
+  const code = serializePuzzle(puzzle);
+  expect(code).toMatch(/^LL1:6x8:[^:]+:[\d,rd;]+$/);
+  for (const text of [code, puzzleToJson(puzzle)]) {
+    const parsed = parsePuzzle(text);
+    expect(parsed.ok).toBe(true);
+    expect(parsed.puzzle.grid).toEqual(puzzle.grid);
+    expect(serializePuzzle(parsed.puzzle)).toBe(code);
+  }
+
+  const wide = parsePuzzle('LL1:2x30:1-2bz/cz3');
+  expect(wide.ok).toBe(true);
+  expect(wide.puzzle.grid[0].slice(0, 3)).toEqual([1, 2, null]);
+  expect(wide.puzzle.grid[1][29]).toBe(3);
+  expect(serializePuzzle(wide.puzzle)).toBe('LL1:2x30:1-2zb/zc3');
+});
+
+// PUBLIC_INTERFACE
+test('imports are rejected with a reason unless a solution exists', () => {
+  /** Malformed codes and JSON name the problem; checkPuzzle refuses boards without any path. */
+  expect(parsePuzzle('LL1:4x4:1c/d/b2a').reason).toBe('Expected 4 rows of cells, found 3');
+  expect(parsePuzzle('LL1:4x4:1c/d/b2a/3b').reason).toBe('Row 4 has 3 cells, expected 4');
+  expect(parsePuzzle('LL1:4x4:1c/d/b2a/4c').reason).toMatch(/without gaps/);
+  expect(parsePuzzle('LL1:4x4:1c/d/b2a/3c:3,3r').reason).toBe('A wall is outside the board');
+  expect(parsePuzzle('LL1:4x4:1?c/d/b2a/3c').reason).toBe('Unexpected "?" in row 1');
+  expect(parsePuzzle('{"format": "link-loop-puzzle", "version": 9}').reason).toBe('Unsupported puzzle format version 9');
+
+  expect(checkPuzzle(parsePuzzle('LL1:4x4:1c/d/d/c2').puzzle)).toEqual({ ok: false, reason: 'This board has no solution' });
+  const checked = checkPuzzle(parsePuzzle('LL1:2x2:1a/2a').puzzle);
+  expect(checked.ok).toBe(true);
+  expect(checked.puzzle).toMatchObject({
+    unique: true,
+    obstacles: null,
+    solution: [{ row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 1 }, { row: 1, col: 0 }],
+  });
+});
@@ -0,0 +1,169 @@
+//
+// Generator version 2: backbite random paths, bounded time on boards of any size
+//
+// Version 1's recursive DFS can stall or run deep on large boards and then falls back to a column zig-zag, and its
+// obstacle layouts are found by trial and search. Here a path starts as a serpentine and is mixed by backbite
+// moves: a fixed number of steps with no search, recursion or fallback, each of which keeps a Hamiltonian path.
+// Blocked cells are cut off the end of that path, so an obstacle board has a path by construction.
+// Clues are placed as in version 1 (utils/cluePlacement) but under a total search budget, so a very large board may
+// come out without proven uniqueness instead of taking minutes.
+// Frozen like version 1 once released; golden tests in generators.test.js pin it.
+// The leaderboard server loads this file too, hence the `.js` imports.
+//
+
+import { buildRandomHamiltonianPath } from './generatorV1.js';
+import { placeClues } from './cluePlacement.js';
+import { createRng } from './rng.js';
+import { createObstacles, isEmptyObstacles } from './obstacles.js';
+
+// Backbite moves per cell; well past the point where the starting serpentine no longer shows
+const BACKBITE_MOVES_PER_CELL = 20;
+// Obstacle variant: share of cells blocked and of unused edges walled off (as in version 1)
+const BLOCKED_CELL_RATIO = 0.08;
+const WALL_EDGE_RATIO = 0.1;
+// Keeps the path's random stream apart from the clue placement's, which is seeded with the same seed
+const PATH_SEED_SALT = 0x2545F491;
+// Clue stage limits (see placeClues). Rounds the solver cannot settle within a few thousand nodes are cheaper
+// resolved by adding clues; the total keeps a board within a few seconds at any size, in search nodes times
+// open cells so that it stays deterministic
+const CLUE_NODES_PER_ROUND = 4000;
+const CLUE_SEARCH_BUDGET = 25000000;
+
+const STEPS = [[-1, 0], [1, 0], [0, -1], [0, 1]];
+
+/**
+ * Version 2 of generateGrid (see gameUtils) for a { rows, cols } board.
+ * An explicit obstacle layout still needs version 1's search, which is budgeted for obstacle boards
+ * (randomized DFS, then the solver); every other board comes from backbite paths.
+ * A difficulty the first board cannot reach is tried on boards from other seeds derived from `seed`.
+ */
+// PUBLIC_INTERFACE
+export function generateV2(dims, seed, { difficulty, clues, variant, obstacles } = {}) {
+  /** Returns { grid, unique, rating, obstacles, solution }. Throws when an explicit obstacle layout leaves no Hamiltonian path. */
+  const layout = isEmptyObstacles(obstacles) ? null : obstacles;
+  const reseed = (boardSeed) => canonicalBoard(dims, boardSeed, variant, layout);
+  const board = reseed(seed);
+  if (!board) throw new Error('No path can visit every open cell of this obstacle layout');
+  return placeClues(dims, seed, board.path, board.obstacles, {
+    difficulty, clues, nodesPerRound: CLUE_NODES_PER_ROUND, budget: CLUE_SEARCH_BUDGET, reseed
+  });
+}
+
+/**
+ * The solution path and obstacles of a board before its clues: on the explicit `layout` if there is one, or
+ * null when no path covers it.
+ */
+function canonicalBoard(dims, seed, variant, layout) {
+  if (layout) {
+    const path = buildRandomHamiltonianPath(dims, seed, layout);
+    return path && { path, obstacles: layout };
+  }
+  if (variant === 'obstacles') return backbiteObstacleLayout(dims, seed);
+  return { path: buildBackbitePath(dims, seed), obstacles: null };
+}
+
+// PUBLIC_INTERFACE
+export function buildBackbitePath(dims, seed) {
+  /** Returns a random Hamiltonian path of an open { rows, cols } board: an array of {row,col} covering every cell once. */
+  return backbite(dims, createRng((seed ^ PATH_SEED_SALT) >>> 0)).path;
+}
+
+/**
+ * Obstacle variant: blocked cells cut off the mixed path, then walls on edges the path does not use.
+ * Like version 1, blocked cells are interior and never touch, not even diagonally.
+ */
+function backbiteObstacleLayout(dims, seed) {
+  const { rows, cols } = dims;
+  const rng = createRng((seed ^ PATH_SEED_SALT) >>> 0);
+  const { path, blocked } = backbite(dims, rng, Math.max(1, Math.round(rows * cols * BLOCKED_CELL_RATIO)));
+
+  const used = new Set();
+  for (let i = 1; i < path.length; i++) used.add(edgeKey(path[i - 1], path[i]));
+  const walls = [];
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+    for (const b of [{ row: r, col: c + 1 }, { row: r + 1, col: c }]) {
+      if (b.row >= rows || b.col >= cols) continue;
+      const a = { row: r, col: c };
+      if (used.has(edgeKey(a, b)) || rng() >= WALL_EDGE_RATIO) continue;
+      walls.push([a, b]);
+    }
+  }
+  return { path, obstacles: createObstacles({ blocked, walls }) };
+}
+
+const edgeKey = (a, b) => (a.row < b.row || (a.row === b.row && a.col < b.col)
+  ? `${a.row},${a.col}|${b.row},${b.col}`
+  : `${b.row},${b.col}|${a.row},${a.col}`);
+
+/**
+ * Backbite mutation of a Hamiltonian path. Start from a serpentine (by rows or by columns), then repeat: pick an
+ * end of the path and one of its open neighbors. When that neighbor is path[j] and not already next to the end,
+ * link the end to it and cut the path next to path[j] on the end's side, which reverses the cells in between.
+ * With `blockedTarget`, an end cell of the path is then blocked (dropped from the path) whenever it is interior and
+ * clear of other blocked cells, with a round of mixing after each one so they spread out. Dropping an end keeps a
+ * Hamiltonian path of the open cells. Work is bounded: at most BACKBITE_MOVES_PER_CELL moves per cell plus one
+ * cell's worth per blocked cell, each reversing at most the whole path. A board that runs out of moves before
+ * reaching the target just gets fewer blocked cells.
+ */
+function backbite({ rows, cols }, rng, blockedTarget = 0) {
+  const path = [];
+  if (rng() < 0.5) {
+    for (let r = 0; r < rows; r++) for (let i = 0; i < cols; i++) path.push({ row: r, col: r % 2 ? cols - 1 - i : i });
+  } else {
+    for (let c = 0; c < cols; c++) for (let i = 0; i < rows; i++) path.push({ row: c % 2 ? rows - 1 - i : i, col: c });
+  }
+  const total = path.length;
+  // Index of each cell (row * cols + col) along the path, and which cells are blocked
+  const at = new Int32Array(total);
+  path.forEach((p, i) => { at[p.row * cols + p.col] = i; });
+  const isBlocked = new Uint8Array(total);
+  const blocked = [];
+
+  const reverse = (from, to) => {
+    for (let i = from, j = to; i < j; i++, j--) {
+      [path[i], path[j]] = [path[j], path[i]];
+      at[path[i].row * cols + path[i].col] = i;
+      at[path[j].row * cols + path[j].col] = j;
+    }
+  };
+
+  const move = () => {
+    const last = path.length - 1;
+    const fromHead = rng() < 0.5;
+    const end = fromHead ? path[0] : path[last];
+    const [dr, dc] = STEPS[Math.floor(rng() * STEPS.length)];
+    const row = end.row + dr;
+    const col = end.col + dc;
+    if (row < 0 || row >= rows || col < 0 || col >= cols || isBlocked[row * cols + col]) return;
+    const j = at[row * cols + col];
+    if (fromHead && j > 1) reverse(0, j - 1);
+    else if (!fromHead && j < last - 1) reverse(j + 1, last);
+  };
+
+  const blockable = ({ row, col }) => {
+    if (row < 1 || row > rows - 2 || col < 1 || col > cols - 2) return false;
+    for (let dr = -1; dr <= 1; dr++) for (let dc = -1; dc <= 1; dc++) {
+      if (isBlocked[(row + dr) * cols + col + dc]) return false;
+    }
+    return true;
+  };
+
+  for (let m = total * BACKBITE_MOVES_PER_CELL; m > 0; m--) move();
+
+  let budget = blockedTarget > 0 ? total * BACKBITE_MOVES_PER_CELL : 0;
+  while (blocked.length < blockedTarget && budget > 0) {
+    // Either end will do; turning the path around makes the head its tail
+    if (!blockable(path[path.length - 1]) && blockable(path[0])) reverse(0, path.length - 1);
+    const tail = path[path.length - 1];
+    if (blockable(tail)) {
+      path.pop();
+      isBlocked[tail.row * cols + tail.col] = 1;
+      blocked.push(tail);
+      for (let m = total; m > 0; m--) move();
+    } else {
+      move();
+      budget--;
+    }
+  }
+  return { path, blocked };
+}
@@ -0,0 +1,45 @@
+//
+// Puzzle generator versions: every released algorithm stays loadable so a stored seed keeps its board
+//
+// The leaderboard server loads this file through generateGrid, hence the `.js` imports.
+//
+
+import { generateV1 } from './generatorV1.js';
+import { generateV2 } from './generatorV2.js';
+
+/**
+ * Released generators, oldest first. A version's output for a seed must never change once released
+ * (golden tests in generators.test.js pin it); a change to the heuristics or to how the RNG is consumed
+ * ships as a new version here and becomes CURRENT_GENERATOR_VERSION.
+ * Each entry is { version, name, generate(dims, seed, options) } with generateGrid's options and result.
+ */
+// PUBLIC_INTERFACE
+export const GENERATORS = [
+  { version: 1, name: 'dfs-warnsdorff', generate: generateV1 },
+  { version: 2, name: 'backbite', generate: generateV2 },
+];
+
+/**
+ * Version used for new boards.
+ */
+// PUBLIC_INTERFACE
+export const CURRENT_GENERATOR_VERSION = 2;
+
+/**
+ * Version assumed for seeds stored without one: shared links, saves and scores from before generator versions
+ * existed were all made by version 1.
+ */
+// PUBLIC_INTERFACE
+export const LEGACY_GENERATOR_VERSION = 1;
+
+// PUBLIC_INTERFACE
+export function getGenerator(version) {
+  /** Returns the GENERATORS entry for a version number, or null when this build does not know it. */
+  return GENERATORS.find((g) => g.version === version) || null;
+}
+
+// PUBLIC_INTERFACE
+export function isGeneratorVersion(version) {
+  /** Returns true for a version number this build can generate. */
+  return getGenerator(version) != null;
+}
@@ -0,0 +1,89 @@
+import { buildRandomHamiltonianPath, generateGrid, serializePuzzle } from './gameUtils';
+import { buildBackbitePath } from './generatorV2';
+import { solvePuzzle } from './solver';
+import { CURRENT_GENERATOR_VERSION, GENERATORS, getGenerator, LEGACY_GENERATOR_VERSION } from './generators';
+
+// Golden boards: [size, seed, options, puzzle code]. These pin what each released generator version makes of a
+// seed, because shared links, dailies, saves and leaderboard entries store only the seed and settings.
+// Never update an expected code to make a test pass; change the generator in a new version instead.
+const GOLDEN = {
+  1: [
+    [{ rows: 4, cols: 4 }, 1, {}, 'LL1:4x4:9-10-5a/a8-6-4/1a7a/2b3'],
+    [{ rows: 5, cols: 5 }, 42, {}, 'LL1:5x5:d1/3b2a/9-8-4a5/c6a/a7c'],
+    [{ rows: 4, cols: 6 }, 7, {}, 'LL1:4x6:1a2c/6c8-3/b7-9b/5c4a'],
+    [{ rows: 6, cols: 6 }, 2024, { difficulty: 'hard' }, 'LL1:6x6:c5b/a6d/a9b7-4/10a8c/b3a1a/b2c'],
+    [{ rows: 7, cols: 7 }, 123, { difficulty: 'easy' }, 'LL1:7x7:13a14a15b/b19a20-21-16/12-18b17b/a10a9b8/11b6a7a/a1a5b4/a2b3b'],
+    [{ rows: 8, cols: 8 }, 5, { clues: 20 }, 'LL1:8x8:a21b13b12/a22-14b15b/b19a17a16a/20b18-10c/7a8b9a11/f1a/b6-4a3b/a5e2'],
+    [{ rows: 6, cols: 6 }, 11, { variant: 'obstacles' }, 'LL1:6x6:a1a7b/a#b6a/c#a8/2-3a4b/b#a5a/b10-9b:0,3d;0,4d;3,2d'],
+    [
+      { rows: 6, cols: 8 }, 99, { difficulty: 'medium', variant: 'obstacles' },
+      'LL1:6x8:a1-3c9a/a#a#a8a10/e#b/b#b4-7a/b5e/a2b6c:2,2d;3,0r;3,4d',
+    ],
+  ],
+  2: [
+    [{ rows: 4, cols: 4 }, 1, {}, 'LL1:4x4:a2-8-9/a1a7/3a5a/a4-6a'],
+    [{ rows: 5, cols: 5 }, 42, {}, 'LL1:5x5:1a11-10a/a2-9b/a3b7/4b8a/b5a6'],
+    [{ rows: 4, cols: 6 }, 7, {}, 'LL1:4x6:1a7b9/a2b8a/c6a5/a3-4c'],
+    [{ rows: 6, cols: 6 }, 2024, { difficulty: 'hard' }, 'LL1:6x6:e7/a6b8a/a4a5b/a3a1-11-9/c10b/2e'],
+    [{ rows: 7, cols: 7 }, 123, { difficulty: 'easy' }, 'LL1:7x7:6c13a16/b7-12a15a/a5b14b/a4-8-11-19a17/g/3-1-9-10-20-18a/a2c21-22'],
+    [{ rows: 8, cols: 8 }, 5, { clues: 20 }, 'LL1:8x8:a15b14c/a16-17a8a9-13/a18a7a2b/b19a3-1-10a/h/20-22b6-4a12/a23f/a21a5c11'],
+    [{ rows: 6, cols: 6 }, 11, { variant: 'obstacles' }, 'LL1:6x6:a5b11-10/a6b#a/b#a8a/4d9/b7#2a/c3a1:4,2r'],
+    [
+      { rows: 6, cols: 8 }, 99, { difficulty: 'medium', variant: 'obstacles' },
+      'LL1:6x8:f7a/a5-6a#c/d1a#a/a#a3b8a/d2#b/a4-10a9c:1,3d;1,6r;2,6r;4,5r',
+    ],
+    // Large enough for the clue stage to hit its per-round cap and to draw on the search budget
+    [
+      { rows: 10, cols: 10 }, 3141592653, { difficulty: 'expert' },
+      'LL1:10x10:a23d26-27b/d22-24a2a3/a19d25a1a/b21-12b11c/a20b13-10a4b/a16a14b7c/e9b6a/b15a8b5b/j/18h17',
+    ],
+    [
+      { rows: 15, cols: 15 }, 8, {},
+      'LL1:15x15:c8d18b22a24a/84-85c9-17c21a23b/b7-10b11a16-19a20-26a25/a83a48a47a15-38b37a27a/a6b49a12b40c36a/'
+        + 'b5d14-39c35a28/82c50a13c41-34c/b81-4a46a44-42-32b33-29a/80-78h31d/a79b51d58a59a30a/75a77-3b45-43b57b61a/'
+        + 'd52b54b55-56-60b/b76a2a53b68b66a62/74-73a72a1-70a69a67-64a65a/e71f63b',
+    ],
+  ],
+};
+
+// PUBLIC_INTERFACE
+test('every released generator version has golden boards', () => {
+  /** A new version must come with its own golden boards; the current and legacy versions must exist. */
+  expect(GENERATORS.map((g) => g.version)).toEqual(Object.keys(GOLDEN).map(Number));
+  expect(getGenerator(CURRENT_GENERATOR_VERSION)).not.toBeNull();
+  expect(getGenerator(LEGACY_GENERATOR_VERSION)).not.toBeNull();
+  expect(getGenerator(999)).toBeNull();
+  expect(() => generateGrid(5, 1, { generator: 999 })).toThrow('Unknown puzzle generator version: 999');
+});
+
+describe.each(Object.entries(GOLDEN))('generator version %s', (version, cases) => {
+  // PUBLIC_INTERFACE
+  test.each(cases)('%o with seed %d and %o keeps its board', (size, seed, options, code) => {
+    /** The same seed, settings and version must always give the same board. */
+    expect(serializePuzzle(generateGrid(size, seed, { ...options, generator: Number(version) }))).toBe(code);
+  });
+});
+
+// PUBLIC_INTERFACE
+test('version 2 proves a 15x15 board unique without filling it with numbers', () => {
+  /** The clue stage's budget must be enough to settle a board of this size while most cells stay open. */
+  const board = generateGrid({ rows: 15, cols: 15 }, 8, { generator: 2 });
+  const clues = board.grid.flat().filter((v) => v != null).length;
+  expect(board.unique).toBe(true);
+  expect(clues / board.solution.length).toBeLessThanOrEqual(0.4);
+  expect(solvePuzzle(board.grid, { limit: 2, maxNodes: Infinity }).count).toBe(1);
+});
+
+// PUBLIC_INTERFACE
+test('the version 1 path builder keeps its path for a seed', () => {
+  /** buildRandomHamiltonianPath is version 1's DFS; its RNG use is pinned like the boards built on it. */
+  const path = buildRandomHamiltonianPath({ rows: 4, cols: 5 }, 99).map((c) => `${c.row}${c.col}`).join(' ');
+  expect(path).toBe('14 24 34 33 23 13 12 22 32 31 30 20 21 11 10 00 01 02 03 04');
+});
+
+// PUBLIC_INTERFACE
+test('the version 2 path builder keeps its path for a seed', () => {
+  /** buildBackbitePath is version 2's path; pinned for the same reason. */
+  const path = buildBackbitePath({ rows: 4, cols: 5 }, 99).map((c) => `${c.row}${c.col}`).join(' ');
+  expect(path).toBe('22 21 11 12 02 03 04 14 13 23 24 34 33 32 31 30 20 10 00 01');
+});
@@ -0,0 +1,47 @@
+//
+// Hints derived from the generator's solution path
+//
+
+import { viableMoves } from './solver.js';
+
+// Cells revealed by one hint when the path is on track
+export const HINT_SEGMENT_LENGTH = 3;
+
+const sameCell = (a, b) => a.row === b.row && a.col === b.col;
+
+/**
+ * Work out a hint for the player's partial path.
+ * - on track: the next few cells of the solution
+ * - off track: the earliest step that left the solution, so the player can back up to it
+ * Boards proven unique only have one solution, so any deviation is wrong. On other boards a
+ * deviation may still be a different answer; it is only called wrong when the solver's
+ * deduction rules leave no move from the path's end.
+ */
+// PUBLIC_INTERFACE
+export function computeHint(grid, path, solution, { unique = true, obstacles = null } = {}) {
+  /** Returns { type: 'next', cells } or { type: 'wrong', index, cell }, or null when there is nothing to reveal. */
+  if (!solution || solution.length === 0) return null;
+
+  const diverge = path.findIndex((p, i) => i >= solution.length || !sameCell(p, solution[i]));
+  if (diverge < 0) {
+    const cells = solution.slice(path.length, path.length + HINT_SEGMENT_LENGTH);
+    return cells.length ? { type: 'next', cells } : null;
+  }
+
+  if (!unique) {
+    const moves = viableMoves(grid, path, { obstacles });
+    if (moves.length) return { type: 'next', cells: moves.slice(0, 1) };
+  }
+  return { type: 'wrong', index: diverge, cell: path[diverge] };
+}
+
+/**
+ * Whether the player has acted on a hint: walked all revealed cells, or backed up past the wrong step.
+ */
+// PUBLIC_INTERFACE
+export function isHintResolved(hint, path) {
+  /** Returns true once the hint no longer describes anything left to do on `path`. */
+  if (!hint) return true;
+  if (hint.type === 'wrong') return path.length <= hint.index || !sameCell(path[hint.index], hint.cell);
+  return hint.cells.every((cell) => path.some((p) => sameCell(p, cell)));
+}
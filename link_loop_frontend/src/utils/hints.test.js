@@ -0,0 +1,35 @@
+import { generateGrid } from './gameUtils';
+import { computeHint, HINT_SEGMENT_LENGTH, isHintResolved } from './hints';
+
+// PUBLIC_INTERFACE
+test('hints reveal the next solution cells while on track', () => {
+  /** The generator's solution drives the hint; following it resolves the hint. */
+  const { grid, solution } = generateGrid(5, 21);
+  expect(solution).toHaveLength(25);
+  expect(grid[solution[0].row][solution[0].col]).toBe(1);
+
+  const path = solution.slice(0, 4);
+  const hint = computeHint(grid, path, solution);
+  expect(hint).toEqual({ type: 'next', cells: solution.slice(4, 4 + HINT_SEGMENT_LENGTH) });
+  expect(isHintResolved(hint, path)).toBe(false);
+  expect(isHintResolved(hint, solution.slice(0, 4 + HINT_SEGMENT_LENGTH))).toBe(true);
+  expect(computeHint(grid, solution, solution)).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('hints point at the earliest wrong step', () => {
+  /** A path that leaves the unique solution gets the first deviating step back. */
+  const { grid, solution } = generateGrid(5, 21);
+  const [first, second] = solution;
+  const detour = [
+    { row: first.row + 1, col: first.col },
+    { row: first.row - 1, col: first.col },
+    { row: first.row, col: first.col + 1 },
+    { row: first.row, col: first.col - 1 },
+  ].find((p) => p.row >= 0 && p.row < 5 && p.col >= 0 && p.col < 5 && (p.row !== second.row || p.col !== second.col));
+  const path = [first, detour];
+  const hint = computeHint(grid, path, solution);
+  expect(hint).toEqual({ type: 'wrong', index: 1, cell: detour });
+  expect(isHintResolved(hint, path)).toBe(false);
+  expect(isHintResolved(hint, [first])).toBe(true);
+});
@@ -0,0 +1,156 @@
+//
+// Bundled level packs: puzzle lookup, star ratings, sequential unlocking and progress in localStorage
+//
+
+import firstSteps from '../levels/01-first-steps.json';
+import warmingUp from '../levels/02-warming-up.json';
+import wallsAndGaps from '../levels/03-walls-and-gaps.json';
+import longHaul from '../levels/04-long-haul.json';
+import { checkPuzzle, parsePuzzle } from './gameUtils.js';
+
+const STORAGE_KEY = 'linkloop_level_progress';
+
+// PUBLIC_INTERFACE
+export const MAX_STARS = 3;
+
+/**
+ * The campaign in play order. Each pack is { id, title, description, size, difficulty, parSeconds, levels },
+ * and each level is { id, puzzle } where `puzzle` is a puzzle code (see parsePuzzle). Levels are numbered from 1
+ * within their pack and carry their pack's id.
+ */
+// PUBLIC_INTERFACE
+export const LEVEL_PACKS = [firstSteps, warmingUp, wallsAndGaps, longHaul].map((pack) => ({
+  ...pack,
+  levels: pack.levels.map((level, i) => ({ ...level, packId: pack.id, number: i + 1 })),
+}));
+
+const ALL_LEVELS = LEVEL_PACKS.flatMap((pack) => pack.levels);
+
+const isResult = (r) => r && Number.isInteger(r.stars) && Number.isFinite(r.bestSeconds);
+
+function readProgress() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) return {};
+    return Object.fromEntries(Object.entries(parsed).filter(([, r]) => isResult(r)));
+  } catch {
+    return {};
+  }
+}
+
+// PUBLIC_INTERFACE
+export function findLevel(levelId) {
+  /** Returns the level with its pack as { ...level, pack }, or null for an unknown id. */
+  const level = ALL_LEVELS.find((l) => l.id === levelId);
+  return level ? { ...level, pack: LEVEL_PACKS.find((p) => p.id === level.packId) } : null;
+}
+
+// PUBLIC_INTERFACE
+export function loadLevelPuzzle(level) {
+  /** Returns the level's board checked like an import (checkPuzzle's puzzle), or null if its code does not load. */
+  const parsed = parsePuzzle(level.puzzle);
+  const checked = parsed.ok ? checkPuzzle(parsed.puzzle) : null;
+  return checked && checked.ok ? checked.puzzle : null;
+}
+
+/**
+ * Stars for a solve: one for finishing, one for beating the pack's par time and one for using no hints.
+ */
+// PUBLIC_INTERFACE
+export function starsFor(pack, { seconds, hintsUsed = 0 }) {
+  /** Returns 1..MAX_STARS. */
+  return 1 + (seconds <= pack.parSeconds ? 1 : 0) + (hintsUsed === 0 ? 1 : 0);
+}
+
+// PUBLIC_INTERFACE
+export function loadLevelProgress() {
+  /** Returns { [levelId]: { stars, bestSeconds, completedAt } } for every completed level. */
+  return readProgress();
+}
+
+/**
+ * Record a solve of a level. Runs with the solution shown do not complete a level.
+ * The stored result keeps the most stars and the best time seen so far, possibly from different runs.
+ */
+// PUBLIC_INTERFACE
+export function recordLevelResult(levelId, { seconds, hintsUsed = 0, assisted = false }, now = Date.now()) {
+  /** Returns { stars, progress } with the stars this run earned (0 when assisted). Write failures are ignored. */
+  const progress = readProgress();
+  const level = findLevel(levelId);
+  if (!level || assisted) return { stars: 0, progress };
+  const stars = starsFor(level.pack, { seconds, hintsUsed });
+  const prev = progress[levelId];
+  const next = {
+    ...progress,
+    [levelId]: {
+      stars: Math.max(stars, prev ? prev.stars : 0),
+      bestSeconds: Math.min(seconds, prev ? prev.bestSeconds : Infinity),
+      completedAt: prev ? prev.completedAt : now,
+    },
+  };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // ignore write failures (e.g., privacy mode or quota)
+  }
+  return { stars, progress: next };
+}
+
+// PUBLIC_INTERFACE
+export function clearLevelProgress() {
+  /** Forgets every completed level, locking all but the first again. */
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+/**
+ * The campaign as the level select shows it. Levels unlock one after another: the first level of the first
+ * pack is always open, each later level opens once the one before it is completed, and a pack opens once
+ * every level of the previous pack is completed.
+ */
+// PUBLIC_INTERFACE
+export function campaignStatus(progress = readProgress()) {
+  /** Returns { stars, maxStars, packs: [{ ...pack, unlocked, completed, stars, levels: [{ ...level, unlocked, completed, stars, bestSeconds }] }] }. */
+  let previousDone = true;
+  const packs = LEVEL_PACKS.map((pack) => {
+    const packUnlocked = previousDone;
+    const levels = pack.levels.map((level) => {
+      const result = progress[level.id];
+      const entry = {
+        ...level,
+        unlocked: packUnlocked && previousDone,
+        completed: !!result,
+        stars: result ? result.stars : 0,
+        bestSeconds: result ? result.bestSeconds : null,
+      };
+      previousDone = entry.completed;
+      return entry;
+    });
+    const completed = levels.every((l) => l.completed);
+    previousDone = completed;
+    return {
+      ...pack,
+      levels,
+      unlocked: packUnlocked,
+      completed,
+      stars: levels.reduce((sum, l) => sum + l.stars, 0),
+    };
+  });
+  return {
+    packs,
+    stars: packs.reduce((sum, p) => sum + p.stars, 0),
+    maxStars: ALL_LEVELS.length * MAX_STARS,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function nextLevel(levelId, progress = readProgress()) {
+  /** Returns the level after `levelId` in play order once it is unlocked, else null (also after the last level). */
+  const at = ALL_LEVELS.findIndex((l) => l.id === levelId);
+  if (at < 0 || at + 1 >= ALL_LEVELS.length) return null;
+  const next = campaignStatus(progress).packs.flatMap((p) => p.levels)[at + 1];
+  return next.unlocked ? findLevel(next.id) : null;
+}
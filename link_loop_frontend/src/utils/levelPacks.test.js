@@ -0,0 +1,50 @@
+import {
+  campaignStatus, findLevel, LEVEL_PACKS, loadLevelPuzzle, nextLevel, recordLevelResult, starsFor
+} from './levelPacks';
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('every bundled level loads as a uniquely solvable board of its pack', () => {
+  /** Pack ids, level ids, size and difficulty in the JSON files must agree with the puzzles themselves. */
+  const ids = LEVEL_PACKS.flatMap((p) => [p.id, ...p.levels.map((l) => l.id)]);
+  expect(new Set(ids).size).toBe(ids.length);
+  LEVEL_PACKS.forEach((pack) => {
+    pack.levels.forEach((level) => {
+      const puzzle = loadLevelPuzzle(level);
+      expect(puzzle).not.toBeNull();
+      expect(puzzle.unique).toBe(true);
+      expect({ rows: puzzle.grid.length, cols: puzzle.grid[0].length }).toEqual(pack.size);
+      expect(puzzle.rating.level).toBe(pack.difficulty);
+    });
+  });
+});
+
+// PUBLIC_INTERFACE
+test('stars reward beating par and solving without hints', () => {
+  /** One star for the solve, one for the par time, one for no hints. */
+  const pack = { parSeconds: 30 };
+  expect(starsFor(pack, { seconds: 20, hintsUsed: 0 })).toBe(3);
+  expect(starsFor(pack, { seconds: 20, hintsUsed: 1 })).toBe(2);
+  expect(starsFor(pack, { seconds: 45, hintsUsed: 0 })).toBe(2);
+  expect(starsFor(pack, { seconds: 45, hintsUsed: 2 })).toBe(1);
+});
+
+// PUBLIC_INTERFACE
+test('levels unlock in order and keep their best result', () => {
+  /** Only the first level starts open; a solve opens the next; assisted runs complete nothing. */
+  const [first, second] = LEVEL_PACKS[0].levels;
+  let levels = campaignStatus().packs[0].levels;
+  expect(levels.map((l) => l.unlocked)).toEqual([true, false, false, false, false, false]);
+  expect(campaignStatus().packs[1].unlocked).toBe(false);
+
+  expect(recordLevelResult(first.id, { seconds: 10, hintsUsed: 0, assisted: true }).stars).toBe(0);
+  expect(nextLevel(first.id)).toBeNull();
+
+  expect(recordLevelResult(first.id, { seconds: 10, hintsUsed: 1 }).stars).toBe(2);
+  expect(recordLevelResult(first.id, { seconds: 50, hintsUsed: 0 }).stars).toBe(2);
+  levels = campaignStatus().packs[0].levels;
+  expect(levels[0]).toMatchObject({ completed: true, stars: 2, bestSeconds: 10 });
+  expect(levels[1].unlocked).toBe(true);
+  expect(nextLevel(first.id)).toEqual(findLevel(second.id));
+});
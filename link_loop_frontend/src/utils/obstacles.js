@@ -0,0 +1,87 @@
+//
+// Blocked cells and walls for the obstacle variant
+//
+
+/**
+ * Build an obstacle set from plain lists.
+ * - blocked: cells the path skips entirely, as {row, col}
+ * - walls: pairs of adjacent cells [{row, col}, {row, col}] the path may not step between
+ * Keys are kept in Sets for constant-time lookups while drawing.
+ */
+// PUBLIC_INTERFACE
+export function createObstacles({ blocked = [], walls = [] } = {}) {
+  /** Returns { blocked: Set<"r,c">, walls: Set<"r,c|r,c"> }. */
+  return {
+    blocked: new Set(blocked.map((p) => cellKey(p.row, p.col))),
+    walls: new Set(walls.map(([a, b]) => wallKey(a, b))),
+  };
+}
+
+/**
+ * Whether an obstacle set is missing or has nothing in it.
+ */
+// PUBLIC_INTERFACE
+export function isEmptyObstacles(obstacles) {
+  /** Returns true for null/undefined or an obstacle set without blocked cells and walls. */
+  return !obstacles || (obstacles.blocked.size === 0 && obstacles.walls.size === 0);
+}
+
+/**
+ * Key of a single cell, e.g. "2,3".
+ */
+// PUBLIC_INTERFACE
+export function cellKey(row, col) {
+  /** Returns "<row>,<col>". */
+  return `${row},${col}`;
+}
+
+/**
+ * Order-independent key for the edge between two cells, e.g. "2,3|2,4".
+ */
+// PUBLIC_INTERFACE
+export function wallKey(a, b) {
+  /** Returns the same key for (a, b) and (b, a). */
+  const ka = cellKey(a.row, a.col);
+  const kb = cellKey(b.row, b.col);
+  return ka < kb ? `${ka}|${kb}` : `${kb}|${ka}`;
+}
+
+// PUBLIC_INTERFACE
+export function isBlocked(obstacles, row, col) {
+  /** Whether the cell is blocked. Null obstacles block nothing. */
+  return !!obstacles && obstacles.blocked.has(cellKey(row, col));
+}
+
+// PUBLIC_INTERFACE
+export function hasWall(obstacles, a, b) {
+  /** Whether a wall separates cells a and b. Null obstacles have no walls. */
+  return !!obstacles && obstacles.walls.has(wallKey(a, b));
+}
+
+/**
+ * Walls as pairs of cells, for rendering and serialization.
+ */
+// PUBLIC_INTERFACE
+export function wallList(obstacles) {
+  /** Returns Array<[{row,col},{row,col}]>. */
+  if (!obstacles) return [];
+  return [...obstacles.walls].map((key) => key.split('|').map((k) => {
+    const [row, col] = k.split(',').map(Number);
+    return { row, col };
+  }));
+}
+
+/**
+ * Number of cells the path must visit.
+ */
+// PUBLIC_INTERFACE
+export function openCellCount(rows, cols, obstacles) {
+  /** Returns rows * cols minus blocked cells inside the board. */
+  if (!obstacles) return rows * cols;
+  let blocked = 0;
+  for (const key of obstacles.blocked) {
+    const [r, c] = key.split(',').map(Number);
+    if (r >= 0 && r < rows && c >= 0 && c < cols) blocked++;
+  }
+  return rows * cols - blocked;
+}
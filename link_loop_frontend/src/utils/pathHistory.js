@@ -0,0 +1,38 @@
+//
+// Undo/redo steps stored as path diffs
+//
+
+/**
+ * A step replaces the tail of the path from index `at`: `removed` is the old tail, `added` the new one.
+ * Drawing one cell stores a single cell instead of a copy of the whole path, so the history stays
+ * small on large boards. Starting over on 1 stores the abandoned path once, so it can be undone too.
+ */
+// PUBLIC_INTERFACE
+export function diffPaths(prev, next) {
+  /** Returns the step { at, removed, added } that turns path `prev` into path `next`. */
+  let at = 0;
+  const limit = Math.min(prev.length, next.length);
+  while (at < limit && prev[at].row === next[at].row && prev[at].col === next[at].col) at++;
+  return { at, removed: prev.slice(at), added: next.slice(at) };
+}
+
+// PUBLIC_INTERFACE
+export function applyStep(path, step) {
+  /** Redo direction: returns the path after `step`. */
+  return [...path.slice(0, step.at), ...step.added];
+}
+
+// PUBLIC_INTERFACE
+export function revertStep(path, step) {
+  /** Undo direction: returns the path before `step`. */
+  return [...path.slice(0, step.at), ...step.removed];
+}
+
+/**
+ * Rebuild steps from a list of whole-path snapshots (the format used before diffs).
+ */
+// PUBLIC_INTERFACE
+export function stepsFromSnapshots(snapshots) {
+  /** Returns one step per snapshot, the first one starting from an empty path. */
+  return snapshots.map((snap, i) => diffPaths(i ? snapshots[i - 1] : [], snap));
+}
@@ -0,0 +1,35 @@
+import { applyStep, diffPaths, revertStep, stepsFromSnapshots } from './pathHistory';
+
+const cells = (...pairs) => pairs.map(([row, col]) => ({ row, col }));
+
+// PUBLIC_INTERFACE
+test('steps only hold the changed tail and replay both ways', () => {
+  /** Extending, backtracking and restarting each round-trip through applyStep/revertStep. */
+  const a = cells([0, 0], [0, 1], [0, 2]);
+  const extended = [...a, { row: 1, col: 2 }];
+  const grow = diffPaths(a, extended);
+  expect(grow).toEqual({ at: 3, removed: [], added: cells([1, 2]) });
+
+  const back = diffPaths(extended, a);
+  expect(back).toEqual({ at: 3, removed: cells([1, 2]), added: [] });
+
+  const restart = diffPaths(a, cells([0, 0]));
+  expect(restart.at).toBe(1);
+
+  for (const [from, to, step] of [[a, extended, grow], [extended, a, back], [a, cells([0, 0]), restart]]) {
+    expect(applyStep(from, step)).toEqual(to);
+    expect(revertStep(to, step)).toEqual(from);
+  }
+});
+
+// PUBLIC_INTERFACE
+test('snapshot lists convert to steps', () => {
+  /** Replaying steps rebuilt from snapshots reproduces every snapshot in order. */
+  const snapshots = [cells([0, 0]), cells([0, 0], [1, 0]), cells([0, 0]), cells([0, 0], [0, 1])];
+  const steps = stepsFromSnapshots(snapshots);
+  let path = [];
+  steps.forEach((step, i) => {
+    path = applyStep(path, step);
+    expect(path).toEqual(snapshots[i]);
+  });
+});
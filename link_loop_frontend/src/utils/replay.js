@@ -0,0 +1,147 @@
+//
+// Replay verification of a finished run, shared by the game and the leaderboard server
+//
+// The server imports this file straight from the frontend sources, so this module and everything
+// it imports use explicit `.js` extensions that Node's ES module loader can resolve.
+//
+
+import { generateGrid, isAdjacent, normalizeSize, validatePath } from './gameUtils.js';
+import { isBlocked, openCellCount } from './obstacles.js';
+import { LEGACY_GENERATOR_VERSION } from './generators.js';
+
+// Slack between the reported time and the last move: timer tick granularity and whole-second saves on resume
+export const REPLAY_TOLERANCE_MS = 2000;
+// No real run needs more path edits than this; longer logs are rejected before any work is done
+export const MAX_REPLAY_MOVES = 20000;
+// Fastest believable pace over a whole run: 25 cells a second, well beyond what anyone sustains while solving
+export const MIN_MS_PER_CELL = 40;
+
+const SIZE_KEY = /^(\d+)x(\d+)$/;
+
+function parseSize(size) {
+  if (typeof size !== 'string') return normalizeSize(size);
+  const match = SIZE_KEY.exec(size);
+  return match ? { rows: Number(match[1]), cols: Number(match[2]) } : null;
+}
+
+/**
+ * Check a move log's shape without the board: non-decreasing times and edits that stay within the path and the
+ * { rows, cols } bounds. Cheap, so forged logs are turned away before the board is regenerated.
+ */
+function logShape(moves, { rows, cols }) {
+  /** Returns { length, lastT } with the final path length and the last move's time, or { reason }. */
+  let length = 0;
+  let lastT = 0;
+  for (const move of moves) {
+    if (!move || !Number.isFinite(move.t) || move.t < lastT) return { reason: 'Move times must not go backwards' };
+    if (!Number.isInteger(move.at) || move.at < 0 || move.at > length || !Array.isArray(move.added)) {
+      return { reason: 'Malformed move' };
+    }
+    for (const p of move.added) {
+      if (!p || !Number.isInteger(p.row) || !Number.isInteger(p.col) || p.row < 0 || p.row >= rows || p.col < 0 || p.col >= cols) {
+        return { reason: 'Move leaves the board' };
+      }
+    }
+    length = move.at + move.added.length;
+    lastT = move.t;
+  }
+  return { length, lastT };
+}
+
+/**
+ * Open cells a generated board of this shape and variant can have, before generating it. Obstacle boards
+ * block interior cells that never touch, at most one in every 2x2 square of the interior.
+ */
+function openCellRange({ rows, cols }, variant) {
+  const cells = rows * cols;
+  if (variant !== 'obstacles') return { min: cells, max: cells };
+  return { min: cells - Math.ceil((rows - 2) / 2) * Math.ceil((cols - 2) / 2), max: cells };
+}
+
+/**
+ * Whether a path could be on the board mid-run under the drawing rules: open cells only, each step to an
+ * open neighbor not behind a wall, no cell twice, starting on 1 and meeting the numbers in order.
+ */
+function playableReason(grid, path, obstacles) {
+  const rows = grid.length;
+  const cols = grid[0].length;
+  const seen = new Set();
+  let expected = 1;
+  for (let i = 0; i < path.length; i++) {
+    const p = path[i];
+    if (!p || !Number.isInteger(p.row) || !Number.isInteger(p.col) || p.row < 0 || p.row >= rows || p.col < 0 || p.col >= cols) {
+      return 'Move leaves the board';
+    }
+    if (isBlocked(obstacles, p.row, p.col)) return 'Move enters a blocked cell';
+    const key = `${p.row},${p.col}`;
+    if (seen.has(key)) return 'Move revisits a cell';
+    seen.add(key);
+    if (i > 0 && !isAdjacent(path[i - 1], p, obstacles)) return 'Move jumps between cells that are not connected';
+    const value = grid[p.row][p.col];
+    if (typeof value === 'number') {
+      if (value !== expected) return `Move reaches ${value} before ${expected}`;
+      expected += 1;
+    } else if (i === 0) {
+      return 'Path does not start on 1';
+    }
+  }
+  return null;
+}
+
+/**
+ * Replay a run's move log on its board.
+ * `run` holds the board (seed, size as "6x8" or { rows, cols }, difficulty, clues, variant and the generator version,
+ * LEGACY_GENERATOR_VERSION when missing), the reported `seconds` and `moves`: path edits [{ t, at, added }] with `t`
+ * in ms since the run started, each replacing the path from index `at` with the `added` cells (see utils/pathHistory).
+ * The board is regenerated from the seed unless `puzzle` ({ grid, obstacles }) is passed, as the game does
+ * for the board it already has. Everything that can be checked without the board comes first: the log's shape,
+ * whether its path is long enough to fill the board, and its timing. Solving takes at least MIN_MS_PER_CELL for
+ * each cell after the first, in the move log and in the reported time.
+ * `level` is the regenerated board's rated difficulty, which can miss the requested `difficulty` when the generator
+ * settled for the closest board; null when `puzzle` is passed.
+ */
+// PUBLIC_INTERFACE
+export function verifyReplay(run, { puzzle = null } = {}) {
+  /** Returns { ok: true, path, durationMs, level } or { ok: false, reason }. */
+  const fail = (reason) => ({ ok: false, reason });
+  const {
+    seed, size, difficulty, clues = null, variant = 'classic', generator = LEGACY_GENERATOR_VERSION, seconds, moves
+  } = run || {};
+  if (!Array.isArray(moves) || moves.length === 0) return fail('No moves recorded');
+  if (moves.length > MAX_REPLAY_MOVES) return fail('Too many moves');
+  if (typeof seconds !== 'number' || !Number.isFinite(seconds)) return fail('Missing run time');
+
+  const dims = puzzle ? { rows: puzzle.grid.length, cols: puzzle.grid[0].length } : parseSize(size);
+  if (!dims || (!puzzle && !Number.isInteger(seed))) return fail('Unknown board');
+
+  const shape = logShape(moves, dims);
+  if (shape.reason) return fail(shape.reason);
+  const exact = puzzle && openCellCount(dims.rows, dims.cols, puzzle.obstacles);
+  const open = puzzle ? { min: exact, max: exact } : openCellRange(dims, variant);
+  if (shape.length < open.min || shape.length > open.max) return fail('Move log does not fill the board');
+  if (seconds * 1000 + REPLAY_TOLERANCE_MS < shape.lastT) return fail('Reported time is shorter than the replay');
+  const fastestMs = (shape.length - 1) * MIN_MS_PER_CELL;
+  if (shape.lastT < fastestMs) return fail('Moves are faster than anyone can draw');
+  if (seconds * 1000 < fastestMs) return fail('Reported time is faster than anyone can draw');
+
+  let board = puzzle;
+  if (!board) {
+    try {
+      board = generateGrid(dims, seed, { difficulty, clues, variant, generator });
+    } catch {
+      return fail('Unknown board');
+    }
+  }
+  const { grid, obstacles = null } = board;
+
+  let path = [];
+  for (const move of moves) {
+    path = [...path.slice(0, move.at), ...move.added];
+    const problem = playableReason(grid, path, obstacles);
+    if (problem) return fail(problem);
+  }
+
+  const result = validatePath(grid, path, obstacles);
+  if (!result.ok) return fail(`Replay does not solve the board: ${result.reason}`);
+  return { ok: true, path, durationMs: shape.lastT, level: board.rating ? board.rating.level : null };
+}
@@ -0,0 +1,58 @@
+import { MIN_MS_PER_CELL, verifyReplay } from './replay';
+import { generateGrid } from './gameUtils';
+
+const board = { seed: 2024, size: '5x5', difficulty: 'easy', clues: null, variant: 'classic', generator: 2 };
+const { solution } = generateGrid({ rows: 5, cols: 5 }, board.seed, { difficulty: board.difficulty, generator: board.generator });
+
+// A run that draws the solution one cell every 400 ms
+const movesFor = (path, stepMs = 400) => path.map((cell, i) => ({ t: i * stepMs, at: i, added: [cell] }));
+
+// PUBLIC_INTERFACE
+test('an honest run replays to a solved board', () => {
+  /** The board is regenerated from the seed and the moves are replayed, including a backtrack. */
+  const moves = movesFor(solution);
+  const detour = [
+    ...moves.slice(0, 3),
+    { t: 1000, at: 3, added: [solution[3]] },
+    { t: 1100, at: 3, added: [] },
+    ...moves.slice(3).map((m) => ({ ...m, t: m.t + 1000 })),
+  ];
+  const result = verifyReplay({ ...board, seconds: 11, moves: detour });
+  expect(result).toEqual({ ok: true, path: solution, durationMs: 1000 + 24 * 400, level: 'easy' });
+});
+
+// PUBLIC_INTERFACE
+test('impossible runs are rejected with a reason', () => {
+  /** Unfinished or illegal paths, times shorter than the replay and the wrong seed all fail. */
+  const moves = movesFor(solution);
+  const seconds = 10;
+  expect(verifyReplay({ ...board, seconds, moves: moves.slice(0, -1) }).reason).toBe('Move log does not fill the board');
+  const jumped = moves.map((m, i) => (i === 1 || i === 2 ? { ...m, added: [solution[3 - i]] } : m));
+  expect(verifyReplay({ ...board, seconds, moves: jumped }).reason).toMatch(/not connected|before/);
+  expect(verifyReplay({ ...board, seconds: 0.1, moves }).reason).toBe('Reported time is shorter than the replay');
+  expect(verifyReplay({ ...board, seconds, moves: moves.map((m, i) => ({ ...m, t: (moves.length - i) * 100 })) }).reason).toBe('Move times must not go backwards');
+  expect(verifyReplay({ ...board, seed: board.seed + 1, seconds, moves }).ok).toBe(false);
+  expect(verifyReplay({ ...board, generator: 999, seconds, moves }).reason).toBe('Unknown board');
+  expect(verifyReplay({ ...board, seconds, moves: [] }).reason).toBe('No moves recorded');
+});
+
+// PUBLIC_INTERFACE
+test('forged instant runs are rejected before the board is built', () => {
+  /** A log of the solution with every move at t: 0 and a 0.1 s time is the fake score replays exist to stop. */
+  const instant = solution.map((cell, i) => ({ t: 0, at: i, added: [cell] }));
+  expect(verifyReplay({ ...board, seconds: 0.1, moves: instant }).reason).toBe('Moves are faster than anyone can draw');
+  const oneBatch = [{ t: 0, at: 0, added: solution }];
+  expect(verifyReplay({ ...board, seconds: 0.1, moves: oneBatch }).reason).toBe('Moves are faster than anyone can draw');
+
+  // Times spread to the floor pass the log check, but the reported time must clear it too
+  const fastest = movesFor(solution, MIN_MS_PER_CELL);
+  expect(verifyReplay({ ...board, seconds: 1, moves: fastest }).ok).toBe(true);
+  const floorSeconds = ((solution.length - 1) * MIN_MS_PER_CELL) / 1000;
+  expect(verifyReplay({ ...board, seconds: floorSeconds - 0.1, moves: fastest }).reason)
+    .toBe('Reported time is faster than anyone can draw');
+
+  // Far too few or too many cells for the board fail without generating it
+  expect(verifyReplay({ ...board, size: '10x10', seconds: 60, moves: movesFor(solution) }).reason).toBe('Move log does not fill the board');
+  expect(verifyReplay({ ...board, seconds: 60, moves: [{ t: 0, at: 0, added: [{ row: 9, col: 0 }] }] }).reason)
+    .toBe('Move leaves the board');
+});
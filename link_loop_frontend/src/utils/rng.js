@@ -0,0 +1,37 @@
+//
+// Seeded random numbers for the puzzle generators
+//
+// Every generator version draws from this stream, so a change here changes old boards: the golden tests in
+// generators.test.js pin it. The leaderboard server loads this file too.
+//
+
+/**
+ * Create RNG from a seed. If seed is undefined, use crypto/Math for non-deterministic RNG.
+ */
+// PUBLIC_INTERFACE
+export function createRng(seed) {
+  /** Returns a function yielding floats in [0, 1). */
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return mulberry32(seed >>> 0);
+  }
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    return () => {
+      const buf = new Uint32Array(1);
+      crypto.getRandomValues(buf);
+      return (buf[0] >>> 0) / 4294967296;
+    };
+  }
+  return Math.random;
+}
+
+/**
+ * Deterministic PRNG
+ */
+function mulberry32(a) {
+  return function() {
+    let t = (a += 0x6D2B79F5);
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,126 @@
+//
+// Per-run statistics history in localStorage, and the summaries behind the stats dashboard
+//
+
+const STORAGE_KEY = 'linkloop_run_history';
+const EXPORT_VERSION = 1;
+// Oldest runs are dropped past this many, keeping the stored history well under storage quotas
+export const MAX_RUNS = 2000;
+
+const isRun = (r) => r && typeof r.size === 'string' && Number.isFinite(r.seconds) && Number.isFinite(r.completedAt);
+
+function readRuns() {
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter(isRun) : [];
+  } catch {
+    return [];
+  }
+}
+
+// Only runs solved without hints or the solution shown can set a best time, as in the rest of the game
+const countsForBest = (r) => !r.assisted && !(r.hintsUsed > 0);
+
+const average = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+const best = (values) => (values.length ? Math.min(...values) : null);
+
+// Cell count of a "6x8" key, for ordering sizes small to large
+const cellsOf = (size) => size.split('x').reduce((a, b) => a * Number(b), 1);
+
+// PUBLIC_INTERFACE
+export function loadRuns() {
+  /** Returns the recorded runs, oldest first. */
+  return readRuns();
+}
+
+/**
+ * Record a completed run.
+ * Fields: runId, seed, size ("6x8"), difficulty (as the board was rated), variant, clues,
+ * generator (version; null for imported boards), mode, seconds, moves (path edits, as the top bar counts them), undos,
+ * hintsUsed, assisted (the solution was shown), completedAt (ms timestamp).
+ * A run id that is already recorded is ignored.
+ */
+// PUBLIC_INTERFACE
+export function recordRun(run) {
+  /** Appends the run (defaulting completedAt to now) and returns the history. Write failures are ignored. */
+  const runs = readRuns();
+  if (run.runId && runs.some((r) => r.runId === run.runId)) return runs;
+  const next = [...runs, { ...run, completedAt: run.completedAt ?? Date.now() }].slice(-MAX_RUNS);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch {
+    // ignore write failures (e.g., privacy mode or quota)
+  }
+  return next;
+}
+
+// PUBLIC_INTERFACE
+export function clearRuns() {
+  /** Deletes the whole history. Best times are kept separately (utils/bestTime). */
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
+
+// PUBLIC_INTERFACE
+export function exportRuns(runs = readRuns()) {
+  /** Returns the history as pretty-printed JSON ({ version, exportedAt, runs }) for download. */
+  return JSON.stringify({ version: EXPORT_VERSION, exportedAt: new Date().toISOString(), runs }, null, 2);
+}
+
+/**
+ * Totals and averages over a set of runs. Assisted runs count as solves with help and are left out of
+ * the averages and the best time. Hinted runs count toward the totals and averages but never the best time.
+ */
+// PUBLIC_INTERFACE
+export function summarizeRuns(runs) {
+  /** Returns { total, assisted, bestSeconds, averageSeconds, averageMoves, averageUndos, averageHints } (null averages when empty). */
+  const own = runs.filter((r) => !r.assisted);
+  return {
+    total: own.length,
+    assisted: runs.length - own.length,
+    bestSeconds: best(runs.filter(countsForBest).map((r) => r.seconds)),
+    averageSeconds: average(own.map((r) => r.seconds)),
+    averageMoves: average(own.map((r) => r.moves || 0)),
+    averageUndos: average(own.map((r) => r.undos || 0)),
+    averageHints: average(own.map((r) => r.hintsUsed || 0)),
+  };
+}
+
+/**
+ * Best time as it developed: one point per run without hints or assistance in completion order, with the run's time and the
+ * best time so far. Only meaningful for runs on one board size.
+ */
+// PUBLIC_INTERFACE
+export function bestTimeTrend(runs) {
+  /** Returns [{ completedAt, seconds, best }]. */
+  let best = Infinity;
+  return runs
+    .filter(countsForBest)
+    .sort((a, b) => a.completedAt - b.completedAt)
+    .map((r) => {
+      best = Math.min(best, r.seconds);
+      return { completedAt: r.completedAt, seconds: r.seconds, best };
+    });
+}
+
+// PUBLIC_INTERFACE
+export function runsBySize(runs) {
+  /** Returns [{ size, count, bestSeconds, averageSeconds }] per board size, smallest board first (unassisted runs;
+   * bestSeconds is null when every one of them took a hint). */
+  const groups = new Map();
+  runs.filter((r) => !r.assisted).forEach((r) => {
+    if (!groups.has(r.size)) groups.set(r.size, []);
+    groups.get(r.size).push(r);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => cellsOf(a) - cellsOf(b) || a.localeCompare(b))
+    .map(([size, group]) => ({
+      size,
+      count: group.length,
+      bestSeconds: best(group.filter(countsForBest).map((r) => r.seconds)),
+      averageSeconds: average(group.map((r) => r.seconds)),
+    }));
+}
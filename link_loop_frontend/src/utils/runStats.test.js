@@ -0,0 +1,63 @@
+import { bestTimeTrend, clearRuns, exportRuns, loadRuns, MAX_RUNS, recordRun, runsBySize, summarizeRuns } from './runStats';
+
+const run = (overrides) => ({
+  runId: 'r1', seed: 7, size: '6x6', difficulty: 'medium', variant: 'classic', clues: null, mode: 'free',
+  seconds: 60, moves: 40, undos: 2, hintsUsed: 0, assisted: false, completedAt: 1000, ...overrides,
+});
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('completed runs are recorded once each and can be exported and cleared', () => {
+  /** The history survives a reload, ignores a run id seen before and stays within MAX_RUNS. */
+  recordRun(run());
+  recordRun(run({ seconds: 1 }));
+  recordRun(run({ runId: 'r2', completedAt: undefined }));
+  const runs = loadRuns();
+  expect(runs.map((r) => [r.runId, r.seconds])).toEqual([['r1', 60], ['r2', 60]]);
+  expect(runs[1].completedAt).toEqual(expect.any(Number));
+  expect(JSON.parse(exportRuns())).toMatchObject({ version: 1, runs });
+
+  clearRuns();
+  expect(loadRuns()).toEqual([]);
+  for (let i = 0; i <= MAX_RUNS; i++) recordRun(run({ runId: `r${i}` }));
+  expect(loadRuns()).toHaveLength(MAX_RUNS);
+  expect(loadRuns()[0].runId).toBe('r1');
+});
+
+// PUBLIC_INTERFACE
+test('summaries leave assisted runs out of times and averages', () => {
+  /** Totals, averages, the running best and the per-size breakdown only count runs solved unaided. */
+  const runs = [
+    run({ runId: 'a', seconds: 90, moves: 30, undos: 4, hintsUsed: 2, completedAt: 1 }),
+    run({ runId: 'b', seconds: 50, moves: 50, undos: 0, completedAt: 3 }),
+    run({ runId: 'c', seconds: 70, moves: 40, undos: 2, completedAt: 2 }),
+    run({ runId: 'd', seconds: 5, assisted: true, completedAt: 4 }),
+    run({ runId: 'e', size: '4x4', seconds: 20, completedAt: 5 }),
+  ];
+  expect(summarizeRuns(runs.slice(0, 4))).toEqual({
+    total: 3, assisted: 1, bestSeconds: 50, averageSeconds: 70, averageMoves: 40, averageUndos: 2, averageHints: 2 / 3,
+  });
+  expect(bestTimeTrend(runs.slice(0, 4)).map((p) => [p.seconds, p.best])).toEqual([[70, 70], [50, 50]]);
+  expect(runsBySize(runs)).toEqual([
+    { size: '4x4', count: 1, bestSeconds: 20, averageSeconds: 20 },
+    { size: '6x6', count: 3, bestSeconds: 50, averageSeconds: 70 },
+  ]);
+  expect(summarizeRuns([]).averageSeconds).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('a hinted run never sets a best time', () => {
+  /** The fastest run took a hint: it counts as a solve and in the averages, but the best times skip it. */
+  const runs = [
+    run({ runId: 'a', seconds: 30, hintsUsed: 1, completedAt: 1 }),
+    run({ runId: 'b', seconds: 60, completedAt: 2 }),
+    run({ runId: 'c', size: '4x4', seconds: 10, hintsUsed: 3, completedAt: 3 }),
+  ];
+  expect(summarizeRuns(runs.slice(0, 2))).toMatchObject({ total: 2, bestSeconds: 60, averageSeconds: 45, averageHints: 0.5 });
+  expect(bestTimeTrend(runs.slice(0, 2))).toEqual([{ completedAt: 2, seconds: 60, best: 60 }]);
+  expect(runsBySize(runs)).toEqual([
+    { size: '4x4', count: 1, bestSeconds: null, averageSeconds: 10 },
+    { size: '6x6', count: 2, bestSeconds: 60, averageSeconds: 45 },
+  ]);
+});
@@ -0,0 +1,77 @@
+//
+// Save and restore an in-progress game in localStorage
+//
+
+import { stepsFromSnapshots } from './pathHistory.js';
+
+const STORAGE_KEY = 'linkloop_saved_game';
+
+/**
+ * Current save format. Bump it when the shape changes and add a step to MIGRATIONS
+ * that upgrades the previous version, so older saves keep loading.
+ */
+// PUBLIC_INTERFACE
+export const SAVE_VERSION = 2;
+
+// version -> function upgrading a save of that version to version + 1
+const MIGRATIONS = {
+  // v1 kept a snapshot of the whole path per move; v2 keeps undo steps
+  1: (save) => ({ ...save, version: 2, history: stepsFromSnapshots(save.history || []) }),
+};
+
+const isCell = (p) => p && Number.isInteger(p.row) && Number.isInteger(p.col);
+
+/**
+ * Bring a parsed save up to SAVE_VERSION. Returns null for unknown versions or malformed data.
+ */
+function upgrade(raw) {
+  let save = raw;
+  while (save && Number.isInteger(save.version) && save.version < SAVE_VERSION) {
+    const step = MIGRATIONS[save.version];
+    if (!step) return null;
+    save = step(save);
+  }
+  if (!save || save.version !== SAVE_VERSION) return null;
+  const { settings, seed, path, history, seconds } = save;
+  if (!settings || !settings.size || !Number.isFinite(seed)) return null;
+  if (!Array.isArray(path) || !path.every(isCell)) return null;
+  if (!Array.isArray(history) || !Number.isFinite(seconds)) return null;
+  return save;
+}
+
+/**
+ * Store the active run.
+ * Fields: settings ({ mode, size, difficulty, clues, variant, generator }), seed, path, history (undo steps), moves (the
+ * timestamped move log), runId, seconds, hintsUsed, undos, plus `date` (UTC date key) for daily puzzles and `puzzle`
+ * (the puzzle code) for imported boards, with `levelId` when that board is a campaign level. The redo stack is not saved.
+ */
+// PUBLIC_INTERFACE
+export function saveGame(state) {
+  /** Persists the run with the current SAVE_VERSION and a timestamp. Write failures are ignored. */
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...state, version: SAVE_VERSION, savedAt: Date.now() }));
+  } catch {
+    // ignore write failures (e.g., privacy mode or quota)
+  }
+}
+
+// PUBLIC_INTERFACE
+export function loadSavedGame() {
+  /** Returns the saved run upgraded to SAVE_VERSION, or null when there is none or it cannot be read. */
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    return raw ? upgrade(JSON.parse(raw)) : null;
+  } catch {
+    return null;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function clearSavedGame() {
+  /** Removes the saved run, e.g. after it was completed or discarded. */
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,45 @@
+import { clearSavedGame, loadSavedGame, saveGame, SAVE_VERSION } from './savedGame';
+
+const run = {
+  settings: { mode: 'free', size: { rows: 6, cols: 8 }, difficulty: 'hard', clues: null, variant: 'classic' },
+  date: null,
+  seed: 4242,
+  path: [{ row: 0, col: 0 }, { row: 0, col: 1 }],
+  history: [
+    { at: 0, removed: [], added: [{ row: 0, col: 0 }] },
+    { at: 1, removed: [], added: [{ row: 0, col: 1 }] },
+  ],
+  seconds: 73,
+  hintsUsed: 1,
+};
+
+beforeEach(() => localStorage.clear());
+
+// PUBLIC_INTERFACE
+test('saved runs round-trip through localStorage', () => {
+  /** A saved run loads back with its version and timestamp; clearing removes it. */
+  expect(loadSavedGame()).toBeNull();
+  saveGame(run);
+  expect(loadSavedGame()).toEqual({ ...run, version: SAVE_VERSION, savedAt: expect.any(Number) });
+  clearSavedGame();
+  expect(loadSavedGame()).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('unknown versions and corrupt saves are ignored', () => {
+  /** Saves from an unsupported version or with malformed fields never reach the game. */
+  localStorage.setItem('linkloop_saved_game', JSON.stringify({ ...run, version: SAVE_VERSION + 1 }));
+  expect(loadSavedGame()).toBeNull();
+  localStorage.setItem('linkloop_saved_game', JSON.stringify({ ...run, version: SAVE_VERSION, path: [{ row: 'x' }] }));
+  expect(loadSavedGame()).toBeNull();
+  localStorage.setItem('linkloop_saved_game', '{not json');
+  expect(loadSavedGame()).toBeNull();
+});
+
+// PUBLIC_INTERFACE
+test('version 1 saves are upgraded to undo steps', () => {
+  /** The whole-path snapshots of a v1 save load back as the equivalent steps. */
+  const snapshots = [[{ row: 0, col: 0 }], [{ row: 0, col: 0 }, { row: 0, col: 1 }]];
+  localStorage.setItem('linkloop_saved_game', JSON.stringify({ ...run, version: 1, history: snapshots }));
+  expect(loadSavedGame()).toEqual({ ...run, version: SAVE_VERSION });
+});
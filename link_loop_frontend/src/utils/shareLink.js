@@ -0,0 +1,70 @@
+//
+// Shareable puzzle links: board settings and seed in the query string
+//
+
+import { getDifficultyLevel } from './difficulty.js';
+import { BOARD_SIZES, PUZZLE_VARIANTS, sizeKey } from './gameUtils.js';
+import { CURRENT_GENERATOR_VERSION, isGeneratorVersion, LEGACY_GENERATOR_VERSION } from './generators.js';
+
+/**
+ * Build a link that reopens the given board.
+ * Daily boards only need the mode, since their seed follows the date. Other links carry the generator version,
+ * so a later release with a newer generator still opens the same board.
+ * Example: https://host/?seed=123456&size=6x8&difficulty=hard&variant=obstacles&gen=1
+ */
+// PUBLIC_INTERFACE
+export function buildShareUrl(
+  { mode = 'free', seed, size, difficulty, clues, variant, generator = CURRENT_GENERATOR_VERSION },
+  base = window.location.href
+) {
+  /** Returns an absolute URL string; other query parameters of `base` are dropped. */
+  const url = new URL(base);
+  url.search = '';
+  url.hash = '';
+  if (mode === 'daily') {
+    url.searchParams.set('mode', 'daily');
+    return url.toString();
+  }
+  url.searchParams.set('seed', String(seed >>> 0));
+  url.searchParams.set('size', sizeKey(size));
+  if (difficulty) url.searchParams.set('difficulty', difficulty);
+  if (Number.isFinite(clues)) url.searchParams.set('clues', String(clues));
+  if (variant && variant !== 'classic') url.searchParams.set('variant', variant);
+  url.searchParams.set('gen', String(generator));
+  return url.toString();
+}
+
+/**
+ * Read a shared board from a query string.
+ * Unknown sizes, difficulties and variants are ignored so a tampered link cannot request
+ * a board the generator does not offer. Links without a generator version predate versions and mean
+ * LEGACY_GENERATOR_VERSION; a version this build does not have cannot rebuild the board, so it yields no board.
+ */
+// PUBLIC_INTERFACE
+export function parseShareParams(search = window.location.search) {
+  /** Returns { mode: 'daily' } or { mode: 'free', seed, size, difficulty, clues, variant, generator }, or null when the query has no board. */
+  const params = new URLSearchParams(search);
+  if (params.get('mode') === 'daily') return { mode: 'daily' };
+
+  const seedText = params.get('seed');
+  if (!seedText || !/^\d+$/.test(seedText)) return null;
+  const seed = Number(seedText);
+  if (seed > 0xFFFFFFFF) return null;
+  const genText = params.get('gen');
+  const generator = genText == null ? LEGACY_GENERATOR_VERSION : Number(genText);
+  if (!isGeneratorVersion(generator)) return null;
+
+  const size = BOARD_SIZES.find((s) => sizeKey(s) === params.get('size')) || null;
+  const level = getDifficultyLevel(params.get('difficulty'));
+  const clues = Number(params.get('clues'));
+  const variant = PUZZLE_VARIANTS.find((v) => v.id === params.get('variant'));
+  return {
+    mode: 'free',
+    seed,
+    size,
+    difficulty: level ? level.id : null,
+    clues: Number.isInteger(clues) && clues >= 2 ? clues : null,
+    variant: variant ? variant.id : 'classic',
+    generator,
+  };
+}
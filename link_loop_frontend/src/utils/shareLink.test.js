@@ -0,0 +1,33 @@
+import { buildShareUrl, parseShareParams } from './shareLink';
+
+// PUBLIC_INTERFACE
+test('share links round-trip the board settings', () => {
+  /** A link built for a board parses back to the same seed, size, difficulty, clues, variant and generator version. */
+  const board = { seed: 3141592653, size: { rows: 6, cols: 8 }, difficulty: 'hard', clues: 12, variant: 'obstacles', generator: 1 };
+  const url = buildShareUrl(board, 'https://example.com/play?ref=x#top');
+  expect(url).toBe('https://example.com/play?seed=3141592653&size=6x8&difficulty=hard&clues=12&variant=obstacles&gen=1');
+  expect(parseShareParams(new URL(url).search)).toEqual({ mode: 'free', ...board });
+
+  const daily = buildShareUrl({ mode: 'daily', seed: 1, size: 6 }, 'https://example.com/');
+  expect(parseShareParams(new URL(daily).search)).toEqual({ mode: 'daily' });
+});
+
+// PUBLIC_INTERFACE
+test('share links ignore values the game does not offer', () => {
+  /** Missing or malformed seeds yield no board; unknown sizes, levels and variants fall back to defaults. */
+  expect(parseShareParams('')).toBeNull();
+  expect(parseShareParams('?seed=-4')).toBeNull();
+  expect(parseShareParams('?seed=99999999999')).toBeNull();
+  expect(parseShareParams('?seed=7&size=500x500&difficulty=insane&variant=lava&clues=x')).toEqual({
+    mode: 'free', seed: 7, size: null, difficulty: null, clues: null, variant: 'classic', generator: 1,
+  });
+});
+
+// PUBLIC_INTERFACE
+test('share links keep the generator version they were made with', () => {
+  /** Links from before versions existed mean version 1; a version this build lacks opens no board. */
+  expect(parseShareParams('?seed=7&size=5x5').generator).toBe(1);
+  expect(parseShareParams('?seed=7&size=5x5&gen=1').generator).toBe(1);
+  expect(parseShareParams('?seed=7&size=5x5&gen=999')).toBeNull();
+  expect(parseShareParams('?seed=7&size=5x5&gen=x')).toBeNull();
+});
@@ -0,0 +1,448 @@
+//
+// Hamiltonian path solver for Link Loop puzzles
+//
+// The generators decide where clues go from what solvePuzzle finds within a node budget, so the order it explores
+// moves in, how it counts nodes and when it gives up are part of every released generator's output, frozen version 1
+// included. Change them only together with a new generator version; the golden tests in generators.test.js pin them.
+//
+
+import { hasWall, isBlocked } from './obstacles.js';
+
+/**
+ * Default search budget (expanded nodes) for a single solve.
+ * Small boards finish far below this; larger boards may exhaust it, in which case
+ * the result is reported as incomplete instead of blocking the UI thread.
+ */
+export const DEFAULT_MAX_NODES = 250000;
+
+/**
+ * Solve a numbered grid: find Hamiltonian paths that start on 1, visit the numbered cells
+ * in strict ascending order and end on the highest number.
+ * Blocked cells are skipped and walls are never crossed when `obstacles` are given.
+ * Stops once `limit` solutions were found or `maxNodes` search nodes were expanded.
+ * `lookahead` also checks the numbers after the next one (see numbersStayLinked) and skips partial paths that cover
+ * the same cells to the same head as one already searched without a solution: more work per node, far fewer nodes
+ * on large boards. It never changes which solutions are found or in what order, only the node count.
+ */
+// PUBLIC_INTERFACE
+export function solvePuzzle(grid, { limit = 2, maxNodes = DEFAULT_MAX_NODES, obstacles = null, lookahead = false } = {}) {
+  /** Returns { solutions: Array<Array<{row,col}>>, count, complete, nodes }. `complete` is false when the node budget ran out;
+   * `nodes` is how many search nodes were expanded.
+   */
+  const board = buildBoard(grid, obstacles);
+  if (!board) return { solutions: [], count: 0, complete: true, nodes: 0 };
+
+  const { cells, total, neighbors, clue, start, end } = board;
+  const visited = new Uint8Array(cells);
+  const trail = [];
+  const solutions = [];
+  let nodes = 0;
+  let aborted = false;
+
+  // With `lookahead`: states (see stateKey) whose whole subtree held no solution
+  const dead = lookahead ? new Set() : null;
+  function dfs(head, count, nextClue) {
+    if (solutions.length >= limit || aborted) return;
+    if (count === total) {
+      if (end < 0 || head === end) solutions.push(trail.map((id) => board.toCell(id)));
+      return;
+    }
+    let key = null;
+    if (dead) {
+      key = stateKey(visited, head);
+      if (dead.has(key)) return;
+    }
+    if (++nodes > maxNodes) {
+      aborted = true;
+      return;
+    }
+    const found = solutions.length;
+    // Warnsdorff order: squeeze into cells with the fewest onward options first
+    const candidates = [];
+    for (const nb of neighbors[head]) {
+      if (visited[nb]) continue;
+      const v = clue[nb];
+      if (v && v !== nextClue) continue;
+      // The final number may only be entered as the very last cell
+      if (nb === end && count + 1 !== total) continue;
+      candidates.push(nb);
+    }
+    if (candidates.length > 1) {
+      const onward = (id) => neighbors[id].reduce((n, x) => n + (visited[x] ? 0 : 1), 0);
+      candidates.sort((a, b) => onward(a) - onward(b));
+    }
+    for (const nb of candidates) {
+      const v = clue[nb];
+      visited[nb] = 1;
+      trail.push(nb);
+      const after = v ? v + 1 : nextClue;
+      if (isViable(board, visited, nb, count + 1, after, lookahead)) dfs(nb, count + 1, after);
+      trail.pop();
+      visited[nb] = 0;
+      if (solutions.length >= limit || aborted) return;
+    }
+    if (dead && solutions.length === found) dead.add(key);
+  }
+
+  // Without any clues every open cell is a potential start
+  const starts = start >= 0 ? [start] : board.openCells;
+  for (const s of starts) {
+    visited[s] = 1;
+    trail.push(s);
+    const after = clue[s] ? clue[s] + 1 : 1;
+    if (isViable(board, visited, s, 1, after, lookahead)) dfs(s, 1, after);
+    trail.pop();
+    visited[s] = 0;
+    if (solutions.length >= limit || aborted) break;
+  }
+
+  return { solutions, count: solutions.length, complete: !aborted, nodes };
+}
+
+/**
+ * The rest of a search depends only on which cells are visited and where the head is, so that pair names a state.
+ */
+function stateKey(visited, head) {
+  let key = `${head}:`;
+  for (let i = 0; i < visited.length; i += 16) {
+    let word = 0;
+    for (let j = i; j < i + 16 && j < visited.length; j++) word = (word << 1) | visited[j];
+    key += String.fromCharCode(word);
+  }
+  return key;
+}
+
+/**
+ * Count solutions of a numbered grid, capped at `limit`.
+ */
+// PUBLIC_INTERFACE
+export function countSolutions(grid, { limit = 2, maxNodes = DEFAULT_MAX_NODES, obstacles = null } = {}) {
+  /** Returns { count, complete }. A count equal to `limit` means "at least limit". */
+  const { count, complete } = solvePuzzle(grid, { limit, maxNodes, obstacles });
+  return { count, complete };
+}
+
+/**
+ * Whether the grid has exactly one solution (proven within the node budget).
+ */
+// PUBLIC_INTERFACE
+export function hasUniqueSolution(grid, { maxNodes = DEFAULT_MAX_NODES, obstacles = null } = {}) {
+  /** Returns true only when the search completed and found a single solution. */
+  const { count, complete } = countSolutions(grid, { limit: 2, maxNodes, obstacles });
+  return complete && count === 1;
+}
+
+/**
+ * Moves from the end of a partial path that survive the solver's deduction rules
+ * (clue order, reachability, dead ends and parity). An empty path can only start on 1.
+ */
+// PUBLIC_INTERFACE
+export function viableMoves(grid, path, { obstacles = null } = {}) {
+  /** Returns the list of {row,col} cells the path could extend to without becoming unsolvable at a glance. */
+  const board = buildBoard(grid, obstacles);
+  if (!board) return [];
+  const { cols, cells, total, neighbors, clue, start, end } = board;
+  const idOf = (p) => p.row * cols + p.col;
+
+  if (path.length === 0) {
+    if (start >= 0) return [board.toCell(start)];
+    return board.openCells.map((id) => board.toCell(id));
+  }
+
+  const visited = new Uint8Array(cells);
+  let nextClue = 1;
+  for (const p of path) {
+    const id = idOf(p);
+    visited[id] = 1;
+    if (clue[id] === nextClue) nextClue++;
+  }
+  const head = idOf(path[path.length - 1]);
+  const moves = [];
+  for (const nb of neighbors[head]) {
+    if (visited[nb]) continue;
+    if (clue[nb] && clue[nb] !== nextClue) continue;
+    if (nb === end && path.length + 1 !== total) continue;
+    visited[nb] = 1;
+    if (isViable(board, visited, nb, path.length + 1, clue[nb] ? nextClue + 1 : nextClue)) moves.push(board.toCell(nb));
+    visited[nb] = 0;
+  }
+  return moves;
+}
+
+/**
+ * Explain why a partial path can no longer be completed, for live feedback while drawing.
+ * Checks, in order:
+ * - split: some unvisited cells cannot be reached from the end of the path
+ * - unreachable-digit: the next required number is cut off (later numbers cannot be passed through)
+ * - dead-end: an unvisited cell has fewer than two ways in or out, and it cannot be the path's last cell
+ * Parity is left out on purpose: it rarely points at a cell the player can fix.
+ */
+// PUBLIC_INTERFACE
+export function diagnosePath(grid, path, { obstacles = null } = {}) {
+  /** Returns { problem, cells } with the offending {row,col} cells, or null while the path still looks completable. */
+  const board = buildBoard(grid, obstacles);
+  if (!board || path.length === 0) return null;
+  const { cols, cells, total, neighbors, clue, clueCell, maxClue, end } = board;
+  const idOf = (p) => p.row * cols + p.col;
+
+  const visited = new Uint8Array(cells);
+  let nextClue = 1;
+  for (const p of path) {
+    const id = idOf(p);
+    visited[id] = 1;
+    if (clue[id] === nextClue) nextClue++;
+  }
+  if (path.length >= total) return null;
+  const head = idOf(path[path.length - 1]);
+
+  const reached = new Uint8Array(cells);
+  const queue = [head];
+  reached[head] = 1;
+  while (queue.length) {
+    const u = queue.pop();
+    for (const nb of neighbors[u]) {
+      if (visited[nb] || reached[nb]) continue;
+      reached[nb] = 1;
+      queue.push(nb);
+    }
+  }
+  const stranded = board.openCells.filter((id) => !visited[id] && !reached[id]);
+  if (stranded.length) return { problem: 'split', cells: stranded.map(board.toCell) };
+
+  if (nextClue <= maxClue && !canReach(board, visited, head, clueCell[nextClue], nextClue)) {
+    return { problem: 'unreachable-digit', cells: [board.toCell(clueCell[nextClue])] };
+  }
+
+  const deadEnds = board.openCells.filter((id) => {
+    if (visited[id] || id === end) return false;
+    const degree = neighbors[id].reduce((n, nb) => n + (nb === head || !visited[nb] ? 1 : 0), 0);
+    return degree < 2;
+  });
+  // Without a fixed last cell one dead end is fine: the path can finish there
+  if (deadEnds.length > (end >= 0 ? 0 : 1)) return { problem: 'dead-end', cells: deadEnds.map(board.toCell) };
+  return null;
+}
+
+/**
+ * Flatten a grid into an adjacency model keyed by cell id (row * cols + col).
+ * `cells` sizes the per-cell arrays; `total` counts only open (unblocked) cells.
+ * Returns null when the clue numbering cannot describe a valid puzzle (gaps, duplicates or clues on blocked cells).
+ */
+function buildBoard(grid, obstacles) {
+  const rows = grid.length;
+  const cols = rows ? grid[0].length : 0;
+  const cells = rows * cols;
+  if (cells === 0) return null;
+
+  const open = new Uint8Array(cells);
+  const openCells = [];
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+    if (isBlocked(obstacles, r, c)) continue;
+    open[r * cols + c] = 1;
+    openCells.push(r * cols + c);
+  }
+  const total = openCells.length;
+  if (total === 0) return null;
+
+  const clue = new Int32Array(cells);
+  const clueCell = [];
+  const seen = new Set();
+  let maxClue = 0;
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+    const v = grid[r][c];
+    if (typeof v !== 'number') continue;
+    if (v < 1 || seen.has(v) || !open[r * cols + c]) return null;
+    seen.add(v);
+    clue[r * cols + c] = v;
+    clueCell[v] = r * cols + c;
+    maxClue = Math.max(maxClue, v);
+  }
+  if (seen.size !== maxClue) return null;
+
+  const neighbors = [];
+  const color = new Uint8Array(cells);
+  for (let r = 0; r < rows; r++) for (let c = 0; c < cols; c++) {
+    color[r * cols + c] = (r + c) & 1;
+    const list = [];
+    if (open[r * cols + c]) {
+      // Blocked cells and walled-off sides simply have no edge
+      for (const [nr, nc] of [[r - 1, c], [r + 1, c], [r, c - 1], [r, c + 1]]) {
+        if (nr < 0 || nr >= rows || nc < 0 || nc >= cols || !open[nr * cols + nc]) continue;
+        if (hasWall(obstacles, { row: r, col: c }, { row: nr, col: nc })) continue;
+        list.push(nr * cols + nc);
+      }
+    }
+    neighbors.push(list);
+  }
+
+  return {
+    rows,
+    cols,
+    cells,
+    total,
+    openCells,
+    neighbors,
+    color,
+    clue,
+    clueCell,
+    maxClue,
+    start: maxClue ? clue.indexOf(1) : -1,
+    end: maxClue ? clue.indexOf(maxClue) : -1,
+    toCell: (id) => ({ row: Math.floor(id / cols), col: id % cols }),
+  };
+}
+
+/**
+ * Cheap feasibility check for a partial path ending at `head`:
+ * - every unvisited cell must stay reachable from the head (single region)
+ * - an unvisited cell needs two open sides unless it is the path's final cell
+ * - the grid is bipartite, so the remaining cells must alternate colors starting opposite the head
+ * - the next number must be reachable without stepping on any later number
+ * - with `lookahead`, the later numbers too (see numbersStayLinked)
+ */
+function isViable(board, visited, head, count, nextClue, lookahead = false) {
+  const { cells, total, neighbors, end, color, clueCell, maxClue } = board;
+  const remaining = total - count;
+  if (remaining === 0) return true;
+
+  const queue = [];
+  const marked = new Uint8Array(cells);
+  for (const nb of neighbors[head]) {
+    if (!visited[nb]) {
+      marked[nb] = 1;
+      queue.push(nb);
+    }
+  }
+
+  let reached = 0;
+  let opposite = 0;
+  let deadEnds = 0;
+  while (queue.length) {
+    const u = queue.pop();
+    reached++;
+    if (color[u] !== color[head]) opposite++;
+    let degree = 0;
+    for (const nb of neighbors[u]) {
+      if (nb === head) {
+        degree++;
+      } else if (!visited[nb]) {
+        degree++;
+        if (!marked[nb]) {
+          marked[nb] = 1;
+          queue.push(nb);
+        }
+      }
+    }
+    if (degree < 2 && u !== end) {
+      // Only the end of the path may be a dead end; with a fixed end cell there is no spare
+      if (end >= 0 || ++deadEnds > 1) return false;
+    }
+  }
+  if (reached !== remaining || opposite !== Math.ceil(remaining / 2)) return false;
+  if (nextClue > maxClue) return true;
+  if (!canReach(board, visited, head, clueCell[nextClue], nextClue)) return false;
+  return !lookahead || numbersStayLinked(board, visited, head, nextClue);
+}
+
+/**
+ * Split the unvisited, unnumbered cells into pockets. The rest of the path runs from the head to the next number and
+ * then from number to number, and each of these stretches stays inside one pocket (or is empty when its two ends
+ * touch). So every pocket needs a stretch whose two ends it touches, a pocket that only one stretch can reach claims
+ * it alone and must match its color parity, and every stretch still ahead needs its ends to touch or share a pocket.
+ */
+function numbersStayLinked(board, visited, head, nextClue) {
+  const { cells, neighbors, clue, clueCell, maxClue, openCells, color } = board;
+  if (!board.scratch) {
+    board.scratch = { pocket: new Int32Array(cells), seen: new Int32Array(maxClue + 2), owner: new Int32Array(maxClue + 1), tick: 0 };
+  }
+  const { pocket, seen, owner } = board.scratch;
+  pocket.fill(0);
+  owner.fill(0);
+  // Stretch v runs from number v (the head for v = nextClue - 1) to number v + 1
+  const endOf = (v) => (v < nextClue ? head : clueCell[v]);
+  let pockets = 0;
+  const queue = [];
+  const numbers = [];
+  for (const first of openCells) {
+    if (visited[first] || clue[first] || pocket[first]) continue;
+    pocket[first] = ++pockets;
+    // `seen[v] === tick` marks the numbers this pocket touches
+    const tick = ++board.scratch.tick;
+    queue.push(first);
+    numbers.length = 0;
+    let touchesHead = false;
+    let size = 0;
+    let balance = 0;
+    while (queue.length) {
+      const u = queue.pop();
+      size++;
+      balance += color[u] ? 1 : -1;
+      for (const nb of neighbors[u]) {
+        if (nb === head) {
+          touchesHead = true;
+        } else if (!visited[nb] && !pocket[nb]) {
+          const v = clue[nb];
+          if (!v) {
+            pocket[nb] = pockets;
+            queue.push(nb);
+          } else if (seen[v] !== tick) {
+            seen[v] = tick;
+            numbers.push(v);
+          }
+        }
+      }
+    }
+    let stretch = -1;
+    let stretches = 0;
+    if (touchesHead && seen[nextClue] === tick) {
+      stretch = nextClue - 1;
+      stretches++;
+    }
+    for (const v of numbers) {
+      if (seen[v + 1] === tick) {
+        stretch = v;
+        stretches++;
+      }
+    }
+    if (stretches === 0) return false;
+    if (stretches === 1) {
+      if (owner[stretch]) return false;
+      owner[stretch] = pockets;
+      // Colors alternate from number v to number v + 1, so the cells between them are balanced or, when both ends
+      // share a color, hold one more of the other color
+      const from = color[endOf(stretch)];
+      const extra = from === color[clueCell[stretch + 1]] ? 1 : 0;
+      if ((from ? -balance : balance) !== extra || size < extra) return false;
+    }
+  }
+
+  for (let v = nextClue - 1; v < maxClue; v++) {
+    const from = endOf(v);
+    const to = clueCell[v + 1];
+    const only = owner[v];
+    const linked = neighbors[from].some((nb) => (nb === to && !only)
+      || (pocket[nb] && (!only || pocket[nb] === only) && neighbors[to].some((x) => pocket[x] === pocket[nb])));
+    if (!linked) return false;
+  }
+  return true;
+}
+
+/**
+ * Whether `target` is reachable from `head` through unvisited cells that carry no other number.
+ */
+function canReach(board, visited, head, target, nextClue) {
+  const { cells, neighbors, clue } = board;
+  const marked = new Uint8Array(cells);
+  const queue = [head];
+  marked[head] = 1;
+  while (queue.length) {
+    const u = queue.pop();
+    for (const nb of neighbors[u]) {
+      if (nb === target) return true;
+      if (marked[nb] || visited[nb] || (clue[nb] && clue[nb] !== nextClue)) continue;
+      marked[nb] = 1;
+      queue.push(nb);
+    }
+  }
+  return false;
+}
@@ -0,0 +1,144 @@
+import { countSolutions, diagnosePath, hasUniqueSolution, solvePuzzle } from './solver';
+import { generateGrid, validatePath } from './gameUtils';
+import { createObstacles } from './obstacles';
+
+// PUBLIC_INTERFACE
+test('counts every Hamiltonian path between the end clues', () => {
+  /** A 3x3 board from corner to opposite corner can be snaked row-wise or column-wise. */
+  const grid = [
+    [1, null, null],
+    [null, null, null],
+    [null, null, 2],
+  ];
+  expect(countSolutions(grid, { limit: 10 })).toEqual({ count: 2, complete: true });
+  expect(hasUniqueSolution(grid)).toBe(false);
+});
+
+// PUBLIC_INTERFACE
+test('intermediate clues must be visited in ascending order', () => {
+  /** Requiring the centre before the left edge rules out one of the two corner-to-corner routes. */
+  const grid = [
+    [1, null, null],
+    [3, 2, null],
+    [null, null, 4],
+  ];
+  const { solutions, count, complete } = solvePuzzle(grid, { limit: 10 });
+  expect(complete).toBe(true);
+  expect(count).toBe(1);
+  expect(validatePath(grid, solutions[0]).ok).toBe(true);
+});
+
+// PUBLIC_INTERFACE
+test('reports the search nodes it used and stops at maxNodes', () => {
+  /** Callers budget their solves (the generators' clue stage) from `nodes`. */
+  const open = Array.from({ length: 6 }, () => Array(6).fill(null));
+  open[0][0] = 1;
+  const capped = solvePuzzle(open, { limit: 1000, maxNodes: 50 });
+  expect(capped.complete).toBe(false);
+  expect(capped.nodes).toBe(51);
+  const small = solvePuzzle([[1, null], [null, 2]]);
+  expect(small.complete).toBe(true);
+  expect(small.nodes).toBeGreaterThan(0);
+});
+
+// PUBLIC_INTERFACE
+test('lookahead finds the same solutions in the same order with fewer nodes', () => {
+  /** It only skips states that cannot be finished, so uniqueness proofs may use it freely. */
+  for (const seed of [1, 2, 3, 4]) {
+    const { grid } = generateGrid(6, seed);
+    const max = Math.max(...grid.flat().filter((v) => v != null));
+    // Keep every third clue, renumbered, so the board has many solutions left
+    const kept = [...Array(max).keys()].map((i) => i + 1).filter((v) => v === 1 || v === max || v % 3 === 0);
+    const thinned = grid.map((row) => row.map((v) => (kept.includes(v) ? kept.indexOf(v) + 1 : null)));
+    const plain = solvePuzzle(thinned, { limit: 50, maxNodes: Infinity });
+    const ahead = solvePuzzle(thinned, { limit: 50, maxNodes: Infinity, lookahead: true });
+    expect(ahead.solutions).toEqual(plain.solutions);
+    expect(ahead.complete).toBe(plain.complete);
+    expect(ahead.nodes).toBeLessThanOrEqual(plain.nodes);
+  }
+});
+
+// PUBLIC_INTERFACE
+test('rejects inconsistent numbering', () => {
+  /** Gaps in the clue sequence cannot be solved. */
+  const grid = [
+    [1, null],
+    [null, 3],
+  ];
+  expect(countSolutions(grid).count).toBe(0);
+});
+
+// PUBLIC_INTERFACE
+test('generated puzzles have exactly one solution', () => {
+  /** The generator keeps adding clues until the solver proves uniqueness. */
+  for (const seed of [1, 7, 42, 1337]) {
+    const { grid, unique } = generateGrid(5, seed);
+    expect(unique).toBe(true);
+    const { solutions, count, complete } = solvePuzzle(grid);
+    expect(complete).toBe(true);
+    expect(count).toBe(1);
+    expect(validatePath(grid, solutions[0]).ok).toBe(true);
+  }
+});
+
+// PUBLIC_INTERFACE
+test('obstacles remove cells and edges from the search', () => {
+  /** A wall rules out one of the two corner-to-corner tours; a blocked cell shrinks the path. */
+  const grid = [
+    [1, null, null],
+    [null, null, null],
+    [null, null, 2],
+  ];
+  const walled = createObstacles({ walls: [[{ row: 0, col: 0 }, { row: 0, col: 1 }]] });
+  const { solutions, count } = solvePuzzle(grid, { obstacles: walled });
+  expect(count).toBe(1);
+  expect(solutions[0][1]).toEqual({ row: 1, col: 0 });
+
+  // With the center blocked the board is a ring, walked the long way round between neighbors
+  const ring = [
+    [1, null, null],
+    [2, null, null],
+    [null, null, null],
+  ];
+  const blocked = createObstacles({ blocked: [{ row: 1, col: 1 }] });
+  const around = solvePuzzle(ring, { obstacles: blocked });
+  expect(around.count).toBe(1);
+  expect(around.solutions[0]).toHaveLength(8);
+  expect(countSolutions(ring).count).toBe(0);
+});
+
+// PUBLIC_INTERFACE
+test('diagnoses paths that can no longer be finished', () => {
+  /** Stranded regions, dead ends and cut-off numbers are reported with the cells at fault. */
+  const grid = [
+    [1, null, null],
+    [null, null, null],
+    [null, null, 2],
+  ];
+  expect(diagnosePath(grid, [{ row: 0, col: 0 }, { row: 0, col: 1 }])).toBeNull();
+
+  // Going down and back up the middle of a 4x4 board walls off the left column
+  const open = [
+    [1, null, null, null],
+    [null, null, null, null],
+    [null, null, null, null],
+    [null, null, null, 2],
+  ];
+  const uTurn = [[0, 0], [0, 1], [1, 1], [2, 1], [3, 1], [3, 2], [2, 2], [1, 2]].map(([row, col]) => ({ row, col }));
+  expect(diagnosePath(open, uTurn)).toEqual({
+    problem: 'split', cells: [{ row: 1, col: 0 }, { row: 2, col: 0 }, { row: 3, col: 0 }],
+  });
+
+  // Looping back up through the center leaves the bottom-left corner with a single way in
+  const deadEnd = diagnosePath(grid, [{ row: 0, col: 0 }, { row: 1, col: 0 }, { row: 1, col: 1 }, { row: 0, col: 1 }]);
+  expect(deadEnd).toEqual({ problem: 'dead-end', cells: [{ row: 2, col: 0 }] });
+
+  // Stepping right from 1 leaves 2 walled in by the path and by 3, which cannot be passed through
+  const boxed = [
+    [1, null, null, null],
+    [2, 3, null, null],
+  ];
+  expect(diagnosePath(boxed, [{ row: 0, col: 0 }, { row: 0, col: 1 }])).toEqual({
+    problem: 'unreachable-digit', cells: [{ row: 1, col: 0 }],
+  });
+});
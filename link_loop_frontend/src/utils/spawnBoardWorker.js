@@ -0,0 +1,10 @@
+//
+// Starts the board worker. Kept apart so only browsers load it: the bundler resolves the worker URL here,
+// and test runners cannot parse import.meta.
+//
+
+// PUBLIC_INTERFACE
+export function spawnBoardWorker() {
+  /** Returns a new Worker running board.worker.js. */
+  return new Worker(new URL('./board.worker.js', import.meta.url));
+}